@@ -0,0 +1,199 @@
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Limits per execution mode. Owner's rights shares one service identity (and its warehouse)
+// between everyone, so its defaults are stricter than caller's rights
+const MODE_LIMITS = {
+  "owner's_rights": {
+    maxConcurrent: envInt('OWNER_MAX_CONCURRENT_QUERIES', 4),
+    maxConcurrentPerUser: envInt('OWNER_MAX_CONCURRENT_QUERIES_PER_USER', 1),
+    maxQueued: envInt('OWNER_MAX_QUEUED_QUERIES', 20),
+    requestsPerMinute: envInt('OWNER_QUERIES_PER_MINUTE', 30)
+  },
+  "caller's_rights": {
+    maxConcurrent: envInt('CALLER_MAX_CONCURRENT_QUERIES', 16),
+    maxConcurrentPerUser: envInt('CALLER_MAX_CONCURRENT_QUERIES_PER_USER', 2),
+    maxQueued: envInt('CALLER_MAX_QUEUED_QUERIES', 50),
+    requestsPerMinute: envInt('CALLER_QUERIES_PER_MINUTE', 60)
+  }
+};
+
+// How long a query may wait for a slot before it is turned away; 0 means queries never wait
+const QUEUE_TIMEOUT_MS = envInt('QUERY_QUEUE_TIMEOUT_MS', 60 * 1000);
+// Retry-After sent when the queue is full
+const QUEUE_FULL_RETRY_SECONDS = 5;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Rejections carry the HTTP status and the seconds to put in Retry-After
+const limitError = (code, message, retryAfterSeconds) => Object.assign(new Error(message), {
+  code,
+  status: 429,
+  retryAfterSeconds
+});
+
+// Admission control for query execution: a sliding one-minute request rate per user, and
+// concurrency limits per user and per execution mode with a bounded FIFO queue. A freed slot
+// goes to the longest-waiting query whose user is still under their own limit. A maxQueued or
+// queue timeout of 0 turns away every query that cannot start at once
+const createAdmission = (limits = MODE_LIMITS, { queueTimeoutMs = QUEUE_TIMEOUT_MS } = {}) => {
+  const modes = new Map(Object.keys(limits).map(mode => [mode, { running: 0, perUser: new Map(), queue: [] }]));
+  const requestTimes = new Map();
+  let lastSweep = Date.now();
+
+  // Forget users whose last request has left the window
+  const sweepRequestTimes = (now) => {
+    if (now - lastSweep < RATE_WINDOW_MS) {
+      return;
+    }
+    lastSweep = now;
+    requestTimes.forEach((times, key) => {
+      if (times[times.length - 1] <= now - RATE_WINDOW_MS) {
+        requestTimes.delete(key);
+      }
+    });
+  };
+
+  const modeState = (mode) => {
+    if (!modes.has(mode)) {
+      throw new Error(`No admission limits for execution mode ${mode}`);
+    }
+    return modes.get(mode);
+  };
+
+  // Record one request, or throw when the user already made requestsPerMinute in the last minute
+  const checkRate = (mode, user) => {
+    const limit = limits[mode].requestsPerMinute;
+    if (!limit) {
+      return;
+    }
+    const key = `${mode}\u0000${user}`;
+    const now = Date.now();
+    sweepRequestTimes(now);
+    const times = (requestTimes.get(key) || []).filter(time => time > now - RATE_WINDOW_MS);
+    if (times.length >= limit) {
+      requestTimes.set(key, times);
+      const retryAfterSeconds = Math.max(Math.ceil((times[0] + RATE_WINDOW_MS - now) / 1000), 1);
+      throw limitError('RATE_LIMITED', `Rate limit exceeded: at most ${limit} queries per minute under ${mode.replace('_', ' ')}. Retry in ${retryAfterSeconds}s`, retryAfterSeconds);
+    }
+    times.push(now);
+    requestTimes.set(key, times);
+  };
+
+  const canStart = (mode, user) => {
+    const state = modeState(mode);
+    const { maxConcurrent, maxConcurrentPerUser } = limits[mode];
+    return (!maxConcurrent || state.running < maxConcurrent)
+      && (!maxConcurrentPerUser || (state.perUser.get(user) || 0) < maxConcurrentPerUser);
+  };
+
+  const start = (mode, user) => {
+    const state = modeState(mode);
+    state.running++;
+    state.perUser.set(user, (state.perUser.get(user) || 0) + 1);
+  };
+
+  const finish = (mode, user) => {
+    const state = modeState(mode);
+    state.running--;
+    const count = state.perUser.get(user) - 1;
+    if (count > 0) {
+      state.perUser.set(user, count);
+    } else {
+      state.perUser.delete(user);
+    }
+  };
+
+  // Start queued queries while slots are free, oldest first
+  const drain = (mode) => {
+    const state = modeState(mode);
+    for (let i = 0; i < state.queue.length;) {
+      const waiter = state.queue[i];
+      if (canStart(mode, waiter.user)) {
+        state.queue.splice(i, 1);
+        clearTimeout(waiter.timer);
+        start(mode, waiter.user);
+        waiter.resolve();
+      } else {
+        i++;
+      }
+    }
+  };
+
+  // Ask for a slot. The ticket's ready promise resolves once the query may run, and rejects if the
+  // queue timeout passes or cancel() is called first. release() hands a granted slot back
+  const admit = (mode, user) => {
+    const state = modeState(mode);
+    let granted = false;
+    let waiter = null;
+
+    const ticket = {
+      position: () => (waiter ? state.queue.indexOf(waiter) + 1 || null : null),
+      release: () => {
+        if (granted) {
+          granted = false;
+          finish(mode, user);
+          drain(mode);
+        }
+      },
+      cancel: () => {
+        const index = waiter ? state.queue.indexOf(waiter) : -1;
+        if (index !== -1) {
+          state.queue.splice(index, 1);
+          clearTimeout(waiter.timer);
+          waiter.reject(Object.assign(new Error('Query was cancelled while queued'), { code: 'QUEUE_CANCELLED' }));
+        }
+      }
+    };
+
+    // Waiting queries are drained whenever a slot frees up, so every one of them is blocked by a
+    // limit; a query that can start now therefore takes no slot any of them could use
+    if (canStart(mode, user)) {
+      start(mode, user);
+      granted = true;
+      ticket.ready = Promise.resolve();
+      return ticket;
+    }
+    if (!limits[mode].maxQueued || !queueTimeoutMs) {
+      throw limitError('QUEUE_FULL', `Too many queries are running under ${mode.replace('_', ' ')}. Retry in ${QUEUE_FULL_RETRY_SECONDS}s`, QUEUE_FULL_RETRY_SECONDS);
+    }
+    if (state.queue.length >= limits[mode].maxQueued) {
+      throw limitError('QUEUE_FULL', `Too many queries are waiting under ${mode.replace('_', ' ')}. Retry in ${QUEUE_FULL_RETRY_SECONDS}s`, QUEUE_FULL_RETRY_SECONDS);
+    }
+
+    ticket.ready = new Promise((resolve, reject) => {
+      waiter = {
+        user,
+        resolve: () => {
+          granted = true;
+          waiter = null;
+          resolve();
+        },
+        reject: (error) => {
+          waiter = null;
+          reject(error);
+        }
+      };
+      waiter.timer = setTimeout(() => {
+        state.queue.splice(state.queue.indexOf(waiter), 1);
+        waiter.reject(limitError('QUEUE_TIMEOUT', `Query waited ${Math.round(queueTimeoutMs / 1000)}s for a free slot. Retry in ${QUEUE_FULL_RETRY_SECONDS}s`, QUEUE_FULL_RETRY_SECONDS));
+      }, queueTimeoutMs);
+      state.queue.push(waiter);
+    });
+    return ticket;
+  };
+
+  const stats = () => Object.fromEntries(Array.from(modes.entries()).map(([mode, state]) => [mode, {
+    running: state.running,
+    queued: state.queue.length,
+    rateTrackedUsers: Array.from(requestTimes.keys()).filter(key => key.startsWith(`${mode}\u0000`)).length,
+    ...limits[mode]
+  }]));
+
+  return { checkRate, admit, stats };
+};
+
+module.exports = {
+  createAdmission
+};
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const SPCS_TOKEN_FILE = '/snowflake/session/token';
+const TOKEN_POLL_MS = parseInt(process.env.SNOWFLAKE_TOKEN_POLL_MS, 10) || 10 * 1000;
+
+const STRATEGY_NAMES = ['spcs-oauth', 'keypair', 'password', 'oauth'];
+
+const readTokenFile = (filePath) => {
+  try {
+    return fs.readFileSync(filePath, 'utf8').trim() || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Re-read a token file whenever it changes. Polling stat() also follows the
+// symlink swaps used to rotate mounted secrets, which fs.watch misses
+const watchTokenFile = (filePath, onToken) => {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.ino !== previous.ino) {
+      const token = readTokenFile(filePath);
+      if (token) {
+        onToken(token);
+      }
+    }
+  };
+  fs.watchFile(filePath, { interval: TOKEN_POLL_MS, persistent: false }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+};
+
+// A token read from a file up front and kept current by watching it
+const fileToken = (filePath, label) => {
+  let token = readTokenFile(filePath);
+
+  return {
+    get: () => token,
+    validate: () => {
+      if (!token) {
+        throw new Error(`${label} token file ${filePath} is missing or empty`);
+      }
+    },
+    // Whether the file is still there now, for readiness checks
+    check: () => {
+      if (!readTokenFile(filePath)) {
+        throw new Error(`${label} token file ${filePath} is missing or empty`);
+      }
+    },
+    watch: onRotate => watchTokenFile(filePath, (next) => {
+      if (next !== token) {
+        token = next;
+        logger.info('Snowflake token rotated', { file: filePath });
+        onRotate();
+      }
+    })
+  };
+};
+
+// OAuth token provided by Snowpark Container Services. Caller's rights appends
+// the ingress user's token to the service token
+const spcsOAuthStrategy = (env) => {
+  const tokenFile = env.SNOWFLAKE_TOKEN_FILE || SPCS_TOKEN_FILE;
+  const token = fileToken(tokenFile, 'SPCS OAuth');
+
+  return {
+    name: 'spcs-oauth',
+    supportsCallersRights: true,
+    describe: () => ({ host: env.SNOWFLAKE_HOST, account: env.SNOWFLAKE_ACCOUNT, credentialFile: tokenFile }),
+    validate: () => {
+      if (!env.SNOWFLAKE_HOST || !env.SNOWFLAKE_ACCOUNT) {
+        throw new Error('SPCS OAuth needs SNOWFLAKE_HOST and SNOWFLAKE_ACCOUNT');
+      }
+      token.validate();
+    },
+    checkCredentials: token.check,
+    connectionOptions: identity => ({
+      host: env.SNOWFLAKE_HOST,
+      account: env.SNOWFLAKE_ACCOUNT,
+      authenticator: 'OAUTH',
+      token: identity.ingressUserToken ? `${token.get()}.${identity.ingressUserToken}` : token.get()
+    }),
+    watch: token.watch
+  };
+};
+
+// Key-pair (JWT) auth from SNOWFLAKE_PRIVATE_KEY_PATH or an inline SNOWFLAKE_PRIVATE_KEY.
+// Encrypted keys are decrypted once with SNOWFLAKE_PRIVATE_KEY_PASSPHRASE
+const keyPairStrategy = (env) => {
+  let privateKey = null;
+
+  const loadPrivateKey = () => {
+    const pem = env.SNOWFLAKE_PRIVATE_KEY_PATH
+      ? fs.readFileSync(env.SNOWFLAKE_PRIVATE_KEY_PATH, 'utf8')
+      : env.SNOWFLAKE_PRIVATE_KEY.replace(/\\n/g, '\n');
+    try {
+      return crypto.createPrivateKey({
+        key: pem,
+        format: 'pem',
+        passphrase: env.SNOWFLAKE_PRIVATE_KEY_PASSPHRASE || undefined
+      }).export({ format: 'pem', type: 'pkcs8' });
+    } catch (err) {
+      throw new Error(`Could not read the private key${env.SNOWFLAKE_PRIVATE_KEY_PASSPHRASE ? '' : ' (is it encrypted? set SNOWFLAKE_PRIVATE_KEY_PASSPHRASE)'}: ${err.message}`);
+    }
+  };
+
+  return {
+    name: 'keypair',
+    supportsCallersRights: false,
+    describe: () => ({
+      account: env.SNOWFLAKE_ACCOUNT,
+      username: env.SNOWFLAKE_USERNAME,
+      keySource: env.SNOWFLAKE_PRIVATE_KEY_PATH ? `file ${env.SNOWFLAKE_PRIVATE_KEY_PATH}` : 'inline',
+      encrypted: !!env.SNOWFLAKE_PRIVATE_KEY_PASSPHRASE
+    }),
+    validate: () => {
+      if (!env.SNOWFLAKE_ACCOUNT || !env.SNOWFLAKE_USERNAME) {
+        throw new Error('Key-pair auth needs SNOWFLAKE_ACCOUNT and SNOWFLAKE_USERNAME');
+      }
+      privateKey = loadPrivateKey();
+    },
+    checkCredentials: () => {},
+    connectionOptions: () => {
+      if (!privateKey) {
+        privateKey = loadPrivateKey();
+      }
+      return {
+        account: env.SNOWFLAKE_ACCOUNT,
+        username: env.SNOWFLAKE_USERNAME,
+        authenticator: 'SNOWFLAKE_JWT',
+        privateKey
+      };
+    },
+    watch: () => () => {}
+  };
+};
+
+const passwordStrategy = env => ({
+  name: 'password',
+  supportsCallersRights: false,
+  describe: () => ({ account: env.SNOWFLAKE_ACCOUNT, username: env.SNOWFLAKE_USERNAME }),
+  validate: () => {
+    if (!env.SNOWFLAKE_ACCOUNT || !env.SNOWFLAKE_USERNAME || !env.SNOWFLAKE_PASSWORD) {
+      throw new Error('Password auth needs SNOWFLAKE_ACCOUNT, SNOWFLAKE_USERNAME and SNOWFLAKE_PASSWORD');
+    }
+  },
+  checkCredentials: () => {},
+  connectionOptions: () => ({
+    account: env.SNOWFLAKE_ACCOUNT,
+    username: env.SNOWFLAKE_USERNAME,
+    password: env.SNOWFLAKE_PASSWORD,
+    authenticator: 'SNOWFLAKE'
+  }),
+  watch: () => () => {}
+});
+
+// Bearer token from an external OAuth provider, inline or from a file that is watched for rotation
+const externalOAuthStrategy = (env) => {
+  const token = env.SNOWFLAKE_OAUTH_TOKEN_FILE
+    ? fileToken(env.SNOWFLAKE_OAUTH_TOKEN_FILE, 'External OAuth')
+    : { get: () => env.SNOWFLAKE_OAUTH_TOKEN, validate: () => {}, check: () => {}, watch: () => () => {} };
+
+  return {
+    name: 'oauth',
+    supportsCallersRights: false,
+    describe: () => ({
+      account: env.SNOWFLAKE_ACCOUNT,
+      username: env.SNOWFLAKE_USERNAME || null,
+      credentialSource: env.SNOWFLAKE_OAUTH_TOKEN_FILE ? `file ${env.SNOWFLAKE_OAUTH_TOKEN_FILE}` : 'inline'
+    }),
+    validate: () => {
+      if (!env.SNOWFLAKE_ACCOUNT) {
+        throw new Error('External OAuth needs SNOWFLAKE_ACCOUNT');
+      }
+      if (!env.SNOWFLAKE_OAUTH_TOKEN_FILE && !env.SNOWFLAKE_OAUTH_TOKEN) {
+        throw new Error('External OAuth needs SNOWFLAKE_OAUTH_TOKEN or SNOWFLAKE_OAUTH_TOKEN_FILE');
+      }
+      token.validate();
+    },
+    checkCredentials: token.check,
+    connectionOptions: () => ({
+      account: env.SNOWFLAKE_ACCOUNT,
+      username: env.SNOWFLAKE_USERNAME || undefined,
+      authenticator: 'OAUTH',
+      token: token.get()
+    }),
+    watch: token.watch
+  };
+};
+
+const STRATEGIES = {
+  'spcs-oauth': spcsOAuthStrategy,
+  keypair: keyPairStrategy,
+  password: passwordStrategy,
+  oauth: externalOAuthStrategy
+};
+
+// Used when nothing is configured, so the server still starts and reports why queries fail
+const unconfiguredStrategy = () => ({
+  name: 'none',
+  supportsCallersRights: false,
+  describe: () => ({}),
+  validate: () => {},
+  checkCredentials: () => {
+    throw Object.assign(new Error('No Snowflake authentication is configured'), { code: 'AUTH_NOT_CONFIGURED' });
+  },
+  connectionOptions: () => {
+    throw Object.assign(new Error(`No Snowflake authentication is configured; set SNOWFLAKE_AUTH_STRATEGY to one of ${STRATEGY_NAMES.join(', ')}`), {
+      code: 'AUTH_NOT_CONFIGURED'
+    });
+  },
+  watch: () => () => {}
+});
+
+// SNOWFLAKE_AUTH_STRATEGY picks a strategy explicitly; otherwise the first one
+// whose settings are present wins, with the SPCS token preferred inside a container
+const detectStrategyName = (env) => {
+  if (env.SNOWFLAKE_AUTH_STRATEGY) {
+    return env.SNOWFLAKE_AUTH_STRATEGY.toLowerCase();
+  }
+  if (env.SNOWFLAKE_HOST && env.SNOWFLAKE_ACCOUNT && readTokenFile(env.SNOWFLAKE_TOKEN_FILE || SPCS_TOKEN_FILE)) {
+    return 'spcs-oauth';
+  }
+  // A password wins over a private key, as it always has when both are set
+  if (env.SNOWFLAKE_PASSWORD) {
+    return 'password';
+  }
+  if (env.SNOWFLAKE_PRIVATE_KEY_PATH || env.SNOWFLAKE_PRIVATE_KEY) {
+    return 'keypair';
+  }
+  if (env.SNOWFLAKE_OAUTH_TOKEN || env.SNOWFLAKE_OAUTH_TOKEN_FILE) {
+    return 'oauth';
+  }
+  return null;
+};
+
+// Pick and validate the auth strategy; invalid settings throw so startup fails fast
+const createAuthStrategy = (env = process.env) => {
+  const name = detectStrategyName(env);
+  if (!name) {
+    return unconfiguredStrategy();
+  }
+  if (!STRATEGIES[name]) {
+    throw new Error(`Unknown SNOWFLAKE_AUTH_STRATEGY "${name}"; use one of ${STRATEGY_NAMES.join(', ')}`);
+  }
+  const strategy = STRATEGIES[name](env);
+  strategy.validate();
+  return strategy;
+};
+
+module.exports = {
+  STRATEGY_NAMES,
+  createAuthStrategy
+};
@@ -0,0 +1,178 @@
+const { findPlaceholders } = require('./sqlSplitter');
+const { MAX_SAFE_DIGITS, significantDigits } = require('./valueSerializer');
+
+// Bind types the API accepts; date and timestamp values are bound as text and
+// cast in the SQL, because the SDK would otherwise send them as VARIANT
+const BIND_TYPES = ['TEXT', 'NUMBER', 'BOOLEAN', 'DATE', 'TIMESTAMP_NTZ', 'TIMESTAMP_LTZ', 'TIMESTAMP_TZ'];
+const TYPE_ALIASES = { STRING: 'TEXT', VARCHAR: 'TEXT', TIMESTAMP: 'TIMESTAMP_NTZ', DATETIME: 'TIMESTAMP_NTZ' };
+const CAST_TYPES = ['DATE', 'TIMESTAMP_NTZ', 'TIMESTAMP_LTZ', 'TIMESTAMP_TZ'];
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?$/;
+const ZONED_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[-+]\d{2}:?\d{2})?$/;
+const TRUE_VALUES = ['true', 't', 'yes', 'y', 'on', '1'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', 'off', '0'];
+
+const bindLabel = key => (typeof key === 'number' ? `bind ${key + 1}` : `bind :${key}`);
+
+const coerceNumber = (value, label) => {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`${label} must be a finite number`);
+    }
+    return value;
+  }
+  const text = String(value).trim();
+  if (!NUMBER_PATTERN.test(text)) {
+    throw new Error(`${label} is not a number: ${value}`);
+  }
+  // Beyond double precision the digits are sent as text and converted by Snowflake
+  return significantDigits(text.replace(/[eE].*$/, '')) <= MAX_SAFE_DIGITS ? Number(text) : text;
+};
+
+const coerceBoolean = (value, label) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) {
+    return true;
+  }
+  if (FALSE_VALUES.includes(text)) {
+    return false;
+  }
+  throw new Error(`${label} is not a boolean: ${value}`);
+};
+
+const coerceDate = (value, label) => {
+  const text = String(value).trim();
+  if (!DATE_PATTERN.test(text) || Number.isNaN(Date.parse(text))) {
+    throw new Error(`${label} must be a date like 2024-01-31: ${value}`);
+  }
+  return text;
+};
+
+const coerceTimestamp = (value, label, type) => {
+  const text = String(value).trim();
+  const pattern = type === 'TIMESTAMP_NTZ' ? TIMESTAMP_PATTERN : ZONED_TIMESTAMP_PATTERN;
+  if (!pattern.test(text) || Number.isNaN(Date.parse(text.replace(' ', 'T')))) {
+    throw new Error(`${label} must be a timestamp like 2024-01-31T13:45:00${type === 'TIMESTAMP_NTZ' ? '' : '+01:00'}: ${value}`);
+  }
+  // Snowflake's AUTO timestamp format expects seconds
+  return text.replace(' ', 'T').replace(/T(\d{2}:\d{2})(?!:)/, 'T$1:00');
+};
+
+// A bind is a bare value or { type, value }; bare values keep their JSON type
+const coerceBind = (bind, key) => {
+  const label = bindLabel(key);
+  const typed = bind !== null && typeof bind === 'object' && !Array.isArray(bind);
+  const value = typed ? bind.value : bind;
+  const requested = typed && bind.type ? String(bind.type).toUpperCase() : null;
+  const type = requested ? (TYPE_ALIASES[requested] || requested) : null;
+
+  if (type && !BIND_TYPES.includes(type)) {
+    throw new Error(`${label} has unknown type ${bind.type}; use one of ${BIND_TYPES.join(', ')}`);
+  }
+  if (value === null || value === undefined) {
+    return { type: type || 'TEXT', value: null };
+  }
+  if (!type) {
+    if (typeof value === 'object') {
+      throw new Error(`${label} must be a string, number, boolean or null`);
+    }
+    return { type: typeof value === 'number' ? 'NUMBER' : (typeof value === 'boolean' ? 'BOOLEAN' : 'TEXT'), value };
+  }
+
+  switch (type) {
+    case 'NUMBER':
+      return { type, value: coerceNumber(value, label) };
+    case 'BOOLEAN':
+      return { type, value: coerceBoolean(value, label) };
+    case 'DATE':
+      return { type, value: coerceDate(value, label) };
+    case 'TIMESTAMP_NTZ':
+    case 'TIMESTAMP_LTZ':
+    case 'TIMESTAMP_TZ':
+      return { type, value: coerceTimestamp(value, label, type) };
+    default:
+      return { type, value: String(value) };
+  }
+};
+
+// Rewrite ? and :name placeholders to numbered SDK binds (:1, :2, ...) and line up
+// their values. Named placeholders that repeat share one bind
+const bindStatement = (sql, binds) => {
+  const placeholders = findPlaceholders(sql);
+  const positional = placeholders.filter(placeholder => placeholder.name === null);
+  const named = placeholders.filter(placeholder => placeholder.name !== null);
+
+  if (positional.length && named.length) {
+    throw new Error('A statement cannot mix ? and :name placeholders');
+  }
+
+  const keys = positional.length
+    ? positional.map((placeholder, index) => index)
+    : Array.from(new Set(named.map(placeholder => placeholder.name)));
+  const values = keys.map((key) => {
+    const hasValue = typeof key === 'number'
+      ? Array.isArray(binds) && key < binds.length
+      : !Array.isArray(binds) && Object.prototype.hasOwnProperty.call(binds, key);
+    if (!hasValue) {
+      throw new Error(`Missing value for ${bindLabel(key)}`);
+    }
+    return coerceBind(binds[key], key);
+  });
+
+  let sqlText = '';
+  let last = 0;
+  placeholders.forEach((placeholder, index) => {
+    const position = positional.length ? index : keys.indexOf(placeholder.name);
+    const type = values[position].type;
+    sqlText += `${sql.substring(last, placeholder.index)}:${position + 1}${CAST_TYPES.includes(type) ? `::${type}` : ''}`;
+    last = placeholder.index + placeholder.length;
+  });
+  sqlText += sql.substring(last);
+
+  return { sqlText, binds: values.map(bind => bind.value), names: positional.length ? [] : keys };
+};
+
+// Bind every statement of a request; positional binds only make sense for a single statement.
+// Without binds the SQL runs as written, so :name in Snowflake Scripting (RETURN :x, INTO :x)
+// and anything else that looks like a placeholder reaches Snowflake untouched
+const bindStatements = (statements, binds) => {
+  if (binds === undefined || binds === null) {
+    return statements.map(statement => ({ ...statement, sqlText: statement.sql, binds: [] }));
+  }
+  if (typeof binds !== 'object') {
+    throw new Error('binds must be an array of positional values or an object of named values');
+  }
+
+  const bound = statements.map(statement => ({ ...statement, ...bindStatement(statement.sql, binds) }));
+  const positionalCount = bound.filter(statement => statement.binds.length && !statement.names.length).length;
+
+  if (Array.isArray(binds)) {
+    if (statements.length > 1 && positionalCount) {
+      throw new Error('Scripts with several statements must use :name placeholders');
+    }
+    const expected = bound.reduce((count, statement) => count + statement.binds.length, 0);
+    if (binds.length > expected) {
+      throw new Error(`Got ${binds.length} binds but the query has ${expected} placeholders`);
+    }
+  } else {
+    const used = new Set(bound.flatMap(statement => statement.names));
+    const unknown = Object.keys(binds).filter(name => !used.has(name));
+    if (unknown.length) {
+      throw new Error(`Unknown bind variables: ${unknown.map(name => `:${name}`).join(', ')}`);
+    }
+  }
+
+  return bound.map(({ names, ...statement }) => statement);
+};
+
+module.exports = {
+  BIND_TYPES,
+  coerceBind,
+  bindStatement,
+  bindStatements
+};
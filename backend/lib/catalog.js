@@ -0,0 +1,144 @@
+const { qualifiedName, quoteIdentifier } = require('./identifiers');
+
+const CACHE_TTL_MS = parseInt(process.env.CATALOG_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 2000;
+
+// SHOW COLUMNS reports data_type as JSON, e.g. {"type":"FIXED","precision":38,"scale":0}
+const formatDataType = (dataType) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(dataType);
+  } catch (err) {
+    return dataType;
+  }
+
+  switch (parsed.type) {
+    case 'FIXED':
+      return `NUMBER(${parsed.precision},${parsed.scale})`;
+    case 'TEXT':
+      return `VARCHAR(${parsed.length})`;
+    case 'REAL':
+      return 'FLOAT';
+    case 'TIMESTAMP_LTZ':
+    case 'TIMESTAMP_NTZ':
+    case 'TIMESTAMP_TZ':
+    case 'TIME':
+      return `${parsed.type}(${parsed.scale})`;
+    default:
+      return parsed.type;
+  }
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// Catalog lookups run through the caller-supplied scope, so results always reflect
+// the grants of the identity that asked; they are cached per identity
+const createCatalog = () => {
+  const cache = new Map();
+
+  const cached = async (scope, cacheKey, loader) => {
+    const key = `${scope.key}\u0000${cacheKey}`;
+    const hit = cache.get(key);
+    if (hit && hit.expiresAt > Date.now() && !scope.refresh) {
+      return { items: hit.items, cachedAt: hit.cachedAt };
+    }
+
+    const items = await loader();
+    const cachedAt = Date.now();
+    cache.delete(key);
+    cache.set(key, { items, cachedAt, expiresAt: cachedAt + CACHE_TTL_MS });
+    while (cache.size > MAX_CACHE_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+    return { items, cachedAt };
+  };
+
+  const databases = scope => cached(scope, 'databases', async () => {
+    const rows = await scope.run('SHOW DATABASES');
+    return rows.map(row => ({ name: row.name, comment: row.comment || null, owner: row.owner })).sort(byName);
+  });
+
+  const schemas = (scope, database) => cached(scope, `schemas:${database}`, async () => {
+    const rows = await scope.run(`SHOW SCHEMAS IN DATABASE ${quoteIdentifier(database)}`);
+    return rows.map(row => ({ name: row.name, comment: row.comment || null })).sort(byName);
+  });
+
+  const objects = (scope, database, schema) => cached(scope, `objects:${database}.${schema}`, async () => {
+    const path = qualifiedName(database, schema);
+    const tables = await scope.run(`SHOW TABLES IN SCHEMA ${path}`);
+    const views = await scope.run(`SHOW VIEWS IN SCHEMA ${path}`);
+    return [
+      ...tables.map(row => ({ name: row.name, kind: 'TABLE', comment: row.comment || null, rows: row.rows })),
+      ...views.map(row => ({ name: row.name, kind: 'VIEW', comment: row.comment || null }))
+    ].sort(byName);
+  });
+
+  const columns = (scope, database, schema, object, kind = 'TABLE') => cached(scope, `columns:${database}.${schema}.${object}`, async () => {
+    const objectKind = kind.toUpperCase() === 'VIEW' ? 'VIEW' : 'TABLE';
+    const rows = await scope.run(`SHOW COLUMNS IN ${objectKind} ${qualifiedName(database, schema, object)}`);
+    return rows.map(row => ({
+      name: row.column_name,
+      type: formatDataType(row.data_type),
+      nullable: row['null?'] === 'true',
+      comment: row.comment || null
+    }));
+  });
+
+  const functions = (scope, database, schema) => cached(scope, `functions:${database}.${schema}`, async () => {
+    const rows = await scope.run(`SHOW USER FUNCTIONS IN SCHEMA ${qualifiedName(database, schema)}`);
+    return rows.map(row => ({
+      name: row.name,
+      arguments: row.arguments,
+      comment: row.description || null
+    })).sort(byName);
+  });
+
+  // Tables and columns of the session's current database and schema in one round trip,
+  // used for editor autocomplete
+  const completions = scope => cached(scope, 'completions', async () => {
+    const [context] = await scope.run('SELECT CURRENT_DATABASE() AS DATABASE_NAME, CURRENT_SCHEMA() AS SCHEMA_NAME');
+    const database = context && context.DATABASE_NAME;
+    const schema = context && context.SCHEMA_NAME;
+    if (!database || !schema) {
+      return [];
+    }
+    const rows = await scope.run(`SHOW COLUMNS IN SCHEMA ${qualifiedName(database, schema)}`);
+    const tables = new Map();
+    rows.forEach((row) => {
+      if (!tables.has(row.table_name)) {
+        tables.set(row.table_name, { database, schema, name: row.table_name, columns: [] });
+      }
+      tables.get(row.table_name).columns.push({ name: row.column_name, type: formatDataType(row.data_type) });
+    });
+    return Array.from(tables.values()).sort(byName);
+  });
+
+  // Warehouses the identity has privileges on; SHOW only lists those
+  const warehouses = scope => cached(scope, 'warehouses', async () => {
+    const rows = await scope.run('SHOW WAREHOUSES');
+    return rows.map(row => ({ name: row.name, size: row.size || null, state: row.state || null })).sort(byName);
+  });
+
+  // Roles granted to the session's user, directly or through the role hierarchy
+  const roles = scope => cached(scope, 'roles', async () => {
+    const [row] = await scope.run('SELECT CURRENT_AVAILABLE_ROLES() AS ROLES');
+    // The function returns a JSON array as text
+    const names = row && typeof row.ROLES === 'string' ? JSON.parse(row.ROLES) : ((row && row.ROLES) || []);
+    return names.map(name => ({ name })).sort(byName);
+  });
+
+  // Forget everything cached for one identity
+  const invalidate = (identityKey) => {
+    const prefix = `${identityKey}\u0000`;
+    Array.from(cache.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => cache.delete(key));
+  };
+
+  return { databases, schemas, objects, columns, functions, completions, warehouses, roles, invalidate };
+};
+
+module.exports = {
+  createCatalog,
+  formatDataType
+};
@@ -0,0 +1,39 @@
+// Snowflake reports missing grants either as "does not exist or not authorized"
+// (002003 / 42S02) or as "insufficient privileges" (003001 / 42501)
+const PRIVILEGE_ERROR_CODES = ['002003', '003001'];
+const PRIVILEGE_SQL_STATES = ['42501', '42S02'];
+
+const isPrivilegeError = (error) => {
+  if (!error) {
+    return false;
+  }
+  const code = error.code !== undefined && error.code !== null ? String(error.code).padStart(6, '0') : null;
+  return PRIVILEGE_ERROR_CODES.includes(code)
+    || PRIVILEGE_SQL_STATES.includes(error.sqlState)
+    || /not authorized|insufficient privileges/i.test(error.message || '');
+};
+
+// Summarize how the owner's and caller's rights runs of the same query differ
+const compareSides = (owner, caller) => {
+  const ownerColumns = owner.result ? owner.result.columns : [];
+  const callerColumns = caller.result ? caller.result.columns : [];
+  const ownerRows = owner.result ? owner.result.metadata.totalRowCount : null;
+  const callerRows = caller.result ? caller.result.metadata.totalRowCount : null;
+
+  return {
+    bothSucceeded: !!(owner.result && caller.result),
+    failedSides: ['owner', 'caller'].filter(side => ({ owner, caller })[side].error),
+    privilegeErrorSides: ['owner', 'caller'].filter(side => ({ owner, caller })[side].privilegeError),
+    rowCounts: { owner: ownerRows, caller: callerRows },
+    rowCountDifference: ownerRows !== null && callerRows !== null ? ownerRows - callerRows : null,
+    columnsOnlyInOwner: owner.result && caller.result ? ownerColumns.filter(col => !callerColumns.includes(col)) : [],
+    columnsOnlyInCaller: owner.result && caller.result ? callerColumns.filter(col => !ownerColumns.includes(col)) : [],
+    sameUser: !!(owner.context && caller.context) && owner.context.user === caller.context.user,
+    sameRole: !!(owner.context && caller.context) && owner.context.role === caller.context.role
+  };
+};
+
+module.exports = {
+  isPrivilegeError,
+  compareSides
+};
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const snowflake = require('snowflake-sdk');
+const { logger } = require('./logger');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Pool settings can be tuned per deployment through env vars
+const POOL_DEFAULTS = {
+  max: envInt('SNOWFLAKE_POOL_MAX', 4),
+  idleTimeoutMs: envInt('SNOWFLAKE_POOL_IDLE_TIMEOUT_MS', 10 * 60 * 1000),
+  healthCheckIntervalMs: envInt('SNOWFLAKE_POOL_HEALTH_CHECK_MS', 60 * 1000),
+  acquireTimeoutMs: envInt('SNOWFLAKE_POOL_ACQUIRE_TIMEOUT_MS', 30 * 1000),
+  connectTimeoutMs: envInt('SNOWFLAKE_CONNECT_TIMEOUT_MS', 30 * 1000)
+};
+
+const CALLER_POOL_MAX = envInt('SNOWFLAKE_CALLER_POOL_MAX', 2);
+const EVICTION_INTERVAL_MS = envInt('SNOWFLAKE_POOL_EVICTION_INTERVAL_MS', 30 * 1000);
+
+const fingerprint = (value) => crypto.createHash('sha256').update(value).digest('hex').substring(0, 16);
+
+// Connect with a hard timeout; a connection whose callback never fires is treated as failed
+const connectWithTimeout = (connection, timeoutMs) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`Timed out after ${timeoutMs}ms connecting to Snowflake`));
+      connection.destroy(() => {});
+    }, timeoutMs);
+
+    connection.connect((err, conn) => {
+      clearTimeout(timer);
+      if (err) {
+        reject(err);
+      } else {
+        resolve(conn);
+      }
+    });
+  });
+};
+
+const destroyConnection = (connection) => {
+  connection.destroy((err) => {
+    if (err) {
+      logger.warn('Failed to destroy Snowflake connection', { error: err });
+    }
+  });
+};
+
+// A bounded pool of Snowflake connections that all share one identity
+const createPool = (options) => {
+  const settings = { ...POOL_DEFAULTS, driver: snowflake, ...options };
+  const idle = [];
+  const busy = new Map();
+  const waiters = [];
+  let pending = 0;
+  let draining = false;
+
+  const size = () => idle.length + busy.size + pending;
+
+  const notify = () => {
+    const waiter = waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    }
+  };
+
+  const openConnection = async () => {
+    pending++;
+    try {
+      const connection = settings.driver.createConnection(settings.connectionOptions());
+      await connectWithTimeout(connection, settings.connectTimeoutMs);
+      if (settings.initSession) {
+        try {
+          await settings.initSession(connection);
+        } catch (err) {
+          destroyConnection(connection);
+          throw err;
+        }
+      }
+      const now = Date.now();
+      logger.info('Opened Snowflake connection', { pool: settings.name });
+      return { connection, lastUsedAt: now, lastCheckedAt: now };
+    } finally {
+      pending--;
+    }
+  };
+
+  const isHealthy = async (entry) => {
+    if (!entry.connection.isUp()) {
+      return false;
+    }
+    if (Date.now() - entry.lastCheckedAt < settings.healthCheckIntervalMs) {
+      return true;
+    }
+    try {
+      const valid = await entry.connection.isValidAsync();
+      entry.lastCheckedAt = Date.now();
+      return valid;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  const checkout = (entry) => {
+    busy.set(entry.connection, entry);
+    return entry.connection;
+  };
+
+  const tryAcquire = async () => {
+    while (idle.length > 0) {
+      const entry = idle.pop();
+      pending++;
+      let healthy;
+      try {
+        healthy = await isHealthy(entry);
+      } finally {
+        pending--;
+      }
+      if (healthy) {
+        return checkout(entry);
+      }
+      logger.warn('Discarding unhealthy Snowflake connection', { pool: settings.name });
+      destroyConnection(entry.connection);
+    }
+
+    if (size() < settings.max) {
+      try {
+        return checkout(await openConnection());
+      } catch (err) {
+        notify();
+        throw err;
+      }
+    }
+    return null;
+  };
+
+  const waitForSlot = (deadline) => {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`Timed out after ${settings.acquireTimeoutMs}ms waiting for a Snowflake connection`));
+      }, Math.max(deadline - Date.now(), 0));
+      waiter.reject = reject;
+      waiters.push(waiter);
+    });
+  };
+
+  const acquire = async () => {
+    const deadline = Date.now() + settings.acquireTimeoutMs;
+    for (;;) {
+      if (draining) {
+        throw new Error(`Connection pool ${settings.name} has been drained`);
+      }
+      const connection = await tryAcquire();
+      if (connection) {
+        return connection;
+      }
+      await waitForSlot(deadline);
+    }
+  };
+
+  const release = (connection) => {
+    const entry = busy.get(connection);
+    if (!entry) {
+      return;
+    }
+    busy.delete(connection);
+    if (draining || !connection.isUp()) {
+      destroyConnection(connection);
+    } else {
+      entry.lastUsedAt = Date.now();
+      idle.push(entry);
+    }
+    notify();
+  };
+
+  // Close a checked-out connection instead of returning it, e.g. after its session state changed
+  const destroy = (connection) => {
+    if (!busy.delete(connection)) {
+      return;
+    }
+    destroyConnection(connection);
+    notify();
+  };
+
+  // Run fn with a pooled connection and always hand it back afterwards
+  const use = async (fn) => {
+    const connection = await acquire();
+    try {
+      return await fn(connection);
+    } finally {
+      release(connection);
+    }
+  };
+
+  const evictIdle = () => {
+    const cutoff = Date.now() - settings.idleTimeoutMs;
+    for (let i = idle.length - 1; i >= 0; i--) {
+      if (idle[i].lastUsedAt < cutoff || !idle[i].connection.isUp()) {
+        const [entry] = idle.splice(i, 1);
+        destroyConnection(entry.connection);
+      }
+    }
+  };
+
+  // Close idle connections now; busy ones are closed as they are released
+  const drain = () => {
+    draining = true;
+    idle.splice(0).forEach(entry => destroyConnection(entry.connection));
+    waiters.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error(`Connection pool ${settings.name} has been drained`));
+    });
+  };
+
+  const stats = () => ({
+    name: settings.name,
+    max: settings.max,
+    size: size(),
+    idle: idle.length,
+    busy: busy.size,
+    waiting: waiters.length
+  });
+
+  return {
+    acquire,
+    release,
+    destroy,
+    use,
+    evictIdle,
+    drain,
+    stats,
+    isEmpty: () => size() === 0 && waiters.length === 0
+  };
+};
+
+// Stable key for an identity: the service identity, or one ingress user under caller's rights
+const identityKey = (identity) => {
+  if (!identity.ingressUserToken) {
+    return 'owner';
+  }
+  return `caller:${identity.ingressUser || fingerprint(identity.ingressUserToken)}`;
+};
+
+// One pool for owner's rights plus one per ingress user for caller's rights.
+// driver defaults to snowflake-sdk; the emulator passes its own
+const createPoolManager = ({ connectionOptions, initSession, driver = snowflake }) => {
+  const pools = new Map();
+
+  const getPool = (identity) => {
+    const key = identityKey(identity);
+    const tokenFingerprint = identity.ingressUserToken ? fingerprint(identity.ingressUserToken) : null;
+    const existing = pools.get(key);
+
+    if (existing && existing.tokenFingerprint === tokenFingerprint) {
+      return existing.pool;
+    }
+    if (existing) {
+      // The ingress token was rotated, so sessions opened with the old one must go
+      logger.info('Ingress user token changed, dropping its connection pool', { pool: key });
+      existing.pool.drain();
+    }
+
+    const pool = createPool({
+      name: key,
+      max: identity.ingressUserToken ? CALLER_POOL_MAX : POOL_DEFAULTS.max,
+      driver,
+      connectionOptions: () => connectionOptions(identity),
+      initSession: connection => initSession(connection, identity)
+    });
+    pools.set(key, { pool, tokenFingerprint });
+    return pool;
+  };
+
+  const evictIdle = () => {
+    pools.forEach(({ pool }, key) => {
+      pool.evictIdle();
+      if (key !== 'owner' && pool.isEmpty()) {
+        pools.delete(key);
+      }
+    });
+  };
+
+  const evictionTimer = setInterval(evictIdle, EVICTION_INTERVAL_MS);
+  evictionTimer.unref();
+
+  const drainAll = () => {
+    clearInterval(evictionTimer);
+    pools.forEach(({ pool }) => pool.drain());
+    pools.clear();
+  };
+
+  // Replace every pool, e.g. after the service credentials rotated; sessions in use
+  // finish their work and are closed when released
+  const refreshAll = () => {
+    pools.forEach(({ pool }) => pool.drain());
+    pools.clear();
+  };
+
+  const stats = () => Array.from(pools.values()).map(({ pool }) => pool.stats());
+
+  return { getPool, drainAll, refreshAll, stats };
+};
+
+module.exports = {
+  identityKey,
+  createPool,
+  createPoolManager
+};
@@ -0,0 +1,1257 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable } = require('stream');
+const initSqlJs = require('sql.js');
+const { splitStatements, stripLeadingComments } = require('./sqlSplitter');
+const { logger } = require('./logger');
+
+// Offline stand-in for snowflake-sdk: connections run against an in-memory SQLite
+// database seeded from scripts/setup-database.sql. Snowflake SQL is translated just
+// far enough for the app's own queries; everything else reports a Snowflake-style error
+
+const MAX_STORED_RESULTS = 500;
+const MAX_WAIT_SECONDS = 300;
+const OK_STATUS = 'Statement executed successfully.';
+// Rows per emulated micro-partition, so EXPLAIN can report partition counts and pruning
+const PARTITION_ROWS = 1000;
+
+const IDENTIFIER = '(?:"(?:[^"]|"")+"|[A-Za-z_][A-Za-z0-9_$]*)';
+const QUALIFIED_NAME = `${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER}){0,2}`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+// Snowflake functions with a direct SQLite equivalent
+const FUNCTION_ALIASES = {
+  OBJECT_CONSTRUCT: 'json_object',
+  ARRAY_CONSTRUCT: 'json_array',
+  PARSE_JSON: 'json',
+  IFF: 'iif',
+  NVL: 'ifnull',
+  TO_VARCHAR: 'CAST_TEXT',
+  SYSDATE: 'CURRENT_TIMESTAMP_FN'
+};
+
+const emulatorError = (message, code = '002003', sqlState = '42S02') => Object.assign(new Error(message), { code, sqlState });
+
+// Unquoted identifiers are case-insensitive and stored upper-case, as in Snowflake
+const normalizeName = name => (name.startsWith('"') ? name.slice(1, -1).replace(/""/g, '"') : name.toUpperCase());
+
+const splitQualifiedName = text => (text.match(new RegExp(IDENTIFIER, 'g')) || []).map(normalizeName);
+
+const quoteSqlite = name => `"${name.replace(/"/g, '""')}"`;
+
+const likePattern = pattern => new RegExp(`^${pattern
+  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/%/g, '.*')
+  .replace(/_/g, '.')}$`, 'i');
+
+// Snowflake string literals allow backslash escapes, SQLite's only doubled quotes
+const readStringLiteral = (sql, start) => {
+  let value = '';
+  let i = start + 1;
+  const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0' };
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (ch === '\\' && i + 1 < sql.length) {
+      value += escapes[sql[i + 1]] || sql[i + 1];
+      i += 2;
+    } else if (ch === "'" && sql[i + 1] === "'") {
+      value += "'";
+      i += 2;
+    } else if (ch === "'") {
+      return { value, end: i + 1 };
+    } else {
+      value += ch;
+      i++;
+    }
+  }
+  return { value, end: sql.length };
+};
+
+const sqliteString = value => `'${value.replace(/'/g, "''")}'`;
+
+// Apply rewrite() to the code between literals and comments; literals are re-emitted
+// in SQLite syntax and comments are dropped
+const rewriteCode = (sql, rewrite) => {
+  let output = '';
+  let code = '';
+  let i = 0;
+  const flush = () => {
+    output += rewrite(code);
+    code = '';
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    if (ch === "'") {
+      const literal = readStringLiteral(sql, i);
+      flush();
+      output += sqliteString(literal.value);
+      i = literal.end;
+    } else if (ch === '$' && next === '$' && !/[A-Za-z0-9_$]/.test(sql[i - 1] || '')) {
+      const end = sql.indexOf('$$', i + 2);
+      flush();
+      output += sqliteString(sql.substring(i + 2, end === -1 ? sql.length : end));
+      i = end === -1 ? sql.length : end + 2;
+    } else if (ch === '"') {
+      const end = sql.indexOf('"', i + 1);
+      code += sql.substring(i, end === -1 ? sql.length : end + 1);
+      i = end === -1 ? sql.length : end + 1;
+    } else if ((ch === '-' && next === '-') || (ch === '/' && next === '/')) {
+      const end = sql.indexOf('\n', i);
+      code += ' ';
+      i = end === -1 ? sql.length : end;
+    } else if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      code += ' ';
+      i = end === -1 ? sql.length : end + 2;
+    } else {
+      code += ch;
+      i++;
+    }
+  }
+  flush();
+  return output;
+};
+
+// Text of the first string literal or $$ block in sql
+const literalValue = (sql) => {
+  const dollar = sql.match(/\$\$([\s\S]*?)\$\$/);
+  const quote = sql.indexOf("'");
+  if (dollar && (quote === -1 || dollar.index < quote)) {
+    return dollar[1];
+  }
+  return quote === -1 ? null : readStringLiteral(sql, quote).value;
+};
+
+// Table and view comments, which SQLite has no place for
+const extractComment = (sql) => {
+  const match = sql.match(/\s+COMMENT\s*=\s*'((?:[^'\\]|\\.|'')*)'/i);
+  if (!match) {
+    return { sql, comment: null };
+  }
+  return {
+    sql: sql.substring(0, match.index) + sql.substring(match.index + match[0].length),
+    comment: readStringLiteral(match[0], match[0].indexOf("'")).value
+  };
+};
+
+// Snowflake column type as SHOW COLUMNS reports it, from a declared SQLite type
+const describeDataType = (declared) => {
+  const type = (declared || '').toUpperCase();
+  const size = (type.match(/\(([^)]*)\)/) || [null, ''])[1].split(',').map(part => parseInt(part, 10));
+  if (/^(NUMBER|NUMERIC|DECIMAL|INT|INTEGER|BIGINT|SMALLINT|TINYINT|BYTEINT)/.test(type)) {
+    return { type: 'FIXED', precision: size[0] || 38, scale: size[1] || 0, nullable: true };
+  }
+  if (/^(FLOAT|DOUBLE|REAL)/.test(type)) {
+    return { type: 'REAL', nullable: true };
+  }
+  const base = type.replace(/\(.*$/, '').trim();
+  if (/^(TIMESTAMP|DATETIME)/.test(base)) {
+    return { type: /^TIMESTAMP_(LTZ|TZ)$/.test(base) ? base : 'TIMESTAMP_NTZ', precision: 0, scale: 9, nullable: true };
+  }
+  if (/^(DATE|TIME|BOOLEAN|VARIANT|OBJECT|ARRAY|BINARY)$/.test(base)) {
+    return { type: base, nullable: true };
+  }
+  return { type: 'TEXT', length: size[0] || 16777216, byteLength: (size[0] || 16777216) * 4, fixed: false, nullable: true };
+};
+
+const displayDataType = (dataType) => {
+  switch (dataType.type) {
+    case 'FIXED':
+      return `NUMBER(${dataType.precision},${dataType.scale})`;
+    case 'TEXT':
+      return `VARCHAR(${dataType.length})`;
+    case 'REAL':
+      return 'FLOAT';
+    default:
+      return dataType.type;
+  }
+};
+
+// Result column types are inferred from the values, since SQLite keeps no declared type for expressions
+const inferColumnType = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) {
+    return 'text';
+  }
+  if (present.every(value => typeof value === 'number')) {
+    return present.every(Number.isInteger) ? 'fixed' : 'real';
+  }
+  if (present.every(value => value instanceof Uint8Array)) {
+    return 'binary';
+  }
+  if (present.every(value => typeof value === 'string')) {
+    if (present.every(value => DATE_PATTERN.test(value))) {
+      return 'date';
+    }
+    if (present.every(value => TIMESTAMP_PATTERN.test(value))) {
+      return 'timestamp_ntz';
+    }
+    const json = present.every((value) => {
+      if (!/^\s*[{[]/.test(value)) {
+        return false;
+      }
+      try {
+        JSON.parse(value);
+        return true;
+      } catch (err) {
+        return false;
+      }
+    });
+    if (json) {
+      return present[0].trim().startsWith('[') ? 'array' : 'object';
+    }
+  }
+  return 'text';
+};
+
+const convertValue = (value, type) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (type) {
+    case 'date':
+      return new Date(`${value}T00:00:00Z`);
+    case 'timestamp_ntz':
+      return new Date(`${value.replace(' ', 'T')}Z`);
+    case 'object':
+    case 'array':
+      return JSON.parse(value);
+    case 'binary':
+      return Buffer.from(value);
+    default:
+      return value;
+  }
+};
+
+// Snowflake upper-cases unquoted names, SQLite reports them as written
+const resultColumnName = name => (name === name.toLowerCase() ? name.toUpperCase() : name);
+
+// A result built from rows of plain values: { columns: [{ name, type }], rows: [{...}] }
+const buildResult = (names, valueRows) => {
+  const columns = names.map((name, index) => ({
+    name: resultColumnName(name),
+    type: inferColumnType(valueRows.map(row => row[index]))
+  }));
+  const rows = valueRows.map((values) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column.name] = convertValue(values[index], column.type);
+    });
+    return row;
+  });
+  return { columns, rows };
+};
+
+// A result from row objects whose keys are used verbatim, e.g. SHOW output's lower-case columns
+const objectResult = (rows, names = rows.length ? Object.keys(rows[0]) : ['status']) => {
+  const valueOf = (row, name) => (row[name] === undefined ? null : row[name]);
+  // SHOW output reports JSON such as data_type as text, so only scalar types are inferred
+  const columns = names.map((name) => {
+    const type = inferColumnType(rows.map(row => valueOf(row, name)));
+    return { name, type: type === 'object' || type === 'array' ? 'text' : type };
+  });
+  return {
+    columns,
+    rows: rows.map(row => Object.fromEntries(columns.map(column => [column.name, convertValue(valueOf(row, column.name), column.type)])))
+  };
+};
+
+const statusResult = status => objectResult([{ status }]);
+
+// Report an error's "line N at position P" against text that had prefix in front of it
+const shiftErrorLocation = (error, prefix) => {
+  const lines = prefix.split('\n');
+  error.message = error.message.replace(/line (\d+) at position (\d+)/, (text, line, position) => (line === '1'
+    ? `line ${lines.length} at position ${Number(position) + lines[lines.length - 1].length}`
+    : `line ${Number(line) + lines.length - 1} at position ${position}`));
+  return error;
+};
+
+// Map SQLite's messages onto the Snowflake errors the app and its users expect
+const translateError = (error, sql) => {
+  const message = error.message || String(error);
+  const positionOf = (token) => {
+    const index = Math.max(sql.toUpperCase().indexOf(token.toUpperCase()), 0);
+    const before = sql.substring(0, index).split('\n');
+    return `line ${before.length} at position ${before[before.length - 1].length}`;
+  };
+  let match = message.match(/no such (?:table|view): (\S+)/);
+  if (match) {
+    return emulatorError(`SQL compilation error:\nObject '${match[1].toUpperCase()}' does not exist or not authorized.`, '002003', '42S02');
+  }
+  match = message.match(/no such column: (\S+)/);
+  if (match) {
+    return emulatorError(`SQL compilation error: error ${positionOf(match[1])}\ninvalid identifier '${match[1].toUpperCase()}'`, '000904', '42000');
+  }
+  match = message.match(/near "([^"]*)": syntax error/);
+  if (match) {
+    return emulatorError(`SQL compilation error:\nsyntax error ${positionOf(match[1])} unexpected '${match[1]}'.`, '001003', '42000');
+  }
+  match = message.match(/incomplete input/);
+  if (match) {
+    return emulatorError('SQL compilation error:\nsyntax error: unexpected end of input.', '001003', '42000');
+  }
+  match = message.match(/no such function: (\S+)/);
+  if (match) {
+    return emulatorError(`SQL compilation error:\nUnknown function ${match[1].toUpperCase()}`, '002140', '42601');
+  }
+  match = message.match(/(?:table|view|index) (\S+) already exists/);
+  if (match) {
+    return emulatorError(`SQL compilation error:\nObject '${match[1].toUpperCase()}' already exists.`, '002002', '42710');
+  }
+  return emulatorError(message, '100000', '22000');
+};
+
+// The SQL engine shared by every emulated connection
+const createEngine = (SQL, { databaseName, schemaName, warehouses }) => {
+  const db = new SQL.Database();
+  const createdOn = new Date().toISOString();
+  const databases = new Map();
+  const comments = new Map();
+  const sqlFunctions = new Map();
+  let activeSession = null;
+
+  // Roles granted to a session's user: its primary role, which inherits PUBLIC like every role
+  const availableRoles = session => Array.from(new Set([session.role, 'PUBLIC']));
+  // Warehouses with USAGE granted to the primary role or one of the secondary roles
+  const grantedWarehouses = (session) => {
+    const secondary = session.secondaryRoles === 'ALL' ? availableRoles(session) : (session.secondaryRoles || '').split(',').filter(Boolean);
+    const roles = new Set([...availableRoles(session), ...secondary]);
+    return warehouses.filter(warehouse => warehouse.roles.some(role => roles.has(role)));
+  };
+
+  const sessionValue = key => () => (activeSession ? activeSession[key] : null);
+  db.create_function('CURRENT_USER', sessionValue('user'));
+  db.create_function('CURRENT_ROLE', sessionValue('role'));
+  db.create_function('CURRENT_DATABASE', sessionValue('database'));
+  db.create_function('CURRENT_SCHEMA', sessionValue('schema'));
+  db.create_function('CURRENT_WAREHOUSE', sessionValue('warehouse'));
+  db.create_function('CURRENT_SESSION', sessionValue('sessionId'));
+  db.create_function('CURRENT_ACCOUNT', () => 'EMULATOR');
+  db.create_function('CURRENT_REGION', () => 'EMULATOR');
+  db.create_function('CURRENT_VERSION', () => 'emulator');
+  db.create_function('CURRENT_TIMESTAMP_FN', () => new Date().toISOString().replace('T', ' ').substring(0, 19));
+  db.create_function('CURRENT_SECONDARY_ROLES', () => JSON.stringify({ roles: activeSession ? activeSession.secondaryRoles : '', value: '' }));
+  db.create_function('CURRENT_AVAILABLE_ROLES', () => JSON.stringify(activeSession ? availableRoles(activeSession) : []));
+  db.create_function('IS_ROLE_IN_SESSION', role => (activeSession && String(role).toUpperCase() === activeSession.role ? 1 : 0));
+  db.create_function('CAST_TEXT', value => (value === null ? null : String(value)));
+  // Registered per arity, as SQLite takes the argument count from the function's length
+  const systemWait = (amount, unit) => `waited ${amount} ${(unit || 'seconds').toLowerCase()}`;
+  db.create_function('SYSTEM$WAIT', amount => systemWait(amount));
+  db.create_function('SYSTEM$WAIT', systemWait);
+
+  const addDatabase = (name, comment = null) => {
+    if (!databases.has(name)) {
+      databases.set(name, { comment, schemas: new Map([['PUBLIC', { comment: null }]]) });
+    } else if (comment) {
+      databases.get(name).comment = comment;
+    }
+    return databases.get(name);
+  };
+  addDatabase(databaseName).schemas.set(schemaName, { comment: null });
+
+  const schemaNames = () => new Set(Array.from(databases.values()).flatMap(entry => Array.from(entry.schemas.keys())));
+
+  // Everything lives in one SQLite namespace, so drop database/schema prefixes that name known ones
+  const stripQualifiers = code => code.replace(
+    new RegExp(`(${IDENTIFIER})\\s*\\.\\s*(?:(${IDENTIFIER})\\s*\\.\\s*)?(?=${IDENTIFIER})`, 'g'),
+    (match, first, second) => {
+      if (second) {
+        const database = databases.get(normalizeName(first));
+        return database && database.schemas.has(normalizeName(second)) ? '' : match;
+      }
+      return schemaNames().has(normalizeName(first)) ? '' : match;
+    }
+  );
+
+  const translateCode = (code) => {
+    let result = stripQualifiers(code)
+      // Casts are dropped: values keep the type SQLite gives them
+      .replace(/::\s*[A-Za-z_][A-Za-z0-9_]*(\s*\(\s*\d+(\s*,\s*\d+)?\s*\))?/g, '')
+      // Numeric bind placeholders :1, :2, ... become SQLite's ?1, ?2, ...
+      .replace(/(^|[^:\w?]):(\d+)/g, '$1?$2')
+      .replace(/\bCURRENT_(TIMESTAMP|DATE|TIME)\s*\(\s*\)/gi, 'CURRENT_$1')
+      .replace(/\bILIKE\b/gi, 'LIKE')
+      .replace(/\b[A-Za-z_][A-Za-z0-9_]*(?:\s*\([^()]*\))?\s+(?:AUTOINCREMENT|IDENTITY)(?:\s*\(\s*\d+\s*,\s*\d+\s*\)|\s+START\s+\d+\s+INCREMENT\s+\d+)?(\s+PRIMARY\s+KEY)?/gi,
+        (match, primaryKey) => (primaryKey ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'INTEGER'));
+    Object.entries(FUNCTION_ALIASES).forEach(([name, alias]) => {
+      result = result.replace(new RegExp(`\\b${name.replace('$', '\\$')}\\s*\\(`, 'gi'), `${alias}(`);
+    });
+    // SQL functions from the seed script are expanded inline
+    sqlFunctions.forEach((fn, name) => {
+      result = result.replace(new RegExp(`\\b${name.replace(/\$/g, '\\$')}\\s*\\(\\s*\\)`, 'gi'), `(${fn.expression})`);
+    });
+    return result;
+  };
+
+  const translate = sql => rewriteCode(sql, translateCode);
+
+  // SQLite names an unaliased column after its expression as rewritten; Snowflake names it after
+  // the upper-cased text as written, e.g. GET_CURRENT_CONTEXT() rather than the expanded body
+  const columnName = (name) => {
+    let original = name;
+    sqlFunctions.forEach((fn, fnName) => {
+      original = original.split(`(${fn.expression})`).join(`${fnName}()`);
+    });
+    Object.entries(FUNCTION_ALIASES).forEach(([fnName, alias]) => {
+      original = original.split(`${alias}(`).join(`${fnName}(`);
+    });
+    return original === name ? name : original.toUpperCase();
+  };
+
+  const bindValue = (value) => {
+    if (value === undefined) {
+      return null;
+    }
+    return typeof value === 'boolean' ? Number(value) : value;
+  };
+
+  const runSql = (session, sql, binds) => {
+    let statement;
+    try {
+      statement = db.prepare(translate(sql));
+    } catch (err) {
+      throw translateError(err, sql);
+    }
+
+    activeSession = session;
+    try {
+      if (binds && binds.length) {
+        statement.bind(binds.map(bindValue));
+      }
+      const names = statement.getColumnNames().map(columnName);
+      const valueRows = [];
+      while (statement.step()) {
+        valueRows.push(statement.get());
+      }
+      if (names.length > 0) {
+        return buildResult(names, valueRows);
+      }
+    } catch (err) {
+      throw translateError(err, sql);
+    } finally {
+      activeSession = null;
+      statement.free();
+    }
+
+    const changed = db.getRowsModified();
+    const verb = sql.trim().split(/\s+/)[0].toUpperCase();
+    if (verb === 'INSERT') {
+      return objectResult([{ 'number of rows inserted': changed }]);
+    }
+    if (verb === 'UPDATE') {
+      return objectResult([{ 'number of rows updated': changed, 'number of multi-joined rows updated': 0 }]);
+    }
+    if (verb === 'DELETE') {
+      return objectResult([{ 'number of rows deleted': changed }]);
+    }
+    return statusResult(OK_STATUS);
+  };
+
+  const objectsOfType = type => db.exec(
+    `SELECT name, sql FROM sqlite_master WHERE type = '${type}' AND name NOT LIKE 'sqlite_%' ORDER BY name`
+  ).flatMap(result => result.values.map(([name, sql]) => ({ name, sql })));
+
+  const findObject = (name) => {
+    const rows = db.exec(`SELECT type FROM sqlite_master WHERE name = ${sqliteString(name)} COLLATE NOCASE`);
+    return rows.length ? rows[0].values[0][0] : null;
+  };
+
+  const requireDatabase = (name) => {
+    if (!databases.has(name)) {
+      throw emulatorError(`SQL compilation error:\nDatabase '${name}' does not exist or not authorized.`, '002043', '02000');
+    }
+    return databases.get(name);
+  };
+
+  // Resolve "IN [DATABASE|SCHEMA] a[.b]" scope of a SHOW command to { database, schema }
+  const showScope = (session, scopeText) => {
+    if (!scopeText) {
+      return { database: session.database, schema: session.schema };
+    }
+    const match = scopeText.match(/^IN\s+(ACCOUNT|DATABASE|SCHEMA)?\s*(.*)$/i);
+    const kind = match[1] ? match[1].toUpperCase() : null;
+    const parts = splitQualifiedName(match[2] || '');
+    if (kind === 'ACCOUNT') {
+      return { database: null, schema: null };
+    }
+    if (kind === 'DATABASE' || (!kind && parts.length === 1 && databases.has(parts[0]))) {
+      requireDatabase(parts[0] || session.database);
+      return { database: parts[0] || session.database, schema: null };
+    }
+    const database = parts.length > 1 ? parts[0] : session.database;
+    const schema = parts[parts.length - 1] || session.schema;
+    if (!requireDatabase(database).schemas.has(schema)) {
+      throw emulatorError(`SQL compilation error:\nSchema '${database}.${schema}' does not exist or not authorized.`, '002003', '02000');
+    }
+    return { database, schema };
+  };
+
+  const filterLike = (rows, like, key = 'name') => {
+    if (!like) {
+      return rows;
+    }
+    const pattern = likePattern(literalValue(like));
+    return rows.filter(row => pattern.test(row[key]));
+  };
+
+  // Objects live in the configured database and schema only
+  const inScope = scope => (!scope.database || scope.database === databaseName) && (!scope.schema || scope.schema === schemaName);
+
+  const columnsOf = (name) => {
+    const type = findObject(name);
+    if (!type) {
+      throw emulatorError(`SQL compilation error:\nObject '${name}' does not exist or not authorized.`, '002003', '42S02');
+    }
+    const columns = db.exec(`PRAGMA table_info(${quoteSqlite(name)})`);
+    const rows = columns.length ? columns[0].values : [];
+    if (type === 'view') {
+      // Views have no declared types, so infer them from the data
+      const sample = runSql(null, `SELECT * FROM ${quoteSqlite(name)}`);
+      return sample.columns.map(column => ({
+        name: column.name,
+        dataType: describeDataType({ fixed: 'NUMBER', real: 'FLOAT', date: 'DATE', timestamp_ntz: 'TIMESTAMP_NTZ', object: 'OBJECT', array: 'ARRAY', binary: 'BINARY' }[column.type] || 'VARCHAR'),
+        notNull: false,
+        defaultValue: null,
+        primaryKey: false
+      }));
+    }
+    return rows.map(([, columnName, declared, notNull, defaultValue, primaryKey]) => ({
+      name: columnName,
+      dataType: describeDataType(declared),
+      notNull: !!notNull,
+      defaultValue,
+      primaryKey: !!primaryKey
+    }));
+  };
+
+  const objectName = text => splitQualifiedName(text).pop();
+
+  const SHOW_COMMANDS = [
+    [/^DATABASES$/i, session => Array.from(databases.entries()).map(([name, entry]) => ({
+      created_on: createdOn,
+      name,
+      is_default: 'N',
+      is_current: name === session.database ? 'Y' : 'N',
+      owner: 'ACCOUNTADMIN',
+      comment: entry.comment || ''
+    }))],
+    [/^SCHEMAS$/i, (session, scope) => {
+      const names = scope.database ? [scope.database] : Array.from(databases.keys());
+      return names.flatMap(database => Array.from(requireDatabase(database).schemas.entries()).map(([name, entry]) => ({
+        created_on: createdOn,
+        name,
+        is_default: 'N',
+        is_current: database === session.database && name === session.schema ? 'Y' : 'N',
+        database_name: database,
+        owner: 'ACCOUNTADMIN',
+        comment: entry.comment || ''
+      })));
+    }],
+    [/^(?:TERSE\s+)?TABLES$/i, (session, scope) => (inScope(scope) ? objectsOfType('table') : []).map(({ name }) => ({
+      created_on: createdOn,
+      name,
+      database_name: databaseName,
+      schema_name: schemaName,
+      kind: 'TABLE',
+      comment: comments.get(name) || '',
+      rows: db.exec(`SELECT COUNT(*) FROM ${quoteSqlite(name)}`)[0].values[0][0],
+      owner: session.role
+    }))],
+    [/^(?:TERSE\s+)?VIEWS$/i, (session, scope) => (inScope(scope) ? objectsOfType('view') : []).map(({ name, sql }) => ({
+      created_on: createdOn,
+      name,
+      database_name: databaseName,
+      schema_name: schemaName,
+      owner: session.role,
+      comment: comments.get(name) || '',
+      text: sql
+    }))],
+    [/^(?:TERSE\s+)?OBJECTS$/i, (session, scope) => (inScope(scope) ? [...objectsOfType('table'), ...objectsOfType('view')] : []).map(({ name }) => ({
+      created_on: createdOn,
+      name,
+      database_name: databaseName,
+      schema_name: schemaName,
+      kind: findObject(name).toUpperCase(),
+      comment: comments.get(name) || ''
+    }))],
+    [/^(?:USER\s+)?FUNCTIONS$/i, (session, scope) => (inScope(scope) ? Array.from(sqlFunctions.entries()) : []).map(([name, fn]) => ({
+      created_on: createdOn,
+      name,
+      schema_name: schemaName,
+      is_builtin: 'N',
+      is_aggregate: 'N',
+      min_num_arguments: 0,
+      max_num_arguments: 0,
+      arguments: `${name}() RETURN ${fn.returns}`,
+      description: fn.comment || 'user-defined function',
+      catalog_name: databaseName,
+      language: 'SQL'
+    }))],
+    [/^WAREHOUSES$/i, session => grantedWarehouses(session).map(warehouse => ({
+      name: warehouse.name,
+      state: 'STARTED',
+      type: 'STANDARD',
+      size: warehouse.size,
+      is_current: warehouse.name === session.warehouse ? 'Y' : 'N'
+    }))]
+  ];
+
+  const show = (session, text) => {
+    const match = text.match(/^SHOW\s+([A-Z ]+?)(\s+LIKE\s+'(?:[^'\\]|\\.|'')*')?(\s+IN\s+[\s\S]*)?$/i);
+    if (!match) {
+      return objectResult([], ['name']);
+    }
+
+    const columnsMatch = match[1].match(/^COLUMNS$/i);
+    if (columnsMatch) {
+      // IN TABLE/VIEW names one object; schema, database and account scopes list every object in them
+      const scopeText = (match[3] || '').trim();
+      const target = scopeText.match(/^IN\s+(?:(TABLE|VIEW)\s+)?([\s\S]+)$/i);
+      const names = target && (target[1] || findObject(objectName(target[2])))
+        ? [objectName(target[2])]
+        : (inScope(showScope(session, scopeText)) ? [...objectsOfType('table'), ...objectsOfType('view')].map(({ name }) => name) : []);
+      const rows = names.flatMap(name => columnsOf(name).map(column => ({
+        table_name: name,
+        schema_name: schemaName,
+        column_name: column.name,
+        data_type: JSON.stringify(column.dataType),
+        'null?': column.notNull ? 'false' : 'true',
+        default: column.defaultValue || '',
+        kind: 'COLUMN',
+        expression: '',
+        comment: '',
+        database_name: databaseName
+      })));
+      return objectResult(filterLike(rows, match[2], 'column_name'), Object.keys(rows[0] || { column_name: null }));
+    }
+
+    const command = SHOW_COMMANDS.find(([pattern]) => pattern.test(match[1].trim()));
+    if (!command) {
+      // Anything else the emulator knows nothing about, e.g. SHOW PROCEDURES
+      return objectResult([], ['name']);
+    }
+    const rows = filterLike(command[1](session, showScope(session, (match[3] || '').trim())), match[2]);
+    return rows.length ? objectResult(rows) : objectResult([], ['name']);
+  };
+
+  const describe = (session, text) => {
+    const match = text.match(new RegExp(`^DESC(?:RIBE)?\\s+(?:TABLE|VIEW)?\\s*(${QUALIFIED_NAME})`, 'i'));
+    if (!match) {
+      throw emulatorError('SQL compilation error:\nDESCRIBE is only supported for tables and views in the emulator.', '001003', '42000');
+    }
+    return objectResult(columnsOf(objectName(match[1])).map(column => ({
+      name: column.name,
+      type: displayDataType(column.dataType),
+      kind: 'COLUMN',
+      'null?': column.notNull ? 'N' : 'Y',
+      default: column.defaultValue,
+      'primary key': column.primaryKey ? 'Y' : 'N',
+      'unique key': 'N',
+      comment: null
+    })));
+  };
+
+  const use = (session, text) => {
+    const secondary = text.match(/^USE\s+SECONDARY\s+ROLES\s+([\s\S]+)$/i);
+    if (secondary) {
+      const value = secondary[1].trim();
+      if (/^(ALL|NONE)$/i.test(value)) {
+        session.secondaryRoles = /^ALL$/i.test(value) ? 'ALL' : '';
+        return statusResult(OK_STATUS);
+      }
+      const roles = splitQualifiedName(value);
+      const unknown = roles.find(role => !availableRoles(session).includes(role));
+      if (unknown) {
+        throw emulatorError(`Role '${unknown}' specified in the USE command does not exist or not authorized.`, '003013', '42501');
+      }
+      session.secondaryRoles = roles.join(',');
+      return statusResult(OK_STATUS);
+    }
+    const match = text.match(new RegExp(`^USE\\s+(?:(DATABASE|SCHEMA|WAREHOUSE|ROLE)\\s+)?(${QUALIFIED_NAME})$`, 'i'));
+    if (!match) {
+      throw emulatorError(`SQL compilation error:\nsyntax error line 1 at position 0 unexpected '${text}'.`, '001003', '42000');
+    }
+    const kind = (match[1] || 'DATABASE').toUpperCase();
+    const parts = splitQualifiedName(match[2]);
+    if (kind === 'DATABASE') {
+      requireDatabase(parts[0]);
+      session.database = parts[0];
+      session.schema = databases.get(parts[0]).schemas.has('PUBLIC') ? 'PUBLIC' : null;
+    } else if (kind === 'SCHEMA') {
+      const database = parts.length > 1 ? parts[0] : session.database;
+      const schema = parts[parts.length - 1];
+      if (!database || !requireDatabase(database).schemas.has(schema)) {
+        throw emulatorError(`SQL compilation error:\nSchema '${schema}' does not exist or not authorized.`, '002003', '02000');
+      }
+      session.database = database;
+      session.schema = schema;
+    } else if (kind === 'WAREHOUSE') {
+      if (!grantedWarehouses(session).some(warehouse => warehouse.name === parts[0])) {
+        throw emulatorError(`Object does not exist, or operation cannot be performed.\nWarehouse '${parts[0]}' does not exist or not authorized.`, '002043', '02000');
+      }
+      session.warehouse = parts[0];
+    } else {
+      session.role = parts[0];
+    }
+    return statusResult(OK_STATUS);
+  };
+
+  const setSessionState = (session, text) => {
+    const tag = text.match(/QUERY_TAG\s*=\s*('(?:[^'\\]|\\.|'')*')/i);
+    if (tag) {
+      session.queryTag = readStringLiteral(tag[1], 0).value;
+    }
+    return statusResult(OK_STATUS);
+  };
+
+  // Grants made by GRANT and REVOKE, as { privilege, grantedOn, name, role, caller, grantedBy }.
+  // They are reported by SHOW [CALLER] GRANTS TO ROLE but not enforced. Objects are owned by the
+  // role that created them
+  const grants = [];
+
+  // Fully qualified name of a grant's object; every table and view lives in the one emulated schema
+  const grantName = (type, text) => {
+    const parts = splitQualifiedName(text);
+    switch (type) {
+      case 'DATABASE':
+      case 'ROLE':
+      case 'WAREHOUSE':
+        return parts[0];
+      case 'SCHEMA':
+        return parts.length > 1 ? `${parts[0]}.${parts[1]}` : `${databaseName}.${parts[0]}`;
+      default:
+        return `${databaseName}.${schemaName}.${parts[parts.length - 1]}`;
+    }
+  };
+
+  const removeGrants = match => grants.splice(0, grants.length, ...grants.filter(grant => !match(grant)));
+
+  const setOwner = (session, grantedOn, name) => {
+    removeGrants(grant => grant.privilege === 'OWNERSHIP' && grant.grantedOn === grantedOn && grant.name === name);
+    grants.push({ privilege: 'OWNERSHIP', grantedOn, name, role: session ? session.role : 'ACCOUNTADMIN', caller: false, grantedBy: '' });
+  };
+
+  const GRANT_ROLE_PATTERN = new RegExp(`^(GRANT|REVOKE)\\s+ROLE\\s+(${IDENTIFIER})\\s+(?:TO|FROM)\\s+(ROLE|USER)\\s+(${IDENTIFIER})`, 'i');
+  const GRANT_PATTERN = new RegExp(`^(GRANT|REVOKE)\\s+(?:(?:INHERITED\\s+)?(CALLER)\\s+)?([\\s\\S]+?)\\s+ON\\s+(?:(ALL|FUTURE)\\s+(\\w+?)S\\s+IN\\s+(DATABASE|SCHEMA)\\s+(${QUALIFIED_NAME})|(\\w+)\\s+(${QUALIFIED_NAME}))\\s+(?:TO|FROM)\\s+(?:ROLE\\s+)?(${IDENTIFIER})\\s*(?:WITH\\s+GRANT\\s+OPTION)?$`, 'i');
+
+  // Record or remove grants of object privileges, caller grants and roles. Grants on ALL objects of
+  // a schema cover the tables and views it has now; caller grants on ALL objects are kept on the
+  // container, as inherited caller grants apply to its objects. FUTURE grants are accepted and ignored
+  const grantPrivileges = (session, text) => {
+    const roleMatch = text.match(GRANT_ROLE_PATTERN);
+    if (roleMatch) {
+      if (roleMatch[3].toUpperCase() === 'ROLE') {
+        const entry = { privilege: 'USAGE', grantedOn: 'ROLE', name: normalizeName(roleMatch[2]), role: normalizeName(roleMatch[4]) };
+        removeGrants(grant => !grant.caller && grant.grantedOn === 'ROLE' && grant.name === entry.name && grant.role === entry.role);
+        if (roleMatch[1].toUpperCase() === 'GRANT') {
+          grants.push({ ...entry, caller: false, grantedBy: session.role });
+        }
+      }
+      return statusResult(OK_STATUS);
+    }
+
+    const match = text.match(GRANT_PATTERN);
+    if (!match || (match[4] && match[4].toUpperCase() === 'FUTURE')) {
+      return statusResult(OK_STATUS);
+    }
+    const [, verb, caller, privilegeList, all, allType, containerType, containerName, type, name, role] = match;
+    const privileges = privilegeList.split(',').map(privilege => privilege.trim().toUpperCase().replace(/^ALL PRIVILEGES$/, 'ALL'));
+    const isCaller = !!caller;
+    const roleName = normalizeName(role);
+
+    let targets;
+    if (!all) {
+      const grantedOn = type.toUpperCase();
+      targets = [{ grantedOn, name: grantName(grantedOn, name) }];
+    } else if (isCaller) {
+      const grantedOn = containerType.toUpperCase();
+      targets = [{ grantedOn, name: grantName(grantedOn, containerName) }];
+    } else {
+      const kind = allType.toUpperCase();
+      const scope = containerType.toUpperCase() === 'SCHEMA'
+        ? { database: grantName('SCHEMA', containerName).split('.')[0], schema: grantName('SCHEMA', containerName).split('.')[1] }
+        : { database: grantName('DATABASE', containerName), schema: null };
+      targets = (['TABLE', 'VIEW'].includes(kind) && inScope(scope) ? objectsOfType(kind.toLowerCase()) : [])
+        .map(object => ({ grantedOn: kind, name: grantName(kind, object.name) }));
+    }
+
+    targets.forEach(target => privileges.forEach((privilege) => {
+      removeGrants(existing => existing.caller === isCaller && existing.privilege === privilege
+        && existing.grantedOn === target.grantedOn && existing.name === target.name && existing.role === roleName);
+      if (verb.toUpperCase() === 'GRANT') {
+        grants.push({ privilege, ...target, role: roleName, caller: isCaller, grantedBy: session.role });
+      }
+    }));
+    return statusResult(OK_STATUS);
+  };
+
+  const showGrants = (session, text) => {
+    const match = text.match(new RegExp(`^SHOW\\s+(CALLER\\s+)?GRANTS\\s+TO\\s+ROLE\\s+(${IDENTIFIER})\\s*$`, 'i'));
+    if (!match) {
+      throw emulatorError('SQL compilation error:\nThe emulator only supports SHOW [CALLER] GRANTS TO ROLE <name>.', '001003', '42000');
+    }
+    const role = normalizeName(match[2]);
+    return objectResult(grants
+      .filter(grant => grant.role === role && grant.caller === !!match[1])
+      .map(grant => ({
+        created_on: createdOn,
+        privilege: grant.privilege,
+        granted_on: grant.grantedOn,
+        name: grant.name,
+        granted_to: 'ROLE',
+        grantee_name: grant.role,
+        grant_option: 'false',
+        granted_by: grant.grantedBy
+      })), ['created_on', 'privilege', 'granted_on', 'name', 'granted_to', 'grantee_name', 'grant_option', 'granted_by']);
+  };
+
+  const createContainer = (session, text) => {
+    const match = text.match(new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?(?:TRANSIENT\\s+)?(DATABASE|SCHEMA)\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QUALIFIED_NAME})`, 'i'));
+    const { comment } = extractComment(text);
+    const parts = splitQualifiedName(match[2]);
+    if (match[1].toUpperCase() === 'DATABASE') {
+      const existed = databases.has(parts[0]);
+      addDatabase(parts[0], comment);
+      if (!existed) {
+        setOwner(session, 'DATABASE', parts[0]);
+        setOwner(session, 'SCHEMA', `${parts[0]}.PUBLIC`);
+      }
+      return statusResult(`Database ${parts[0]} successfully created.`);
+    }
+    const database = parts.length > 1 ? parts[0] : databaseName;
+    const schemas = requireDatabase(database).schemas;
+    if (!schemas.has(parts[parts.length - 1])) {
+      setOwner(session, 'SCHEMA', `${database}.${parts[parts.length - 1]}`);
+    }
+    schemas.set(parts[parts.length - 1], { comment });
+    return statusResult(`Schema ${parts[parts.length - 1]} successfully created.`);
+  };
+
+  // Only SQL functions without arguments are supported; calls to them are expanded inline
+  const createFunction = (session, text) => {
+    const match = text.match(new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?(?:SECURE\\s+)?FUNCTION\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QUALIFIED_NAME})\\s*\\(\\s*\\)\\s*RETURNS\\s+(\\w+)([\\s\\S]*?)\\bAS\\s*([\\s\\S]+)$`, 'i'));
+    if (!match || (/LANGUAGE\s+(\w+)/i.exec(match[3]) || [null, 'SQL'])[1].toUpperCase() !== 'SQL') {
+      throw emulatorError('SQL compilation error:\nThe emulator only supports SQL functions without arguments.', '001003', '42000');
+    }
+    const name = objectName(match[1]);
+    const comment = extractComment(match[3]).comment;
+    const expression = translate(literalValue(match[4]).trim());
+    // Check the body compiles before accepting it
+    runSql(session, `SELECT (${expression})`);
+    sqlFunctions.set(name, { expression, returns: match[2].toUpperCase(), comment });
+    return statusResult(`Function ${name} successfully created.`);
+  };
+
+  const createObject = (session, text, match) => {
+    const { sql, comment } = extractComment(text);
+    const kind = match[2].toUpperCase();
+    const name = objectName(match[4]);
+    if (match[1]) {
+      runSql(session, `DROP ${kind} IF EXISTS ${quoteSqlite(name)}`);
+    }
+    const existed = !!findObject(name);
+    runSql(session, sql.replace(/^CREATE\s+(OR\s+REPLACE\s+)?((?:LOCAL\s+|GLOBAL\s+)?(?:TEMP|TEMPORARY|VOLATILE|TRANSIENT)\s+)?(SECURE\s+)?(RECURSIVE\s+)?/i, 'CREATE '), []);
+    if (comment) {
+      comments.set(name, comment);
+    }
+    if (!existed) {
+      setOwner(session, kind, grantName(kind, name));
+    }
+    const label = kind === 'TABLE' ? 'Table' : 'View';
+    return statusResult(existed ? `${name} already exists, statement succeeded.` : `${label} ${name} successfully created.`);
+  };
+
+  // Table statistics an EXPLAIN reports: rows are split into PARTITION_ROWS-sized partitions
+  const tableStats = (name) => {
+    const rows = runSql(null, `SELECT * FROM ${quoteSqlite(name)}`).rows;
+    return {
+      partitions: Math.max(Math.ceil(rows.length / PARTITION_ROWS), 1),
+      bytes: Buffer.byteLength(JSON.stringify(rows))
+    };
+  };
+
+  // The plan names tables by their alias: map "FROM t [AS] a" and "JOIN t a" back to t
+  const planAliases = (sql) => {
+    const aliases = new Map();
+    const pattern = new RegExp(`(?:\\bFROM|\\bJOIN|,)\\s+(${IDENTIFIER})(?:\\s+(?:AS\\s+)?(${IDENTIFIER}))?`, 'gi');
+    for (const [, name, alias] of sql.matchAll(pattern)) {
+      const table = normalizeName(name);
+      if (findObject(table)) {
+        aliases.set(table, table);
+        if (alias) {
+          aliases.set(normalizeName(alias), table);
+        }
+      }
+    }
+    return aliases;
+  };
+
+  // Snowflake-style operations from SQLite's query plan: table scans (SEARCH prunes to one
+  // partition), joins in plan order, then GROUP BY/DISTINCT and ORDER BY. A join whose inner
+  // table is scanned in full has no usable join condition and is reported as cartesian
+  const planOperations = (sql) => {
+    const translated = translate(sql);
+    let planRows;
+    let outputNames;
+    try {
+      // Top-level steps only: the steps nested under them evaluate views and subqueries
+      planRows = db.exec(`EXPLAIN QUERY PLAN ${translated}`).flatMap(result => result.values
+        .filter(row => row[1] === 0)
+        .map(row => row[3]));
+      const statement = db.prepare(translated);
+      outputNames = statement.getColumnNames().map(columnName);
+      statement.free();
+    } catch (err) {
+      throw translateError(err, sql);
+    }
+
+    const operations = [];
+    const add = (operation, fields = {}) => {
+      const entry = { id: operations.length, operation, ...fields };
+      operations.push(entry);
+      return entry;
+    };
+    const result = add('Result', { expressions: outputNames.map(resultColumnName) });
+    let top = result;
+    const stack = (operation, fields) => {
+      top = add(operation, { ...fields, parentOperators: [top.id] });
+      return top;
+    };
+    if (planRows.some(detail => /FOR ORDER BY/.test(detail))) {
+      stack('Sort');
+    }
+    if (planRows.some(detail => /FOR (GROUP BY|DISTINCT)/.test(detail))) {
+      stack('Aggregate');
+    }
+
+    const aliases = planAliases(translated);
+    const scans = planRows
+      .map(detail => detail.match(/^(SCAN|SEARCH) (\S+)/))
+      .filter(match => match && aliases.has(normalizeName(match[2])))
+      .map(([text, kind, name]) => [text, kind, aliases.get(normalizeName(name))]);
+    // Left-deep joins: the join of scan i takes the joins before it as its other input
+    const joins = [];
+    for (let index = scans.length - 1; index > 0; index--) {
+      joins[index] = stack(scans[index][1] === 'SCAN' ? 'CartesianJoin' : 'InnerJoin');
+    }
+    scans.forEach(([, kind, name], index) => {
+      const { partitions, bytes } = tableStats(name);
+      const assigned = kind === 'SEARCH' ? 1 : partitions;
+      add('TableScan', {
+        objects: [`${databaseName}.${schemaName}.${name.toUpperCase()}`],
+        expressions: columnsOf(name).map(column => column.name),
+        partitionsTotal: partitions,
+        partitionsAssigned: assigned,
+        bytesAssigned: Math.round(bytes * assigned / partitions),
+        parentOperators: [(joins[Math.max(index, 1)] || top).id]
+      });
+    });
+    return operations;
+  };
+
+  // EXPLAIN [USING TABULAR | JSON] <statement>, with the plan built by planOperations
+  const explain = (session, text) => {
+    const match = text.match(/^EXPLAIN\s+(?:USING\s+(TABULAR|JSON|TEXT)\s+)?([\s\S]+)$/i);
+    const format = (match[1] || 'TABULAR').toUpperCase();
+    if (format === 'TEXT') {
+      throw emulatorError('SQL compilation error:\nEXPLAIN USING TEXT is not supported in the emulator; use TABULAR or JSON.', '001003', '42000');
+    }
+    let operations;
+    try {
+      operations = planOperations(match[2]);
+    } catch (err) {
+      throw shiftErrorLocation(err, text.substring(0, text.length - match[2].length));
+    }
+    const scans = operations.filter(operation => operation.operation === 'TableScan');
+    const total = key => scans.reduce((sum, operation) => sum + operation[key], 0);
+    const globalStats = {
+      partitionsTotal: total('partitionsTotal'),
+      partitionsAssigned: total('partitionsAssigned'),
+      bytesAssigned: total('bytesAssigned')
+    };
+
+    if (format === 'JSON') {
+      return objectResult([{ content: JSON.stringify({ GlobalStats: globalStats, Operations: [operations] }) }]);
+    }
+    const orNull = value => (value === undefined ? null : value);
+    return objectResult([
+      { step: null, id: null, parent: null, operation: 'GlobalStats', ...globalStats },
+      ...operations.map(operation => ({
+        step: 1,
+        id: operation.id,
+        parent: operation.parentOperators ? operation.parentOperators[0] : null,
+        operation: operation.operation,
+        objects: operation.objects ? operation.objects.join(', ') : null,
+        expressions: operation.expressions ? operation.expressions.join(', ') : null,
+        partitionsTotal: orNull(operation.partitionsTotal),
+        partitionsAssigned: orNull(operation.partitionsAssigned),
+        bytesAssigned: orNull(operation.bytesAssigned)
+      }))
+    ], ['step', 'id', 'parent', 'operation', 'objects', 'expressions', 'partitionsTotal', 'partitionsAssigned', 'bytesAssigned']);
+  };
+
+  const COMMANDS = [
+    [/^USE\b/i, use],
+    [/^EXPLAIN\b/i, explain],
+    [/^(SET|UNSET|ALTER\s+SESSION)\b/i, setSessionState],
+    [/^(BEGIN|START\s+TRANSACTION|COMMIT|ROLLBACK)\b/i, () => statusResult(OK_STATUS)],
+    [/^(GRANT|REVOKE)\b/i, grantPrivileges],
+    // Roles exist as far as grants name them
+    [new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?ROLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${IDENTIFIER})`, 'i'),
+      (session, text, match) => statusResult(`Role ${normalizeName(match[1])} successfully created.`)],
+    [/^SHOW\s+(CALLER\s+)?GRANTS\b/i, showGrants],
+    [/^SHOW\b/i, show],
+    [/^DESC(RIBE)?\b/i, describe],
+    [/^CREATE\s+(OR\s+REPLACE\s+)?(TRANSIENT\s+)?(DATABASE|SCHEMA)\b/i, createContainer],
+    [/^CREATE\s+(OR\s+REPLACE\s+)?(SECURE\s+)?FUNCTION\b/i, createFunction],
+    [new RegExp(`^CREATE\\s+(OR\\s+REPLACE\\s+)?(?:(?:LOCAL\\s+|GLOBAL\\s+)?(?:TEMP|TEMPORARY|VOLATILE|TRANSIENT)\\s+)?(?:SECURE\\s+)?(?:RECURSIVE\\s+)?(TABLE|VIEW)\\s+(IF\\s+NOT\\s+EXISTS\\s+)?(${QUALIFIED_NAME})`, 'i'), createObject]
+  ];
+
+  const runStatement = (session, text, binds) => {
+    for (const [pattern, handler] of COMMANDS) {
+      const match = text.match(pattern);
+      if (match) {
+        return handler(session, text, match);
+      }
+    }
+    return runSql(session, text, binds);
+  };
+
+  // Run one statement for a session and return { columns, rows }. Error locations are
+  // reported against sqlText, including the leading comments stripped before running it
+  const run = (session, sqlText, binds) => {
+    const stripped = stripLeadingComments(sqlText);
+    try {
+      return runStatement(session, stripped.trim().replace(/;\s*$/, ''), binds);
+    } catch (err) {
+      throw shiftErrorLocation(err, sqlText.substring(0, sqlText.length - stripped.length));
+    }
+  };
+
+  return { run };
+};
+
+const SDK_COLUMN_SCALE = { fixed: 0, timestamp_ntz: 3 };
+
+// Column metadata with the snowflake-sdk accessor interface
+const sdkColumn = column => ({
+  getName: () => column.name,
+  getType: () => column.type,
+  isNullable: () => true,
+  getScale: () => (column.type in SDK_COLUMN_SCALE ? SDK_COLUMN_SCALE[column.type] : null),
+  getPrecision: () => (column.type === 'fixed' ? 38 : null)
+});
+
+const asString = (value, column) => {
+  if (value === null) {
+    return null;
+  }
+  if (column.type === 'date') {
+    return value.toISOString().substring(0, 10);
+  }
+  if (column.type === 'timestamp_ntz') {
+    return value.toISOString().replace('T', ' ').replace('Z', '');
+  }
+  return typeof value === 'object' && !Buffer.isBuffer(value) ? JSON.stringify(value) : String(value);
+};
+
+// Statement with the snowflake-sdk accessor interface; the result is attached when it completes
+const createStatement = (sqlText) => {
+  const statementId = crypto.randomUUID();
+  const statement = {
+    result: null,
+    getStatementId: () => statementId,
+    getQueryId: () => statementId,
+    getSqlText: () => sqlText,
+    getColumns: () => (statement.result ? statement.result.columns.map(sdkColumn) : []),
+    getNumRows: () => (statement.result ? statement.result.rows.length : 0),
+    streamRows: ({ start = 0, end, fetchAsString = [] } = {}) => {
+      const { columns, rows } = statement.result || { columns: [], rows: [] };
+      const last = end === undefined ? rows.length - 1 : end;
+      const numbersAsText = fetchAsString.includes('Number');
+      return Readable.from(rows.slice(start, last + 1).map((row) => {
+        if (!numbersAsText) {
+          return row;
+        }
+        const copy = { ...row };
+        columns
+          .filter(column => column.type === 'fixed' || column.type === 'real')
+          .forEach((column) => {
+            copy[column.name] = asString(row[column.name], column);
+          });
+        return copy;
+      }));
+    },
+    cancel: (callback) => {
+      if (callback) {
+        callback(null);
+      }
+    }
+  };
+  return statement;
+};
+
+// Seconds a statement should appear to run, from SYSTEM$WAIT(n[, 'unit']) calls in it
+const simulatedDelayMs = (sqlText) => {
+  const match = sqlText.match(/SYSTEM\$WAIT\s*\(\s*(\d+(?:\.\d+)?)\s*(?:,\s*'(\w+)'\s*)?\)/i);
+  if (!match) {
+    return 0;
+  }
+  const unit = (match[2] || 'SECONDS').toUpperCase();
+  const factor = unit.startsWith('MILLI') ? 0.001 : unit.startsWith('MIN') ? 60 : unit.startsWith('HOUR') ? 3600 : 1;
+  return Math.min(parseFloat(match[1]) * factor, MAX_WAIT_SECONDS) * 1000;
+};
+
+const loadSeed = (engine, seedFile, session) => {
+  const statements = splitStatements(fs.readFileSync(seedFile, 'utf8'));
+  let failed = 0;
+  statements.forEach(({ sql, line }) => {
+    try {
+      engine.run(session, sql);
+    } catch (error) {
+      failed++;
+      logger.warn('Emulator skipped a seed statement', { file: seedFile, line, error });
+    }
+  });
+  logger.info('Seeded Snowflake emulator', { file: seedFile, statements: statements.length, skipped: failed });
+};
+
+// Auth strategy for emulated sessions: the service user under owner's rights, the
+// ingress user with the caller role under caller's rights
+const emulatorAuthStrategy = ({ serviceUser, serviceRole, callerRole }) => ({
+  name: 'emulator',
+  supportsCallersRights: true,
+  describe: () => ({ serviceUser, serviceRole, callerRole }),
+  validate: () => {},
+  checkCredentials: () => {},
+  connectionOptions: identity => (identity.ingressUserToken
+    ? { account: 'EMULATOR', username: identity.ingressUser.toUpperCase(), role: callerRole }
+    : { account: 'EMULATOR', username: serviceUser, role: serviceRole }),
+  watch: () => () => {}
+});
+
+const createEmulator = ({
+  seedFile,
+  databaseName = 'SQL_QUERY_APP_DB',
+  schemaName = 'PUBLIC',
+  serviceUser = 'SQL_QUERY_SERVICE',
+  serviceRole = 'SQL_QUERY_SERVICE_ROLE',
+  callerRole = 'PUBLIC',
+  defaultWarehouse = 'EMULATOR_WH'
+}) => {
+  const results = new Map();
+
+  const ready = initSqlJs().then((SQL) => {
+    const engine = createEngine(SQL, {
+      databaseName: databaseName.toUpperCase(),
+      schemaName: schemaName.toUpperCase(),
+      // Everyone may use the default warehouse; the larger one is granted to the service role only
+      warehouses: [
+        { name: defaultWarehouse.toUpperCase(), size: 'X-Small', roles: ['PUBLIC'] },
+        { name: `${defaultWarehouse.toUpperCase()}_XL`, size: 'X-Large', roles: [serviceRole.toUpperCase()] }
+      ]
+    });
+    loadSeed(engine, seedFile, { user: serviceUser, role: serviceRole, database: null, schema: null, warehouse: defaultWarehouse, sessionId: '0' });
+    return engine;
+  });
+
+  const storeResult = (statement) => {
+    results.set(statement.getStatementId(), statement);
+    while (results.size > MAX_STORED_RESULTS) {
+      results.delete(results.keys().next().value);
+    }
+  };
+
+  const createConnection = (options) => {
+    let engine = null;
+    let up = false;
+    const session = {
+      user: (options.username || serviceUser).toUpperCase(),
+      role: (options.role || serviceRole).toUpperCase(),
+      secondaryRoles: '',
+      database: options.database ? options.database.toUpperCase() : null,
+      schema: options.schema ? options.schema.toUpperCase() : null,
+      warehouse: (options.warehouse || defaultWarehouse).toUpperCase(),
+      queryTag: '',
+      sessionId: String(crypto.randomInt(1e9, 1e10))
+    };
+
+    const connection = {
+      connect: (callback) => {
+        ready.then((readyEngine) => {
+          engine = readyEngine;
+          up = true;
+          callback(null, connection);
+        }, error => callback(error));
+        return connection;
+      },
+      isUp: () => up,
+      isValidAsync: () => Promise.resolve(up),
+      destroy: (callback) => {
+        up = false;
+        if (callback) {
+          callback(null, connection);
+        }
+      },
+      execute: ({ sqlText, binds, complete }) => {
+        const statement = createStatement(sqlText);
+        const finish = () => {
+          timer = null;
+          if (!up) {
+            complete(emulatorError('Unable to perform operation using terminated connection.', '407002', '08003'), statement);
+            return;
+          }
+          try {
+            statement.result = engine.run(session, sqlText, binds);
+          } catch (error) {
+            complete(error, statement);
+            return;
+          }
+          storeResult(statement);
+          complete(null, statement);
+        };
+        let timer = setTimeout(finish, simulatedDelayMs(sqlText));
+
+        statement.cancel = (callback) => {
+          if (timer) {
+            clearTimeout(timer);
+            timer = null;
+            complete(emulatorError('SQL execution canceled', '000604', '57014'), statement);
+          }
+          if (callback) {
+            callback(null);
+          }
+        };
+        return statement;
+      },
+      getResultsFromQueryId: ({ queryId, complete }) => new Promise((resolve, reject) => {
+        const statement = results.get(queryId);
+        const error = statement ? null : emulatorError(`Statement ${queryId} not found`, '000709', '02000');
+        if (complete) {
+          complete(error, statement);
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(statement);
+        }
+      })
+    };
+    return connection;
+  };
+
+  return {
+    ready,
+    driver: { createConnection },
+    authStrategy: emulatorAuthStrategy({ serviceUser, serviceRole, callerRole })
+  };
+};
+
+module.exports = {
+  createEmulator
+};
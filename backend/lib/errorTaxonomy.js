@@ -0,0 +1,120 @@
+const { isPrivilegeError } = require('./compare');
+
+// Error categories with their stable codes, a hint for the user and whether running the same
+// request again may succeed. Snowflake's own code and sqlState are kept next to these
+const CATEGORIES = {
+  syntax: {
+    code: 'SQL_SYNTAX_ERROR',
+    retryable: false,
+    hint: 'Fix the SQL at the highlighted position; check for a missing comma, an unclosed quote or parenthesis, or a misspelled keyword or function.'
+  },
+  object_not_found: {
+    code: 'OBJECT_NOT_FOUND',
+    retryable: false,
+    hint: 'Check the name, the database and schema it is looked up in, and its quoting (unquoted names are upper-cased). Snowflake reports objects the role may not see the same way, so diagnose privileges if the name is right.'
+  },
+  insufficient_privilege: {
+    code: 'INSUFFICIENT_PRIVILEGES',
+    retryable: false,
+    hint: 'The role running the query lacks a privilege. Diagnose privileges to see which grant is missing and for which identity.'
+  },
+  warehouse_suspended: {
+    code: 'WAREHOUSE_UNAVAILABLE',
+    retryable: false,
+    hint: 'Pick a warehouse in the session context, or ask an administrator to resume it (or raise its resource monitor quota) and grant USAGE on it.'
+  },
+  timeout: {
+    code: 'QUERY_TIMEOUT',
+    retryable: true,
+    hint: 'The statement ran past its timeout. Narrow it with filters or a LIMIT, or run it on a larger warehouse.'
+  },
+  auth: {
+    code: 'AUTH_FAILED',
+    retryable: false,
+    hint: 'Snowflake rejected the credentials. Under caller\'s rights sign in again; under owner\'s rights the service\'s authentication needs fixing (see Backend Status).'
+  },
+  auth_expired: {
+    category: 'auth',
+    code: 'AUTH_TOKEN_EXPIRED',
+    retryable: true,
+    hint: 'The session token expired. Retry once the token has been refreshed; reload the page if it keeps failing.'
+  },
+  network: {
+    code: 'NETWORK_ERROR',
+    retryable: true,
+    hint: 'The backend could not reach Snowflake. Retry in a moment.'
+  },
+  cancelled: {
+    code: 'QUERY_CANCELLED',
+    retryable: true,
+    hint: null
+  },
+  unknown: {
+    code: 'QUERY_FAILED',
+    retryable: false,
+    hint: null
+  }
+};
+
+// Snowflake reports every failed login as 390xxx; these mean the token just ran out
+const EXPIRED_TOKEN_CODES = ['390112', '390114', '390318'];
+// snowflake-sdk codes for lost connections and failed requests
+const NETWORK_CODES = ['401001', '401002', '401003', '402001', '402002', '405503', '407001', '407002'];
+// Node.js socket errors
+const SOCKET_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH'];
+
+const snowflakeCode = (error) => {
+  if (error.code === undefined || error.code === null || !/^\d+$/.test(String(error.code))) {
+    return null;
+  }
+  return String(error.code).padStart(6, '0');
+};
+
+// Which category an error from Snowflake, the SDK or the connection pool falls in
+const categorize = (error) => {
+  const code = snowflakeCode(error);
+  const sqlState = error.sqlState || '';
+  const message = error.message || '';
+
+  if (EXPIRED_TOKEN_CODES.includes(code) || /token has expired|token expired/i.test(message)) {
+    return 'auth_expired';
+  }
+  if ((code && code.startsWith('390')) || code === '401004' || code === '405504'
+    || error.code === 'AUTH_NOT_CONFIGURED' || /authentication failed|incorrect username or password|invalid oauth/i.test(message)) {
+    return 'auth';
+  }
+  if (code === '000630' || /reached its statement or warehouse timeout/i.test(message)) {
+    return 'timeout';
+  }
+  if (code === '000604' || /execution canceled|execution cancelled/i.test(message)) {
+    return 'cancelled';
+  }
+  if (code === '000606' || sqlState === '57P03' || /no active warehouse|warehouse .*(is suspended|cannot be resumed)/i.test(message)) {
+    return 'warehouse_suspended';
+  }
+  if (NETWORK_CODES.includes(code) || SOCKET_ERRORS.includes(error.code) || sqlState.startsWith('08')
+    || /network error|socket hang up|timed out after \d+ms connecting/i.test(message)) {
+    return 'network';
+  }
+  if (code === '003001' || sqlState === '42501' || /insufficient privileges/i.test(message)) {
+    return 'insufficient_privilege';
+  }
+  if (code === '000904' || /does not exist|invalid identifier/i.test(message) || isPrivilegeError(error)) {
+    return 'object_not_found';
+  }
+  if (code === '001003' || code === '002140' || /^42/.test(sqlState) || /syntax error/i.test(message)) {
+    return 'syntax';
+  }
+  return 'unknown';
+};
+
+// { category, errorCode, hint, retryable } of an error
+const classifyError = (error) => {
+  const key = categorize(error || {});
+  const { category = key, code, hint, retryable } = CATEGORIES[key];
+  return { category, errorCode: code, hint, retryable };
+};
+
+module.exports = {
+  classifyError
+};
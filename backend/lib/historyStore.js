@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger, redactSql, redactBinds } = require('./logger');
+
+const MAX_HISTORY_PER_USER = parseInt(process.env.HISTORY_MAX_ENTRIES_PER_USER, 10) || 500;
+const WRITE_DELAY_MS = 1000;
+const MAX_PAGE_SIZE = 500;
+
+const normalizeTags = tags => Array.from(new Set(
+  (Array.isArray(tags) ? tags : [])
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean)
+));
+
+const matchesSearch = (search, ...fields) => !search
+  || fields.some(field => (field || '').toLowerCase().includes(search.toLowerCase()));
+
+const page = (items, { limit, offset }) => {
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+  const size = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_PAGE_SIZE);
+  return { items: items.slice(start, start + size), total: items.length, offset: start, limit: size };
+};
+
+// Execution history and saved queries, kept in one JSON file so they survive restarts.
+// Every lookup is scoped to an ingress user (null when running without SPCS ingress)
+const createHistoryStore = ({ filePath }) => {
+  let history = [];
+  let saved = [];
+  let writeTimer = null;
+
+  if (fs.existsSync(filePath)) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    history = data.history || [];
+    saved = data.saved || [];
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written store
+  const flush = () => {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify({ history, saved }));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (err) {
+      logger.error('Failed to write history store', { file: filePath, error: err });
+    }
+  };
+
+  // Coalesce bursts of changes into one write
+  const scheduleWrite = () => {
+    if (!writeTimer) {
+      writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+      writeTimer.unref();
+    }
+  };
+
+  // Credentials in the query text and its binds are masked before anything is kept
+  const record = ({ user, query, binds, executionMode, statementId, statementCount, durationMs, rowCount, status, error }) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      user,
+      query: redactSql(query),
+      binds: redactBinds(query, binds) || null,
+      executionMode,
+      statementId: statementId || null,
+      statementCount,
+      durationMs,
+      rowCount: rowCount === undefined ? null : rowCount,
+      status,
+      error: error || null,
+      starred: false,
+      executedAt: new Date().toISOString()
+    };
+    history.push(entry);
+
+    // Drop the user's oldest unstarred entries beyond the cap
+    const own = history.filter(item => item.user === user && !item.starred);
+    if (own.length > MAX_HISTORY_PER_USER) {
+      const dropped = new Set(own.slice(0, own.length - MAX_HISTORY_PER_USER));
+      history = history.filter(item => !dropped.has(item));
+    }
+
+    scheduleWrite();
+    return entry;
+  };
+
+  // Newest first; allUsers is only for admins and skips the per-user filter
+  const listHistory = ({ user, allUsers = false, search, starred, executionMode, ...range }) => page(
+    history
+      .filter(item => allUsers || item.user === user)
+      .filter(item => !starred || item.starred)
+      .filter(item => !executionMode || item.executionMode === executionMode)
+      .filter(item => matchesSearch(search, item.query, item.error, allUsers ? item.user : null))
+      .reverse(),
+    range
+  );
+
+  const findHistory = (id, user) => history.find(item => item.id === id && item.user === user) || null;
+
+  const setStarred = (id, user, starred) => {
+    const entry = findHistory(id, user);
+    if (entry) {
+      entry.starred = !!starred;
+      scheduleWrite();
+    }
+    return entry;
+  };
+
+  const removeHistory = (id, user) => {
+    const entry = findHistory(id, user);
+    if (entry) {
+      history = history.filter(item => item !== entry);
+      scheduleWrite();
+    }
+    return !!entry;
+  };
+
+  const clearHistory = (user) => {
+    history = history.filter(item => item.user !== user || item.starred);
+    scheduleWrite();
+  };
+
+  // Saved queries are masked the same way as history entries
+  const saveQuery = ({ user, name, query, description, tags, executionMode }) => {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      user,
+      name,
+      query: redactSql(query),
+      description: description || '',
+      tags: normalizeTags(tags),
+      executionMode: executionMode || null,
+      createdAt: now,
+      updatedAt: now
+    };
+    saved.push(entry);
+    scheduleWrite();
+    return entry;
+  };
+
+  const listSaved = ({ user, search, tag, ...range }) => page(
+    saved
+      .filter(item => item.user === user)
+      .filter(item => !tag || item.tags.includes(tag.toLowerCase()))
+      .filter(item => matchesSearch(search, item.name, item.query, item.description, item.tags.join(' ')))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    range
+  );
+
+  const findSaved = (id, user) => saved.find(item => item.id === id && item.user === user) || null;
+
+  const updateSaved = (id, user, changes) => {
+    const entry = findSaved(id, user);
+    if (!entry) {
+      return null;
+    }
+    ['name', 'query', 'description', 'executionMode']
+      .filter(field => changes[field] !== undefined)
+      .forEach((field) => {
+        entry[field] = field === 'query' ? redactSql(changes[field]) : changes[field];
+      });
+    if (changes.tags !== undefined) {
+      entry.tags = normalizeTags(changes.tags);
+    }
+    entry.updatedAt = new Date().toISOString();
+    scheduleWrite();
+    return entry;
+  };
+
+  const removeSaved = (id, user) => {
+    const entry = findSaved(id, user);
+    if (entry) {
+      saved = saved.filter(item => item !== entry);
+      scheduleWrite();
+    }
+    return !!entry;
+  };
+
+  return {
+    record,
+    listHistory,
+    findHistory,
+    setStarred,
+    removeHistory,
+    clearHistory,
+    saveQuery,
+    listSaved,
+    findSaved,
+    updateSaved,
+    removeSaved,
+    flush
+  };
+};
+
+module.exports = {
+  createHistoryStore
+};
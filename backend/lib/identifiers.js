@@ -0,0 +1,33 @@
+const IDENTIFIER_MAX_LENGTH = 255;
+const UNQUOTED_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+const QUOTED_IDENTIFIER = /^"((?:[^"]|"")+)"$/;
+
+// Quote a name as a Snowflake identifier, so it is used verbatim and case-sensitively
+const quoteIdentifier = name => `"${String(name).replace(/"/g, '""')}"`;
+
+// Build a dotted, fully quoted object path such as "DB"."SCHEMA"."TABLE"
+const qualifiedName = (...parts) => parts.map(quoteIdentifier).join('.');
+
+// The name Snowflake stores for user-supplied identifier text: unquoted identifiers
+// resolve upper-case, "quoted" ones exactly as written. label names the field in errors
+const parseIdentifier = (value, label) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+  const text = value.trim();
+  const quoted = QUOTED_IDENTIFIER.exec(text);
+  if (!quoted && !UNQUOTED_IDENTIFIER.test(text)) {
+    throw new Error(`${label} "${value}" is not a valid identifier; wrap names with spaces or symbols in double quotes`);
+  }
+  const name = quoted ? quoted[1].replace(/""/g, '"') : text.toUpperCase();
+  if (name.length > IDENTIFIER_MAX_LENGTH || Array.from(name).some(ch => ch.charCodeAt(0) < 32)) {
+    throw new Error(`${label} "${value}" is not a valid identifier`);
+  }
+  return name;
+};
+
+module.exports = {
+  parseIdentifier,
+  quoteIdentifier,
+  qualifiedName
+};
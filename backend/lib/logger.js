@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { findPlaceholders } = require('./sqlSplitter');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never reach a log line, at any depth
+const SENSITIVE_KEY = /token|password|passphrase|secret|authorization|cookie|private_?key/i;
+
+// Credentials written inline in SQL, e.g. CREATE USER ... PASSWORD = 'x'
+const SENSITIVE_SQL = /\b(PASSWORD|TOKEN|SECRET|SECRET_STRING|PRIVATE_KEY|RSA_PUBLIC_KEY(?:_2)?|AWS_SECRET_KEY|AZURE_SAS_TOKEN|OAUTH_CLIENT_SECRET)(\s*=\s*)('(?:[^'\\]|\\.|'')*'|"[^"]*"|\S+)/gi;
+
+// A bind placeholder in place of the credential is kept, so the statement still runs; its value
+// is masked by redactBinds instead
+const BIND_PLACEHOLDER = /^(\?|:[A-Za-z_])/;
+
+const redactSql = sql => (typeof sql === 'string'
+  ? sql.replace(SENSITIVE_SQL, (match, keyword, equals, value) => (BIND_PLACEHOLDER.test(value) ? match : `${keyword}${equals}'${REDACTED}'`))
+  : sql);
+
+const serializeError = error => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  sqlState: error.sqlState
+});
+
+// Copy of value with sensitive keys masked; errors become plain objects
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object' || depth > 6) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? REDACTED
+      : redact(item, depth + 1)
+  ]));
+};
+
+// Bind values of a query with those that fill a credential (PASSWORD = :pw, TOKEN = ?) or have a
+// sensitive name masked. binds is an array for ? placeholders or an object for :name ones
+const redactBinds = (sql, binds) => {
+  if (!binds || typeof binds !== 'object' || typeof sql !== 'string') {
+    return binds;
+  }
+  const placeholders = findPlaceholders(sql);
+  const positional = placeholders.filter(placeholder => placeholder.name === null);
+  const secret = new Set();
+  Array.from(sql.matchAll(SENSITIVE_SQL)).forEach((match) => {
+    const valueIndex = match.index + match[0].length - match[3].length;
+    const placeholder = placeholders.find(candidate => candidate.index === valueIndex);
+    if (placeholder) {
+      secret.add(placeholder.name === null ? positional.indexOf(placeholder) : placeholder.name);
+    }
+  });
+  const masked = Array.isArray(binds)
+    ? binds.map((value, index) => (secret.has(index) ? REDACTED : value))
+    : Object.fromEntries(Object.entries(binds).map(([name, value]) => [name, secret.has(name) ? REDACTED : value]));
+  return redact(masked);
+};
+
+// Stable fingerprint of a query, ignoring whitespace and keyword case
+const queryHash = sql => crypto
+  .createHash('sha256')
+  .update(String(sql).trim().replace(/\s+/g, ' ').toLowerCase())
+  .digest('hex')
+  .substring(0, 16);
+
+// JSON-lines logger; child() returns a logger that adds fields to every record
+const createLogger = ({ write, level = 'info', fields = {} }) => {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const log = (recordLevel, msg, extra = {}) => {
+    if (LEVELS[recordLevel] < threshold) {
+      return;
+    }
+    const record = redact({ time: new Date().toISOString(), level: recordLevel, msg, ...fields, ...extra });
+    write(`${JSON.stringify(record)}\n`);
+  };
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: extra => createLogger({ write, level, fields: { ...fields, ...extra } })
+  };
+};
+
+const stdoutWriter = line => process.stdout.write(line);
+
+// Audit records go to AUDIT_LOG_FILE when set, otherwise to stdout tagged log=audit
+const auditWriter = () => {
+  if (!process.env.AUDIT_LOG_FILE) {
+    return stdoutWriter;
+  }
+  const stream = fs.createWriteStream(process.env.AUDIT_LOG_FILE, { flags: 'a' });
+  stream.on('error', (err) => {
+    process.stderr.write(`Audit log ${process.env.AUDIT_LOG_FILE} failed: ${err.message}\n`);
+  });
+  return line => stream.write(line);
+};
+
+const logger = createLogger({ write: stdoutWriter, level: process.env.LOG_LEVEL, fields: { log: 'app' } });
+const audit = createLogger({ write: auditWriter(), fields: { log: 'audit' } });
+
+module.exports = {
+  logger,
+  audit,
+  createLogger,
+  redact,
+  redactSql,
+  redactBinds,
+  queryHash
+};
@@ -0,0 +1,80 @@
+// A small Prometheus registry rendering the text exposition format. Counters and histograms
+// are kept per label set; gauges are read from a collect function when scraped
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const formatValue = value => (value === Infinity ? '+Inf' : String(value));
+
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name]));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name]]));
+
+const createMetrics = () => {
+  const families = [];
+
+  const register = (name, help, type, lines) => {
+    families.push({ name, help, type, lines });
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const values = new Map();
+    register(name, help, 'counter', () => Array.from(values.values())
+      .map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`));
+    return {
+      inc: (labels = {}, amount = 1) => {
+        const key = labelKey(labelNames, labels);
+        const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      }
+    };
+  };
+
+  // Buckets are upper bounds in ascending order; +Inf is added
+  const histogram = (name, help, labelNames, buckets) => {
+    const bounds = [...buckets, Infinity];
+    const series = new Map();
+    register(name, help, 'histogram', () => Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ]));
+    return {
+      observe: (labels, value) => {
+        const key = labelKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index]++;
+          }
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      }
+    };
+  };
+
+  // collect returns [{ labels, value }] for the current state
+  const gauge = (name, help, collect) => {
+    register(name, help, 'gauge', () => collect()
+      .map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`));
+  };
+
+  const render = () => `${families.map(({ name, help, type, lines }) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...lines()
+  ].join('\n')).join('\n')}\n`;
+
+  return { counter, histogram, gauge, render };
+};
+
+module.exports = {
+  createMetrics
+};
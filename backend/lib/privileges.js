@@ -0,0 +1,298 @@
+const { parseIdentifier, quoteIdentifier } = require('./identifiers');
+
+// Privilege diagnostics: which objects a query needs which privileges on, and whether the
+// caller, the service owner and (under caller's rights) the owner's caller grants provide them
+
+const NAME_PART = '(?:"(?:[^"]|"")+"|[A-Za-z_][A-Za-z0-9_$]*)';
+const NAME = `${NAME_PART}(?:\\s*\\.\\s*${NAME_PART}){0,2}`;
+
+// Statements that write name their target; every other FROM, JOIN or USING reads
+const WRITE_PATTERNS = [
+  [new RegExp(`\\bINSERT\\s+(?:OVERWRITE\\s+)?INTO\\s+(${NAME})`, 'gi'), 'INSERT'],
+  [new RegExp(`\\bMERGE\\s+INTO\\s+(${NAME})`, 'gi'), 'UPDATE'],
+  [new RegExp(`\\bUPDATE\\s+(${NAME})`, 'gi'), 'UPDATE'],
+  [new RegExp(`\\bDELETE\\s+FROM\\s+(${NAME})`, 'gi'), 'DELETE'],
+  [new RegExp(`\\bTRUNCATE\\s+(?:TABLE\\s+)?(?:IF\\s+EXISTS\\s+)?(${NAME})`, 'gi'), 'TRUNCATE']
+];
+// A name that is not the start of a longer name or a function call
+const WHOLE_NAME = `(${NAME})(?![A-Za-z0-9_$"])(?!\\s*[.(])`;
+const READ_PATTERN = new RegExp(`(?:\\bFROM|\\bJOIN|\\bUSING)\\s+${WHOLE_NAME}`, 'gi');
+// Further tables of a comma join: "FROM a [AS] x, b"
+const NEXT_TABLE_PATTERN = new RegExp(`^(?:\\s+(?:AS\\s+)?${NAME_PART})?\\s*,\\s*${WHOLE_NAME}`, 'i');
+const CTE_PATTERN = new RegExp(`(?:\\bWITH(?:\\s+RECURSIVE)?|,)\\s+(${NAME_PART})\\s+AS\\s*\\(`, 'gi');
+const NOT_OBJECTS = ['LATERAL', 'TABLE', 'VALUES', 'SELECT', 'WHERE', 'ON', 'SET'];
+
+// Privileges that include every other one on the same object
+const COVERING_PRIVILEGES = ['OWNERSHIP', 'ALL'];
+// Roles followed through the role hierarchy before giving up
+const MAX_ROLES = 50;
+
+// String literals and comments hide nothing the scan is after, and may contain FROM
+const maskSql = sql => sql.replace(/'(?:[^'\\]|\\.|'')*'|\$\$[\s\S]*?\$\$|--[^\n]*|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+  text => (text.startsWith("'") || text.startsWith('$') ? "''" : ' '));
+
+const splitName = text => (text.match(new RegExp(NAME_PART, 'g')) || []).map(part => parseIdentifier(part));
+
+// [database, schema, name] for a name as written, filling in the session's current database and schema
+const resolveName = (text, defaults) => {
+  const parts = splitName(text);
+  if (parts.length === 3) {
+    return parts;
+  }
+  if (parts.length === 2) {
+    return [defaults.database, ...parts];
+  }
+  return [defaults.database, defaults.schema, parts[0]];
+};
+
+// Objects each statement reads or writes, with the privilege it needs on them: { parts, privilege }.
+// Names are found by pattern, which covers ordinary queries and DML but not every construct
+const referencedObjects = (statements, defaults) => {
+  const found = new Map();
+  statements.forEach(({ sql }, statementIndex) => {
+    const text = maskSql(sql);
+    const cteNames = new Set(Array.from(text.matchAll(CTE_PATTERN), match => parseIdentifier(match[1])));
+    const written = new Set();
+    const add = (name, privilege) => {
+      let parts;
+      try {
+        parts = resolveName(name, defaults);
+      } catch (err) {
+        return;
+      }
+      const unqualified = splitName(name).length === 1;
+      if (parts.some(part => !part) || (unqualified && (cteNames.has(parts[2]) || NOT_OBJECTS.includes(parts[2])))) {
+        return;
+      }
+      const key = JSON.stringify([parts, privilege]);
+      if (!found.has(key)) {
+        found.set(key, { parts, privilege, statementIndex });
+      }
+    };
+
+    WRITE_PATTERNS.forEach(([pattern, privilege]) => {
+      for (const match of text.matchAll(pattern)) {
+        written.add(match.index + match[0].length - match[1].length);
+        add(match[1], privilege);
+      }
+    });
+    for (const match of text.matchAll(READ_PATTERN)) {
+      const start = match.index + match[0].length - match[1].length;
+      if (!written.has(start)) {
+        add(match[1], 'SELECT');
+      }
+      let rest = text.substring(match.index + match[0].length);
+      for (let next = rest.match(NEXT_TABLE_PATTERN); next; next = rest.match(NEXT_TABLE_PATTERN)) {
+        add(next[1], 'SELECT');
+        rest = rest.substring(next[0].length);
+      }
+    }
+  });
+  return Array.from(found.values());
+};
+
+// Canonical form of a name from SHOW GRANTS, which quotes only the parts that need it
+const nameKey = (text) => {
+  try {
+    return JSON.stringify(splitName(text));
+  } catch (err) {
+    return JSON.stringify([text]);
+  }
+};
+
+// What a query needs, as checks on the database, the schema and the object itself
+const requiredChecks = objects => objects.flatMap(({ parts, privilege }) => [
+  { type: 'DATABASE', parts: parts.slice(0, 1), privilege: 'USAGE' },
+  { type: 'SCHEMA', parts: parts.slice(0, 2), privilege: 'USAGE' },
+  { type: 'OBJECT', parts, privilege }
+]).filter((check, index, checks) => checks.findIndex(other => other.type === check.type
+  && JSON.stringify(other.parts) === JSON.stringify(check.parts) && other.privilege === check.privilege) === index);
+
+const grantCovers = (grant, check) => {
+  const isContainer = ['DATABASE', 'SCHEMA'].includes(grant.grantedOn);
+  const sameKind = check.type === 'OBJECT' ? !isContainer && grant.grantedOn !== 'ROLE' : grant.grantedOn === check.type;
+  return sameKind
+    && grant.key === JSON.stringify(check.parts)
+    && (grant.privilege === check.privilege || COVERING_PRIVILEGES.includes(grant.privilege));
+};
+
+// Caller grants may also be made on a container (inherited caller grants) or the whole account
+const callerGrantCovers = (grant, check) => {
+  if (grantCovers(grant, check)) {
+    return true;
+  }
+  if (grant.privilege !== check.privilege && !COVERING_PRIVILEGES.includes(grant.privilege)) {
+    return false;
+  }
+  const container = { ACCOUNT: 0, DATABASE: 1, SCHEMA: 2 }[grant.grantedOn];
+  return container !== undefined && container < check.parts.length
+    && (container === 0 || grant.key === JSON.stringify(check.parts.slice(0, container)));
+};
+
+const toGrant = (row, viaRole) => ({
+  privilege: String(row.privilege).toUpperCase(),
+  grantedOn: String(row.granted_on).toUpperCase().replace(/ /g, '_'),
+  name: row.name,
+  key: nameKey(row.name),
+  role: viaRole
+});
+
+// Grants of a role and of every role granted to it, walking the hierarchy breadth first.
+// run executes one statement and resolves to its rows
+const collectGrants = async (run, startRoles) => {
+  const roles = [];
+  const grants = [];
+  const errors = [];
+  const queue = [...new Set(startRoles.filter(Boolean))];
+  while (queue.length && roles.length < MAX_ROLES) {
+    const role = queue.shift();
+    if (roles.includes(role)) {
+      continue;
+    }
+    roles.push(role);
+    try {
+      const rows = await run(`SHOW GRANTS TO ROLE ${quoteIdentifier(role)}`);
+      rows.map(row => toGrant(row, role)).forEach((grant) => {
+        if (grant.grantedOn === 'ROLE' && grant.privilege === 'USAGE') {
+          queue.push(splitName(grant.name)[0] || grant.name);
+        } else {
+          grants.push(grant);
+        }
+      });
+    } catch (error) {
+      errors.push({ role, error: error.message });
+    }
+  }
+  return { roles, grants, errors };
+};
+
+// CURRENT_SECONDARY_ROLES() reports {"roles": "A,B", ...}
+const parseSecondaryRoles = (value) => {
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return String((parsed && parsed.roles) || '').split(',').map(role => role.trim()).filter(Boolean);
+  } catch (err) {
+    return [];
+  }
+};
+
+const SESSION_SQL = 'SELECT CURRENT_USER() AS "USER", CURRENT_ROLE() AS "ROLE", CURRENT_DATABASE() AS "DATABASE", '
+  + 'CURRENT_SCHEMA() AS "SCHEMA", CURRENT_SECONDARY_ROLES() AS "SECONDARY_ROLES"';
+
+// Who a session is, and every grant its primary role, secondary roles and PUBLIC give it
+const inspectIdentity = async (run) => {
+  const [session] = await run(SESSION_SQL);
+  const { roles, grants, errors } = await collectGrants(run, [session.ROLE, ...parseSecondaryRoles(session.SECONDARY_ROLES), 'PUBLIC']);
+  return {
+    user: session.USER,
+    role: session.ROLE,
+    database: session.DATABASE,
+    schema: session.SCHEMA,
+    roles,
+    grants,
+    errors
+  };
+};
+
+// Names as they would be typed: quoted only where an unquoted name would mean something else
+const displayIdentifier = name => (/^[A-Z_][A-Z0-9_$]*$/.test(name) ? name : quoteIdentifier(name));
+const displayName = parts => parts.map(displayIdentifier).join('.');
+
+const describeCheck = ({ type, parts, privilege, granted, via }) => ({ object: displayName(parts), type, privilege, granted, via });
+
+// The object's type as its grants name it (TABLE, VIEW, ...), for the GRANT statements suggested
+const objectTypeOf = (check, grants) => {
+  if (check.type !== 'OBJECT') {
+    return check.type;
+  }
+  const grant = grants.find(candidate => candidate.key === JSON.stringify(check.parts)
+    && !['DATABASE', 'SCHEMA', 'ROLE', 'ACCOUNT'].includes(candidate.grantedOn));
+  return grant ? grant.grantedOn.replace(/_/g, ' ') : 'TABLE';
+};
+
+const checkGrants = (checks, grants, covers = grantCovers) => checks.map((check) => {
+  const grant = grants.find(candidate => covers(candidate, check));
+  return { ...check, granted: !!grant, via: grant ? grant.role : null };
+});
+
+// Diagnose a failed query. runAs(identity, run => ...) runs the callback on a session of
+// 'caller' or 'owner'; callersRights says which mode the query ran under
+const diagnosePrivileges = async ({ statements, callersRights, runAs }) => {
+  const inspect = identity => runAs(identity, inspectIdentity).catch(error => ({ error: error.message }));
+  const owner = await inspect('owner');
+  const caller = callersRights ? await inspect('caller') : null;
+  const subject = callersRights ? caller : owner;
+
+  const defaults = subject && !subject.error ? subject : owner;
+  const objects = referencedObjects(statements, { database: defaults.database, schema: defaults.schema });
+  const checks = requiredChecks(objects);
+  const allGrants = [...(owner.grants || []), ...((caller && caller.grants) || [])];
+
+  // Under SPCS caller's rights a query only gets privileges that the caller holds and that the
+  // service owner's role was given as caller grants (GRANT CALLER ... TO ROLE <owner role>)
+  let callerGrants = null;
+  if (callersRights && !owner.error) {
+    callerGrants = await runAs('owner', async (run) => {
+      const rows = await run(`SHOW CALLER GRANTS TO ROLE ${quoteIdentifier(owner.role)}`);
+      return { role: owner.role, checks: checkGrants(checks, rows.map(row => toGrant(row, owner.role)), callerGrantCovers) };
+    }).catch(error => ({ role: owner.role, error: error.message }));
+  }
+
+  const findings = [];
+  const subjectChecks = subject && !subject.error ? checkGrants(checks, subject.grants) : [];
+  subjectChecks.filter(check => !check.granted).forEach((check) => {
+    const object = displayName(check.parts);
+    const objectType = objectTypeOf(check, allGrants);
+    const visibleToOwner = !owner.error && owner.grants.some(grant => grant.key === JSON.stringify(check.parts));
+    const otherRoles = subject.roles.length - 1;
+    findings.push({
+      identity: callersRights ? 'caller' : 'owner',
+      object,
+      objectType,
+      privilege: check.privilege,
+      message: `${subject.user} (role ${subject.role}${otherRoles > 0 ? ` and ${otherRoles} inherited or secondary` : ''}) has no ${check.privilege} on ${objectType} ${object}`
+        + (check.type === 'OBJECT' && !visibleToOwner
+          ? `; ${callersRights ? 'the service has no grants on it either' : 'none of its roles has any grant on it'}, so check that it exists and that its name is spelled and quoted correctly`
+          : ''),
+      fix: `GRANT ${check.privilege} ON ${objectType} ${object} TO ROLE ${displayIdentifier(subject.role)}`
+    });
+  });
+
+  if (callerGrants && callerGrants.checks) {
+    callerGrants.checks.filter(check => !check.granted).forEach((check) => {
+      const object = displayName(check.parts);
+      const objectType = objectTypeOf(check, allGrants);
+      findings.push({
+        identity: 'caller_grants',
+        object,
+        objectType,
+        privilege: check.privilege,
+        message: `The service owner role ${callerGrants.role} has no caller grant for ${check.privilege} on ${objectType} ${object}; `
+          + "caller's rights only use the caller's privileges that were also granted to the owner role with GRANT CALLER",
+        fix: `GRANT CALLER ${check.privilege} ON ${objectType} ${object} TO ROLE ${displayIdentifier(callerGrants.role)}`
+      });
+    });
+  }
+
+  // Public view of an identity: who it is, the roles whose grants were read and each check
+  const describe = (identity, inspected) => {
+    if (inspected.error) {
+      return { identity, error: inspected.error };
+    }
+    const { grants, ...rest } = inspected;
+    return { identity, ...rest, checks: checkGrants(checks, grants).map(describeCheck) };
+  };
+
+  return {
+    executionMode: callersRights ? "caller's_rights" : "owner's_rights",
+    objects: objects.map(({ parts, privilege, statementIndex }) => ({ object: displayName(parts), privilege, statementIndex })),
+    identities: [caller && describe('caller', caller), describe('owner', owner)].filter(Boolean),
+    callerGrants: callerGrants && (callerGrants.error ? callerGrants : { role: callerGrants.role, checks: callerGrants.checks.map(describeCheck) }),
+    findings
+  };
+};
+
+module.exports = {
+  referencedObjects,
+  diagnosePrivileges
+};
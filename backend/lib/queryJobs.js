@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const JOB_TTL_MS = parseInt(process.env.QUERY_JOB_TTL_MS, 10) || 15 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// A job whose last progress subscriber disconnected is cancelled unless one reconnects in time
+const DISCONNECT_GRACE_MS = parseInt(process.env.QUERY_DISCONNECT_GRACE_MS, 10) || 15 * 1000;
+
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+const isFinished = job => FINISHED_STATES.includes(job.state);
+
+// In-memory registry of asynchronous query jobs, each owned by one ingress user.
+// onAbandoned(job) is told about jobs cancelled because their subscribers went away
+const createJobStore = ({ onAbandoned } = {}) => {
+  const jobs = new Map();
+
+  // Listeners receive { event: 'progress', data } for each lifecycle event and
+  // { event: 'status', data } whenever the public view of the job changes
+  const notify = (job, message) => {
+    job.listeners.forEach(listener => listener(message));
+  };
+
+  const notifyStatus = job => notify(job, { event: 'status', data: describeJob(job) });
+
+  // Append a lifecycle event. Row counts of the same statement replace each other, so the
+  // timeline keeps one entry per statement however often rows are reported
+  const record = (job, event) => {
+    const entry = { ...event, seq: ++job.seq, elapsedMs: Date.now() - job.submittedAt };
+    const last = job.events[job.events.length - 1];
+    if (event.type === 'rows' && last && last.type === 'rows' && last.statementIndex === event.statementIndex) {
+      job.events[job.events.length - 1] = entry;
+    } else {
+      job.events.push(entry);
+    }
+    notify(job, { event: 'progress', data: entry });
+  };
+
+  const cancelStatement = (job) => {
+    job.statement.cancel((err) => {
+      if (err) {
+        logger.warn('Failed to cancel statement', { jobId: job.id, error: err });
+      }
+    });
+  };
+
+  // runner(handle) runs the query and calls handle.attachStatement() once Snowflake accepts it
+  // ticket is the job's admission ticket; its position is reported while the job waits for a slot
+  const submit = ({ owner, executionMode, query, ticket = null }, runner) => {
+    const job = {
+      id: crypto.randomUUID(),
+      owner,
+      executionMode,
+      query,
+      ticket,
+      state: 'queued',
+      submittedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      statement: null,
+      result: null,
+      error: null,
+      events: [],
+      seq: 0,
+      listeners: new Set(),
+      abandonTimer: null
+    };
+    jobs.set(job.id, job);
+
+    const handle = {
+      attachStatement: (statement) => {
+        job.statement = statement;
+        if (job.state === 'cancelled') {
+          cancelStatement(job);
+        } else if (job.state !== 'running') {
+          job.state = 'running';
+          job.startedAt = job.startedAt || Date.now();
+          notifyStatus(job);
+        }
+      },
+      isCancelled: () => job.state === 'cancelled',
+      // Lifecycle events of the running query; ignored once the job has finished
+      progress: (event) => {
+        if (!isFinished(job)) {
+          record(job, event);
+        }
+      }
+    };
+
+    const position = ticket ? ticket.position() : null;
+    if (position) {
+      record(job, { type: 'queued', position });
+    }
+
+    runner(handle).then((result) => {
+      if (isFinished(job)) {
+        return;
+      }
+      job.state = 'succeeded';
+      job.result = result;
+      job.finishedAt = Date.now();
+      record(job, { type: 'completed', rowCount: result.rowCount !== undefined ? result.rowCount : null });
+      notifyStatus(job);
+    }, (error) => {
+      if (isFinished(job)) {
+        return;
+      }
+      job.state = 'failed';
+      job.error = error;
+      job.finishedAt = Date.now();
+      record(job, { type: 'failed', error: error.response ? error.response.error : error.message });
+      notifyStatus(job);
+    });
+
+    return job;
+  };
+
+  // Jobs belonging to another ingress user are reported as missing
+  const get = (id, owner) => {
+    const job = jobs.get(id);
+    if (!job || job.owner !== owner) {
+      return null;
+    }
+    return job;
+  };
+
+  const cancel = (job) => {
+    if (isFinished(job)) {
+      return false;
+    }
+    job.state = 'cancelled';
+    job.finishedAt = Date.now();
+    if (job.ticket) {
+      job.ticket.cancel();
+    }
+    if (job.statement) {
+      cancelStatement(job);
+    }
+    record(job, { type: 'cancelled' });
+    notifyStatus(job);
+    return true;
+  };
+
+  // Follow a job's events; the returned function unsubscribes. When the last subscriber of an
+  // unfinished job leaves (a closed browser tab), the job is cancelled after the grace period
+  // unless a new subscriber (the same tab after a reload) arrives first
+  const subscribe = (job, listener) => {
+    clearTimeout(job.abandonTimer);
+    job.listeners.add(listener);
+    return () => {
+      job.listeners.delete(listener);
+      if (job.listeners.size > 0 || isFinished(job)) {
+        return;
+      }
+      job.abandonTimer = setTimeout(() => {
+        if (job.listeners.size === 0 && cancel(job) && onAbandoned) {
+          onAbandoned(job);
+        }
+      }, DISCONNECT_GRACE_MS);
+      job.abandonTimer.unref();
+    };
+  };
+
+  const sweep = () => {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    jobs.forEach((job, id) => {
+      if (isFinished(job) && job.finishedAt < cutoff) {
+        jobs.delete(id);
+      }
+    });
+  };
+
+  const sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return { submit, get, cancel, subscribe };
+};
+
+// Public view of a job; never includes the result rows
+const describeJob = (job) => ({
+  id: job.id,
+  state: job.state,
+  executionMode: job.executionMode,
+  statementId: job.statement ? job.statement.getStatementId() || null : null,
+  submittedAt: new Date(job.submittedAt).toISOString(),
+  startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+  finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+  elapsedMs: (job.finishedAt || Date.now()) - job.submittedAt,
+  queuePosition: job.state === 'queued' && job.ticket ? job.ticket.position() : null,
+  rowCount: job.result && job.result.rowCount !== undefined ? job.result.rowCount : null,
+  error: job.error ? job.error.message : null
+});
+
+module.exports = {
+  createJobStore,
+  describeJob,
+  isFinished
+};
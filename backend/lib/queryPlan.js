@@ -0,0 +1,76 @@
+// Normalizes the plan returned by EXPLAIN USING JSON into an operator tree:
+// { GlobalStats: {...}, Operations: [[{ id, operation, parentOperators, objects, expressions, partitions... }]] }
+
+const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Warnings for one operator: cartesian joins, and table scans that read every partition
+const operatorWarnings = (node) => {
+  const warnings = [];
+  if (node.operation === 'CartesianJoin') {
+    warnings.push({
+      type: 'cartesian_join',
+      message: 'Cartesian join: every row of one input is paired with every row of the other; check the join condition'
+    });
+  }
+  if (node.operation === 'TableScan' && node.partitionsTotal > 0 && node.partitionsAssigned >= node.partitionsTotal) {
+    warnings.push({
+      type: 'full_scan',
+      message: `Full scan of ${node.objects.join(', ') || 'a table'}: ${node.partitionsAssigned} of ${node.partitionsTotal} partitions read, none pruned`
+    });
+  }
+  return warnings;
+};
+
+const toNode = operation => {
+  const node = {
+    id: operation.id,
+    operation: operation.operation,
+    objects: operation.objects || [],
+    alias: operation.alias || null,
+    expressions: operation.expressions || [],
+    partitionsTotal: toNumber(operation.partitionsTotal),
+    partitionsAssigned: toNumber(operation.partitionsAssigned),
+    bytesAssigned: toNumber(operation.bytesAssigned),
+    children: []
+  };
+  node.warnings = operatorWarnings(node);
+  return node;
+};
+
+// One step of the plan as a forest: operators hang under their first parent
+const buildStep = (operations, index) => {
+  const nodes = new Map(operations.map(operation => [operation.id, toNode(operation)]));
+  const roots = [];
+  operations.forEach((operation) => {
+    const parentId = (operation.parentOperators || []).find(id => nodes.has(id));
+    if (parentId === undefined) {
+      roots.push(nodes.get(operation.id));
+    } else {
+      nodes.get(parentId).children.push(nodes.get(operation.id));
+    }
+  });
+  return { step: index + 1, operators: roots, nodes: Array.from(nodes.values()) };
+};
+
+// { stats, objects, warnings, steps: [{ step, operators: [tree] }] } from the EXPLAIN content
+const normalizePlan = (content) => {
+  const plan = typeof content === 'string' ? JSON.parse(content) : content;
+  const globalStats = plan.GlobalStats || {};
+  const steps = (plan.Operations || []).map(buildStep);
+  const nodes = steps.flatMap(step => step.nodes.map(node => ({ step: step.step, node })));
+
+  return {
+    stats: {
+      partitionsTotal: toNumber(globalStats.partitionsTotal),
+      partitionsAssigned: toNumber(globalStats.partitionsAssigned),
+      bytesAssigned: toNumber(globalStats.bytesAssigned)
+    },
+    objects: Array.from(new Set(nodes.flatMap(({ node }) => node.objects))).sort(),
+    warnings: nodes.flatMap(({ step, node }) => node.warnings.map(warning => ({ ...warning, step, operatorId: node.id }))),
+    steps: steps.map(({ step, operators }) => ({ step, operators }))
+  };
+};
+
+module.exports = {
+  normalizePlan
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { normalizeSql } = require('./sqlSplitter');
+const { classifyStatement } = require('./sqlPolicy');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const CACHE_DEFAULTS = {
+  enabled: process.env.RESULT_CACHE_ENABLED === 'true',
+  ttlMs: envInt('RESULT_CACHE_TTL_MS', 5 * 60 * 1000),
+  maxEntries: envInt('RESULT_CACHE_MAX_ENTRIES', 500),
+  maxBytes: envInt('RESULT_CACHE_MAX_BYTES', 50 * 1024 * 1024)
+};
+
+// Functions whose value changes from one run to the next, so their results must not be reused
+const VOLATILE_PATTERN = /\b(CURRENT_TIMESTAMP|CURRENT_TIME|CURRENT_DATE|LOCALTIMESTAMP|LOCALTIME|SYSDATE|GETDATE|SYSTIMESTAMP|RANDOM|UNIFORM|NORMAL|RANDSTR|UUID_STRING|SEQ[1248]|SYSTEM\$\w+)\b/i;
+
+// Only single SELECT statements are cached; scripts, writes and volatile functions always run
+const isCacheable = statements => statements.length === 1
+  && classifyStatement(statements[0].sql).category === 'SELECT'
+  && !VOLATILE_PATTERN.test(normalizeSql(statements[0].sql));
+
+// Results of read-only queries, kept for ttlMs and evicted least recently used first once there are
+// more than maxEntries or their JSON size passes maxBytes. Every key includes the identity that ran
+// the query (identityKey), so one user's results are never served to another
+const createResultCache = (options = CACHE_DEFAULTS) => {
+  const { enabled, ttlMs, maxEntries, maxBytes } = { ...CACHE_DEFAULTS, ...options };
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.bytes;
+      entries.delete(key);
+    }
+  };
+
+  // Cache key for a request, or null when its result may not be cached
+  const keyFor = ({ statements, executionMode, identityKey, context }) => {
+    if (!enabled || !isCacheable(statements)) {
+      return null;
+    }
+    const { sql, binds } = statements[0];
+    const { secondaryRoles = null, database = null, schema = null } = context || {};
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([normalizeSql(sql), binds, executionMode, identityKey, secondaryRoles, database, schema]))
+      .digest('hex');
+  };
+
+  // The cached result with cached, cachedAt and cacheAgeMs added to its metadata
+  const get = (key) => {
+    const entry = key && entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    const ageMs = Date.now() - entry.cachedAt;
+    if (ageMs > ttlMs) {
+      remove(key);
+      return null;
+    }
+    // Re-inserting keeps the Map in least recently used order
+    entries.delete(key);
+    entries.set(key, entry);
+    return {
+      ...entry.result,
+      metadata: {
+        ...entry.result.metadata,
+        cached: true,
+        cachedAt: new Date(entry.cachedAt).toISOString(),
+        cacheAgeMs: ageMs
+      }
+    };
+  };
+
+  // Store a complete result; truncated ones and results too big for the cache are skipped
+  const set = (key, identityKey, result) => {
+    if (!key || result.metadata.truncated) {
+      return;
+    }
+    const bytes = Buffer.byteLength(JSON.stringify(result));
+    if (bytes > maxBytes) {
+      return;
+    }
+    remove(key);
+    entries.set(key, { identityKey, result, bytes, cachedAt: Date.now() });
+    totalBytes += bytes;
+    while (entries.size > maxEntries || totalBytes > maxBytes) {
+      remove(entries.keys().next().value);
+    }
+  };
+
+  // Drop the entries of one identity, or everything when identityKey is left out
+  const invalidate = (identityKey) => {
+    const before = entries.size;
+    Array.from(entries.entries())
+      .filter(([, entry]) => identityKey === undefined || entry.identityKey === identityKey)
+      .forEach(([key]) => remove(key));
+    return before - entries.size;
+  };
+
+  const stats = () => ({ enabled, entries: entries.size, bytes: totalBytes, ttlMs, maxEntries, maxBytes });
+
+  return { keyFor, get, set, invalidate, stats };
+};
+
+module.exports = {
+  createResultCache
+};
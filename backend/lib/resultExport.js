@@ -0,0 +1,150 @@
+const { Transform } = require('stream');
+const ExcelJS = require('exceljs');
+const { NUMBER_AS_STRING, streamRows, pipeRows, ndjsonTransform } = require('./resultStream');
+const {
+  SEMI_STRUCTURED_TYPES,
+  TIMESTAMP_TYPES,
+  MAX_SAFE_DIGITS,
+  significantDigits,
+  serializeValue,
+  serializeRow,
+  formatText
+} = require('./valueSerializer');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const escapeCsv = (text) => {
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// TSV has no quoting, so control characters are written as escape sequences
+const escapeTsv = text => text
+  .replace(/\\/g, '\\\\')
+  .replace(/\t/g, '\\t')
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r');
+
+const delimitedTransform = (columns, delimiter, escape) => {
+  let headerWritten = false;
+  const header = () => columns.map(col => escape(col.name)).join(delimiter) + '\r\n';
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const line = columns.map(col => escape(formatText(row[col.name], col))).join(delimiter) + '\r\n';
+      callback(null, headerWritten ? line : header() + line);
+      headerWritten = true;
+    },
+    flush(callback) {
+      callback(null, headerWritten ? '' : header());
+    }
+  });
+};
+
+const jsonArrayTransform = (columns) => {
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const prefix = first ? '[\n' : ',\n';
+      first = false;
+      callback(null, prefix + JSON.stringify(serializeRow(row, columns)));
+    },
+    flush(callback) {
+      callback(null, first ? '[]\n' : '\n]\n');
+    }
+  });
+};
+
+// Excel number format matching a NUMBER column's scale, e.g. 0.00 for scale 2
+const numberFormat = column => (column.scale > 0 ? `0.${'0'.repeat(column.scale)}` : '0');
+
+const xlsxCell = (value, column) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (column.type) {
+    case 'fixed': {
+      const text = String(value);
+      return significantDigits(text) <= MAX_SAFE_DIGITS ? Number(text) : text;
+    }
+    case 'real':
+      return serializeValue(value, column);
+    case 'boolean':
+    case 'date':
+      return value;
+    default:
+      if (TIMESTAMP_TYPES.includes(column.type)) {
+        return value;
+      }
+      if (SEMI_STRUCTURED_TYPES.includes(column.type)) {
+        return JSON.stringify(value);
+      }
+      return formatText(value, column);
+  }
+};
+
+const xlsxColumnFormat = (column) => {
+  if (column.type === 'fixed') {
+    return numberFormat(column);
+  }
+  if (column.type === 'date') {
+    return 'yyyy-mm-dd';
+  }
+  if (TIMESTAMP_TYPES.includes(column.type)) {
+    return 'yyyy-mm-dd hh:mm:ss.000';
+  }
+  return undefined;
+};
+
+const writeXlsx = async (rows, columns, destination) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: destination, useStyles: true });
+  const worksheet = workbook.addWorksheet('Results');
+  worksheet.columns = columns.map(column => ({
+    header: column.name,
+    key: column.name,
+    width: Math.max(column.name.length + 2, 12),
+    style: xlsxColumnFormat(column) ? { numFmt: xlsxColumnFormat(column) } : {}
+  }));
+
+  for await (const row of rows) {
+    const values = {};
+    columns.forEach((column) => {
+      values[column.name] = xlsxCell(row[column.name], column);
+    });
+    worksheet.addRow(values).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Stream every row of a finished statement to destination in the given format
+const exportRows = (statement, columns, format, destination) => {
+  if (format === 'xlsx') {
+    const rows = streamRows(statement, { fetchAsString: NUMBER_AS_STRING }) || [];
+    return writeXlsx(rows, columns, destination);
+  }
+
+  const serializers = {
+    csv: () => delimitedTransform(columns, ',', escapeCsv),
+    tsv: () => delimitedTransform(columns, '\t', escapeTsv),
+    json: () => jsonArrayTransform(columns),
+    ndjson: () => ndjsonTransform(columns)
+  };
+  return pipeRows(statement, destination, serializers[format](), { fetchAsString: NUMBER_AS_STRING });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportRows
+};
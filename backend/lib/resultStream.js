@@ -0,0 +1,108 @@
+const { Readable, Transform, pipeline } = require('stream');
+const { serializeRow } = require('./valueSerializer');
+
+// Never buffer more than this many rows into a single JSON response
+const MAX_RESULT_ROWS = parseInt(process.env.QUERY_RESULT_MAX_ROWS, 10) || 1000;
+
+// NUMBER is read as text so the serializer decides how to keep its precision
+const NUMBER_AS_STRING = ['Number'];
+
+const describeColumns = statement => statement.getColumns().map(col => ({
+  name: col.getName(),
+  type: col.getType(),
+  nullable: col.isNullable(),
+  scale: col.getScale(),
+  precision: col.getPrecision()
+}));
+
+// Re-open the result of a finished statement without re-running it
+const fetchStatement = (connection, statementId) => {
+  return new Promise((resolve, reject) => {
+    connection.getResultsFromQueryId({
+      queryId: statementId,
+      streamResult: true,
+      complete: (err, statement) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(statement);
+        }
+      }
+    }).catch(reject);
+  });
+};
+
+// Stream rows [offset, offset + limit) of a statement; limit null means to the end
+const streamRows = (statement, { offset = 0, limit = null, fetchAsString } = {}) => {
+  const total = statement.getNumRows();
+  const end = limit === null ? total : Math.min(offset + limit, total);
+  if (offset >= end) {
+    return null;
+  }
+  return statement.streamRows({ start: offset, end: end - 1, fetchAsString });
+};
+
+// Report progress every this many rows while reading
+const ROW_PROGRESS_INTERVAL = 100;
+
+// Rows [offset, offset + limit) as JSON-safe values, serialized by column type.
+// onProgress(count) is called as rows arrive and once more at the end
+const readRows = (statement, offset, limit, onProgress) => {
+  return new Promise((resolve, reject) => {
+    const stream = streamRows(statement, { offset, limit, fetchAsString: NUMBER_AS_STRING });
+    if (!stream) {
+      resolve([]);
+      return;
+    }
+    const columns = describeColumns(statement);
+    const rows = [];
+    stream.on('data', (row) => {
+      rows.push(serializeRow(row, columns));
+      if (onProgress && rows.length % ROW_PROGRESS_INTERVAL === 0) {
+        onProgress(rows.length);
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', () => {
+      if (onProgress) {
+        onProgress(rows.length);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+const ndjsonTransform = columns => new Transform({
+  writableObjectMode: true,
+  transform(row, encoding, callback) {
+    callback(null, JSON.stringify(serializeRow(row, columns)) + '\n');
+  }
+});
+
+// Pipe statement rows through a serializer into a writable (usually the HTTP response)
+const pipeRows = (statement, destination, serializer, range) => {
+  return new Promise((resolve, reject) => {
+    const rows = streamRows(statement, range) || Readable.from([]);
+    pipeline(rows, serializer, destination, err => (err ? reject(err) : resolve()));
+  });
+};
+
+// Parse ?offset=&limit= and clamp the page to the server-side row cap
+const parsePageRange = (query) => {
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  const requested = parseInt(query.limit, 10);
+  const limit = requested > 0 ? Math.min(requested, MAX_RESULT_ROWS) : MAX_RESULT_ROWS;
+  return { offset, limit };
+};
+
+module.exports = {
+  MAX_RESULT_ROWS,
+  NUMBER_AS_STRING,
+  describeColumns,
+  fetchStatement,
+  streamRows,
+  readRows,
+  ndjsonTransform,
+  pipeRows,
+  parsePageRange
+};
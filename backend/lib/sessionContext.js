@@ -0,0 +1,135 @@
+const { parseIdentifier, quoteIdentifier, qualifiedName } = require('./identifiers');
+
+// Per-request session context: warehouse, secondary roles, database, schema and query tag.
+// Pooled sessions remember what was applied to them, so a request only runs the USE and
+// ALTER SESSION statements for what differs from the session it was handed
+
+const QUERY_TAG_MAX_LENGTH = 2000;
+const SECONDARY_ROLE_KEYWORDS = ['ALL', 'NONE'];
+
+const quoteString = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+
+// ALL, NONE or a list of role names
+const parseSecondaryRoles = (value) => {
+  if (typeof value === 'string' && SECONDARY_ROLE_KEYWORDS.includes(value.trim().toUpperCase())) {
+    return value.trim().toUpperCase();
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`secondaryRoles must be ${SECONDARY_ROLE_KEYWORDS.join(' or ')} or a non-empty array of role names`);
+  }
+  return value.map((role, index) => parseIdentifier(role, `secondaryRoles[${index}]`));
+};
+
+// The query tag is JSON: the custom tag's fields (or { tag } for a plain string) plus the execution mode
+const buildQueryTag = (executionMode, custom) => {
+  let fields = {};
+  if (typeof custom === 'string') {
+    fields = { tag: custom };
+  } else if (custom && typeof custom === 'object' && !Array.isArray(custom)) {
+    fields = custom;
+  } else if (custom !== undefined && custom !== null) {
+    throw new Error('queryTag must be a string or an object');
+  }
+  const tag = JSON.stringify({ ...fields, executionMode });
+  if (tag.length > QUERY_TAG_MAX_LENGTH) {
+    throw new Error(`queryTag is too long; the JSON tag may be at most ${QUERY_TAG_MAX_LENGTH} characters`);
+  }
+  return tag;
+};
+
+// Validate the context of a request body; fields left out keep the deployment's defaults
+const parseSessionContext = (context, executionMode) => {
+  if (context !== undefined && context !== null && (typeof context !== 'object' || Array.isArray(context))) {
+    throw new Error('context must be an object');
+  }
+  const { warehouse, secondaryRoles, database, schema, queryTag } = context || {};
+  const present = value => value !== undefined && value !== null && value !== '';
+  return {
+    warehouse: present(warehouse) ? parseIdentifier(warehouse, 'warehouse') : null,
+    secondaryRoles: present(secondaryRoles) ? parseSecondaryRoles(secondaryRoles) : null,
+    database: present(database) ? parseIdentifier(database, 'database') : null,
+    schema: present(schema) ? parseIdentifier(schema, 'schema') : null,
+    queryTag: buildQueryTag(executionMode, queryTag)
+  };
+};
+
+const sameRoles = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// defaults: { warehouse, database, schema } of the deployment; the warehouse may be unknown (null),
+// in which case sessions that switched warehouse cannot be put back and are not reused
+const createSessionContext = (defaults) => {
+  const baseline = {
+    warehouse: defaults.warehouse ? parseIdentifier(defaults.warehouse, 'SNOWFLAKE_WAREHOUSE') : null,
+    database: parseIdentifier(defaults.database, 'SNOWFLAKE_DATABASE'),
+    schema: parseIdentifier(defaults.schema, 'SNOWFLAKE_SCHEMA')
+  };
+  const applied = new WeakMap();
+
+  // What a request wants, with its blanks filled in from the defaults. A database without a
+  // schema leaves the schema to USE DATABASE, which picks PUBLIC
+  const desired = context => ({
+    warehouse: context.warehouse || baseline.warehouse,
+    secondaryRoles: context.secondaryRoles,
+    database: context.database || baseline.database,
+    schema: context.schema || (context.database ? null : baseline.schema),
+    queryTag: context.queryTag
+  });
+
+  // Bring a session to the request's context; run executes one statement on it
+  const apply = async (connection, context, run) => {
+    const current = applied.get(connection) || {};
+    const target = desired(context);
+
+    if (target.warehouse && target.warehouse !== current.warehouse) {
+      await run(`USE WAREHOUSE ${quoteIdentifier(target.warehouse)}`);
+      current.warehouse = target.warehouse;
+    }
+    if (target.secondaryRoles && !sameRoles(target.secondaryRoles, current.secondaryRoles)) {
+      await run(`USE SECONDARY ROLES ${Array.isArray(target.secondaryRoles)
+        ? target.secondaryRoles.map(quoteIdentifier).join(', ')
+        : target.secondaryRoles}`);
+      current.secondaryRoles = target.secondaryRoles;
+    }
+    if (target.database !== current.database || target.schema !== current.schema) {
+      if (target.schema) {
+        await run(`USE SCHEMA ${qualifiedName(target.database, target.schema)}`);
+      } else {
+        await run(`USE DATABASE ${quoteIdentifier(target.database)}`);
+      }
+      current.database = target.database;
+      current.schema = target.schema;
+    }
+    if (target.queryTag !== current.queryTag) {
+      await run(`ALTER SESSION SET QUERY_TAG = ${quoteString(target.queryTag)}`);
+      current.queryTag = target.queryTag;
+    }
+    applied.set(connection, current);
+  };
+
+  // A new session starts on the configured warehouse with the login's secondary roles
+  const initialize = (connection, executionMode, run) => {
+    applied.set(connection, { warehouse: baseline.warehouse, secondaryRoles: null });
+    return apply(connection, parseSessionContext(null, executionMode), run);
+  };
+
+  // Whether the next request can bring the session back to the defaults it needs
+  const isReusable = (connection) => {
+    const current = applied.get(connection);
+    return !!current
+      && current.secondaryRoles === null
+      && (current.warehouse === baseline.warehouse || baseline.warehouse !== null);
+  };
+
+  // The warehouse, secondary roles, database and schema a session is on, as far as it was applied here
+  const current = (connection) => {
+    const { warehouse = null, secondaryRoles = null, database = null, schema = null } = applied.get(connection) || {};
+    return { warehouse, secondaryRoles, database, schema };
+  };
+
+  return { baseline, apply, initialize, isReusable, current };
+};
+
+module.exports = {
+  parseSessionContext,
+  createSessionContext
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { normalizeSql, splitStatements } = require('./sqlSplitter');
+
+const CATEGORY_BY_KEYWORD = {
+  SELECT: 'SELECT',
+  WITH: 'SELECT',
+  VALUES: 'SELECT',
+  INSERT: 'DML',
+  UPDATE: 'DML',
+  DELETE: 'DML',
+  MERGE: 'DML',
+  TRUNCATE: 'DML',
+  COPY: 'DML',
+  CREATE: 'DDL',
+  ALTER: 'DDL',
+  DROP: 'DDL',
+  UNDROP: 'DDL',
+  COMMENT: 'DDL',
+  GRANT: 'DCL',
+  REVOKE: 'DCL',
+  USE: 'USE',
+  SET: 'SET',
+  UNSET: 'SET',
+  CALL: 'CALL',
+  EXECUTE: 'CALL',
+  SHOW: 'SHOW',
+  DESCRIBE: 'SHOW',
+  DESC: 'SHOW',
+  EXPLAIN: 'SHOW',
+  LIST: 'SHOW',
+  LS: 'SHOW',
+  BEGIN: 'TRANSACTION',
+  START: 'TRANSACTION',
+  COMMIT: 'TRANSACTION',
+  ROLLBACK: 'TRANSACTION',
+  DECLARE: 'SCRIPT'
+};
+
+const CATEGORIES = [...new Set(Object.values(CATEGORY_BY_KEYWORD)), 'OTHER'];
+
+// Categories whose statements only read
+const READ_ONLY_CATEGORIES = ['SELECT', 'SHOW'];
+
+// BEGIN followed by anything else opens a Snowflake Scripting block
+const TRANSACTION_WORDS = ['TRANSACTION', 'WORK', 'NAME'];
+
+// Words between the verb and the object type that do not change what is being created
+const MODIFIERS = ['OR', 'REPLACE', 'IF', 'NOT', 'EXISTS', 'TEMPORARY', 'TEMP', 'TRANSIENT', 'VOLATILE',
+  'LOCAL', 'GLOBAL', 'SECURE', 'RECURSIVE'];
+
+// Object types spelled with two words, e.g. CREATE COMPUTE POOL
+const TWO_WORD_TYPES = ['COMPUTE', 'IMAGE', 'NETWORK', 'MATERIALIZED', 'DYNAMIC', 'EXTERNAL', 'MASKING',
+  'ROW', 'RESOURCE', 'SECURITY', 'API', 'STORAGE', 'NOTIFICATION', 'FILE', 'EVENT'];
+
+const DDL_VERBS = ['CREATE', 'ALTER', 'DROP', 'UNDROP', 'SHOW', 'DESCRIBE', 'DESC', 'GRANT', 'REVOKE'];
+
+// Classify one statement by its leading keywords, e.g. { category: 'DDL', command: 'CREATE SERVICE' }.
+// Comments and literals are masked first, so neither can hide a keyword or pose as one
+const classifyStatement = (sql) => {
+  const words = normalizeSql(sql, { maskLiterals: true })
+    .split(/[^A-Z0-9_$]+/)
+    .filter(Boolean);
+  const verb = words[0] || '';
+  let category = CATEGORY_BY_KEYWORD[verb] || 'OTHER';
+
+  let command = verb;
+  if (DDL_VERBS.includes(verb)) {
+    const rest = words.slice(1).filter(word => !MODIFIERS.includes(word));
+    const objectType = TWO_WORD_TYPES.includes(rest[0]) && rest[1] ? `${rest[0]} ${rest[1]}` : rest[0];
+    command = objectType ? `${verb} ${objectType}` : verb;
+  }
+
+  // ALTER SESSION only changes session parameters
+  if (command === 'ALTER SESSION') {
+    category = 'SET';
+  }
+
+  // Scripts and dynamic SQL run statements that are not visible here as leading keywords
+  if (verb === 'DECLARE' || (verb === 'BEGIN' && words[1] && !TRANSACTION_WORDS.includes(words[1]))) {
+    return { category: 'SCRIPT', command: 'ANONYMOUS BLOCK' };
+  }
+  if (verb === 'EXECUTE' && words[1] === 'IMMEDIATE') {
+    return { category: 'SCRIPT', command: 'EXECUTE IMMEDIATE' };
+  }
+  if (verb === 'WITH' && words.some((word, index) => word === 'PROCEDURE' && words[index - 1] === 'AS')) {
+    return { category: 'SCRIPT', command: 'ANONYMOUS PROCEDURE' };
+  }
+
+  return { category, command };
+};
+
+// The SQL text an EXECUTE IMMEDIATE statement runs when it is given as a literal, otherwise null
+const immediateBody = (sql) => {
+  const match = normalizeSql(sql).match(/^EXECUTE IMMEDIATE ('(?:[^'\\]|\\.|'')*'|\$\$[\s\S]*?\$\$)/);
+  if (!match) {
+    return null;
+  }
+  const literal = match[1];
+  if (literal.startsWith('$$')) {
+    return literal.slice(2, -2);
+  }
+  return literal.slice(1, -1).replace(/''/g, "'").replace(/\\(.)/g, '$1');
+};
+
+const MODE_ALIASES = {
+  owner: "owner's_rights",
+  "owner's_rights": "owner's_rights",
+  caller: "caller's_rights",
+  "caller's_rights": "caller's_rights"
+};
+
+const normalizeRule = (rule, index) => {
+  const id = rule.id || `rule-${index + 1}`;
+  if (!['allow', 'deny'].includes(rule.action)) {
+    throw new Error(`Policy rule ${id}: action must be "allow" or "deny"`);
+  }
+
+  const modes = (rule.modes || Object.keys(MODE_ALIASES)).map((mode) => {
+    if (!MODE_ALIASES[mode]) {
+      throw new Error(`Policy rule ${id}: unknown execution mode "${mode}"`);
+    }
+    return MODE_ALIASES[mode];
+  });
+
+  const categories = (rule.categories || []).map(category => String(category).toUpperCase());
+  categories.forEach((category) => {
+    if (!CATEGORIES.includes(category)) {
+      throw new Error(`Policy rule ${id}: unknown statement category "${category}"`);
+    }
+  });
+
+  return {
+    id,
+    description: rule.description || '',
+    action: rule.action,
+    modes: new Set(modes),
+    categories,
+    commands: (rule.commands || []).map(command => String(command).toUpperCase().trim()),
+    pattern: rule.pattern ? new RegExp(rule.pattern, 'i') : null
+  };
+};
+
+const ruleMatches = (rule, classification, sql) => {
+  const hasCriteria = rule.categories.length || rule.commands.length || rule.pattern;
+  if (!hasCriteria) {
+    return true;
+  }
+  return rule.categories.includes(classification.category)
+    || rule.commands.some(command => classification.command === command || classification.command.startsWith(`${command} `))
+    || (rule.pattern !== null && rule.pattern.test(sql));
+};
+
+// Rules are evaluated in order and the first one that matches decides
+const createPolicy = (definition = {}) => {
+  const defaultAction = definition.default || 'allow';
+  if (!['allow', 'deny'].includes(defaultAction)) {
+    throw new Error('Policy default must be "allow" or "deny"');
+  }
+  const rules = (definition.rules || []).map(normalizeRule);
+
+  // Returns null when allowed, otherwise a description of the violation. The statements an
+  // EXECUTE IMMEDIATE literal runs must be allowed as well
+  const check = (sql, executionMode) => {
+    const classification = classifyStatement(sql);
+    const rule = rules.find(candidate =>
+      candidate.modes.has(executionMode) && ruleMatches(candidate, classification, sql)
+    );
+
+    if (rule ? rule.action === 'allow' : defaultAction === 'allow') {
+      const body = immediateBody(sql);
+      for (const statement of body === null ? [] : splitStatements(body)) {
+        const violation = check(statement.sql, executionMode);
+        if (violation) {
+          return violation;
+        }
+      }
+      return null;
+    }
+    return {
+      ruleId: rule ? rule.id : 'default',
+      description: rule ? rule.description : 'No policy rule allows this statement',
+      category: classification.category,
+      command: classification.command,
+      executionMode
+    };
+  };
+
+  // Check every statement of a request; the first violation wins
+  const checkStatements = (statements, executionMode) => {
+    for (const [index, statement] of statements.entries()) {
+      const violation = check(statement.sql, executionMode);
+      if (violation) {
+        return { ...violation, statementIndex: index, line: statement.line };
+      }
+    }
+    return null;
+  };
+
+  return { check, checkStatements, ruleCount: rules.length, defaultAction };
+};
+
+// Load a policy from a .json, .yml or .yaml file
+const loadPolicy = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const definition = path.extname(filePath) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  return createPolicy(definition || {});
+};
+
+module.exports = {
+  CATEGORIES,
+  READ_ONLY_CATEGORIES,
+  classifyStatement,
+  createPolicy,
+  loadPolicy
+};
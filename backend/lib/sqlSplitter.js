@@ -0,0 +1,253 @@
+// Splits a SQL script into statements on top-level semicolons, skipping over
+// string literals, quoted identifiers, $$ blocks, scripting blocks and comments
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+// Index just past the closing quote, honouring doubled quotes and backslash escapes
+const skipQuoted = (text, i, quote) => {
+  let pos = i + 1;
+  while (pos < text.length) {
+    if (text[pos] === '\\' && quote === "'") {
+      pos += 2;
+    } else if (text[pos] === quote) {
+      if (text[pos + 1] === quote) {
+        pos += 2;
+      } else {
+        return pos + 1;
+      }
+    } else {
+      pos++;
+    }
+  }
+  return text.length;
+};
+
+const skipUntil = (text, i, terminator) => {
+  const end = text.indexOf(terminator, i);
+  return end === -1 ? text.length : end + terminator.length;
+};
+
+const lineAt = (text, index) => text.substring(0, index).split('\n').length;
+
+const WORD = /[A-Za-z_][A-Za-z0-9_$]*/y;
+
+// The upper-cased word at or (skipping whitespace) after index i, with the index just past it
+const wordAfter = (text, i) => {
+  let pos = i;
+  while (pos < text.length && /\s/.test(text[pos])) {
+    pos++;
+  }
+  WORD.lastIndex = pos;
+  const match = WORD.exec(text);
+  return match ? { word: match[0].toUpperCase(), end: pos + match[0].length } : { word: '', end: pos };
+};
+
+// BEGIN TRANSACTION, BEGIN WORK and BEGIN NAME start a transaction, not a block
+const TRANSACTION_WORDS = ['TRANSACTION', 'WORK', 'NAME'];
+
+// END followed by one of these closes an IF or a loop rather than a BEGIN or CASE
+const END_SUFFIXES = ['IF', 'LOOP', 'FOR', 'WHILE', 'REPEAT'];
+
+// A Snowflake Scripting block (DECLARE ... BEGIN ... END or BEGIN ... END) runs as one
+// statement, so the semicolons inside it do not split
+const startsBlock = (text, i) => {
+  const { word, end } = wordAfter(text, i);
+  if (word === 'DECLARE') {
+    return true;
+  }
+  const after = wordAfter(text, end).word;
+  return word === 'BEGIN' && after !== '' && !TRANSACTION_WORDS.includes(after);
+};
+
+// Returns [{ sql, line, offset }] where line is the 1-based line the statement's code starts on
+// and offset is the index in text that sql starts at
+const splitStatements = (text) => {
+  const statements = [];
+  let start = 0;
+  let codeStart = -1;
+  let i = 0;
+  // Open BEGIN and CASE keywords while inside a scripting block, or -1 outside one
+  let depth = -1;
+
+  const push = (end) => {
+    if (codeStart !== -1) {
+      const raw = text.substring(start, end);
+      statements.push({
+        sql: raw.trim(),
+        line: lineAt(text, codeStart),
+        offset: start + raw.length - raw.trimStart().length
+      });
+    }
+    start = end + 1;
+    codeStart = -1;
+  };
+
+  const markCode = () => {
+    if (codeStart === -1) {
+      codeStart = i;
+    }
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if ((ch === '-' && next === '-') || (ch === '/' && next === '/')) {
+      i = skipUntil(text, i, '\n');
+    } else if (ch === '/' && next === '*') {
+      i = skipUntil(text, i + 2, '*/');
+    } else if (ch === '$' && next === '$' && !(i > 0 && IDENTIFIER_CHAR.test(text[i - 1]))) {
+      markCode();
+      i = skipUntil(text, i + 2, '$$');
+    } else if (ch === "'" || ch === '"') {
+      markCode();
+      i = skipQuoted(text, i, ch);
+    } else if (ch === ';') {
+      if (depth === -1) {
+        push(i);
+      }
+      i++;
+    } else if (/[A-Za-z_]/.test(ch) && !(i > 0 && IDENTIFIER_CHAR.test(text[i - 1])) && (depth !== -1 || codeStart === -1)) {
+      if (codeStart === -1 && startsBlock(text, i)) {
+        depth = 0;
+      }
+      markCode();
+      const { word, end } = wordAfter(text, i);
+      i = end;
+      if (depth !== -1) {
+        const after = wordAfter(text, end);
+        if (word === 'CASE' || (word === 'BEGIN' && !TRANSACTION_WORDS.includes(after.word))) {
+          depth++;
+        } else if (word === 'END') {
+          // END CASE closes a CASE statement just as END closes a CASE expression
+          if (after.word === 'CASE' || END_SUFFIXES.includes(after.word)) {
+            i = after.end;
+          }
+          if (!END_SUFFIXES.includes(after.word)) {
+            depth = depth === 1 ? -1 : depth - 1;
+          }
+        }
+      }
+    } else {
+      if (!/\s/.test(ch)) {
+        markCode();
+      }
+      i++;
+    }
+  }
+  push(text.length);
+
+  return statements;
+};
+
+// Bind placeholders outside literals and comments: ? (positional) and :name.
+// A colon straight after an identifier, ] or " is a semi-structured path (src:field)
+// and a doubled colon is a cast, so neither counts as a placeholder
+const findPlaceholders = (text) => {
+  const placeholders = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    const prev = i > 0 ? text[i - 1] : '';
+
+    if ((ch === '-' && next === '-') || (ch === '/' && next === '/')) {
+      i = skipUntil(text, i, '\n');
+    } else if (ch === '/' && next === '*') {
+      i = skipUntil(text, i + 2, '*/');
+    } else if (ch === '$' && next === '$' && !IDENTIFIER_CHAR.test(prev)) {
+      i = skipUntil(text, i + 2, '$$');
+    } else if (ch === "'" || ch === '"') {
+      i = skipQuoted(text, i, ch);
+    } else if (ch === '?') {
+      placeholders.push({ index: i, length: 1, name: null });
+      i++;
+    } else if (ch === ':' && next === ':') {
+      i += 2;
+    } else if (ch === ':' && /[A-Za-z_]/.test(next || '') && !/[A-Za-z0-9_$\]")]/.test(prev)) {
+      const name = text.substring(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      placeholders.push({ index: i, length: name.length + 1, name });
+      i += name.length + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return placeholders;
+};
+
+// The statement with comments dropped, runs of whitespace outside literals collapsed to one
+// space, unquoted text upper-cased (as Snowflake resolves it) and no trailing semicolon, so
+// formatting alone does not make two statements differ. With maskLiterals, string literals,
+// quoted identifiers and $$ blocks are dropped too, leaving only the keywords and names
+const normalizeSql = (text, { maskLiterals = false } = {}) => {
+  let out = '';
+  let i = 0;
+  const space = () => {
+    if (out && !out.endsWith(' ')) {
+      out += ' ';
+    }
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    let end;
+
+    if ((ch === '-' && next === '-') || (ch === '/' && next === '/')) {
+      i = skipUntil(text, i, '\n');
+      space();
+    } else if (ch === '/' && next === '*') {
+      i = skipUntil(text, i + 2, '*/');
+      space();
+    } else if (/\s/.test(ch)) {
+      i++;
+      space();
+    } else {
+      if (ch === '$' && next === '$' && !(i > 0 && IDENTIFIER_CHAR.test(text[i - 1]))) {
+        end = skipUntil(text, i + 2, '$$');
+      } else if (ch === "'" || ch === '"') {
+        end = skipQuoted(text, i, ch);
+      } else {
+        end = i + 1;
+      }
+      if (end === i + 1) {
+        out += ch.toUpperCase();
+      } else if (maskLiterals) {
+        space();
+      } else {
+        out += text.substring(i, end);
+      }
+      i = end;
+    }
+  }
+  return out.trim().replace(/\s*;$/, '');
+};
+
+// Leading comments removed, so a statement can be classified by its first keyword
+const stripLeadingComments = (sql) => {
+  let rest = sql.trimStart();
+  for (;;) {
+    if (rest.startsWith('--') || rest.startsWith('//')) {
+      rest = rest.substring(skipUntil(rest, 0, '\n')).trimStart();
+    } else if (rest.startsWith('/*')) {
+      rest = rest.substring(skipUntil(rest, 2, '*/')).trimStart();
+    } else {
+      return rest;
+    }
+  }
+};
+
+// Statements that leave state behind on the session they ran on
+const SESSION_STATE_PATTERN = /^(USE|SET|UNSET|ALTER\s+SESSION|BEGIN|START\s+TRANSACTION)\b/i;
+
+const changesSessionState = sql => SESSION_STATE_PATTERN.test(normalizeSql(sql, { maskLiterals: true }));
+
+module.exports = {
+  splitStatements,
+  stripLeadingComments,
+  changesSessionState,
+  findPlaceholders,
+  normalizeSql
+};
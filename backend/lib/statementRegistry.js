@@ -0,0 +1,52 @@
+// Snowflake keeps query results for 24 hours; forget statements after that
+const STATEMENT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_STATEMENTS = parseInt(process.env.STATEMENT_REGISTRY_MAX, 10) || 5000;
+
+// Remembers who ran each statement and under which rights, so its results
+// can only be re-read by the same ingress user in the same execution mode.
+// A result served from the result cache adds its user to the statement's owners
+const createStatementRegistry = () => {
+  const statements = new Map();
+
+  const record = (statementId, { owner, callersRights, executionMode, totalRowCount }) => {
+    if (!statementId) {
+      return;
+    }
+    const existing = statements.get(statementId);
+    const shared = existing && existing.executionMode === executionMode;
+    const owners = shared ? existing.owners : new Set();
+    owners.add(owner);
+    statements.delete(statementId);
+    statements.set(statementId, {
+      statementId,
+      owners,
+      callersRights,
+      executionMode,
+      totalRowCount,
+      recordedAt: shared ? existing.recordedAt : Date.now()
+    });
+
+    // Map iteration follows insertion order, so the first entry is the oldest
+    while (statements.size > MAX_STATEMENTS) {
+      statements.delete(statements.keys().next().value);
+    }
+  };
+
+  const get = (statementId, owner) => {
+    const entry = statements.get(statementId);
+    if (!entry || !entry.owners.has(owner)) {
+      return null;
+    }
+    if (Date.now() - entry.recordedAt > STATEMENT_TTL_MS) {
+      statements.delete(statementId);
+      return null;
+    }
+    return { ...entry, owner };
+  };
+
+  return { record, get };
+};
+
+module.exports = {
+  createStatementRegistry
+};
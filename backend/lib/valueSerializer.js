@@ -0,0 +1,144 @@
+// Converts Snowflake SDK row values into lossless, JSON-safe values using the
+// column metadata reported by describeColumns()
+
+// Largest number of significant digits a double represents exactly
+const MAX_SAFE_DIGITS = 15;
+
+const SEMI_STRUCTURED_TYPES = ['variant', 'object', 'array'];
+const TIMESTAMP_TYPES = ['timestamp_ltz', 'timestamp_ntz', 'timestamp_tz'];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const significantDigits = text => text.replace(/^[-+]?0*/, '').replace('.', '').replace(/^0+/, '').length;
+
+// Fractional seconds at the column's scale, using the SDK's nanosecond precision when available
+const fraction = (value, millis) => {
+  const scale = typeof value.getScale === 'function' ? value.getScale() : 3;
+  if (!scale) {
+    return '';
+  }
+  const nanos = typeof value.getNanoSeconds === 'function' ? value.getNanoSeconds() : millis * 1e6;
+  return '.' + pad(nanos, 9).substring(0, scale);
+};
+
+const formatTime = (value) => {
+  const seconds = value.getMidnightSeconds();
+  const clock = `${pad(Math.floor(seconds / 3600) % 24)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+  return clock + fraction(value, 0);
+};
+
+// Minutes east of UTC of a TIMESTAMP_TZ value; the SDK reports either an offset or a zone name
+const offsetMinutes = (value) => {
+  const timezone = typeof value.getTimezone === 'function' ? value.getTimezone() : null;
+  const zone = timezone && timezone.name ? timezone.name : timezone;
+  if (typeof zone === 'number') {
+    return zone;
+  }
+  if (typeof zone !== 'string') {
+    return 0;
+  }
+  try {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'longOffset' })
+      .formatToParts(value)
+      .find(part => part.type === 'timeZoneName').value;
+    const match = name.match(/([+-])(\d{2}):(\d{2})/);
+    return match ? (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10)) : 0;
+  } catch (err) {
+    return 0;
+  }
+};
+
+const formatOffset = (minutes) => {
+  if (minutes === 0) {
+    return 'Z';
+  }
+  const sign = minutes < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+};
+
+// DATE -> YYYY-MM-DD, TIMESTAMP_NTZ -> ISO without zone, LTZ -> ISO in UTC,
+// TZ -> ISO in the value's own offset
+const formatTemporal = (value, type) => {
+  if (type === 'time') {
+    return formatTime(value);
+  }
+  const iso = value.toISOString();
+  if (type === 'date') {
+    return iso.substring(0, 10);
+  }
+  const millis = value.getUTCMilliseconds();
+  if (type === 'timestamp_tz') {
+    const offset = offsetMinutes(value);
+    const local = new Date(value.getTime() + offset * 60 * 1000).toISOString();
+    return local.substring(0, 19) + fraction(value, millis) + formatOffset(offset);
+  }
+  const base = iso.substring(0, 19) + fraction(value, millis);
+  return type === 'timestamp_ntz' ? base : `${base}Z`;
+};
+
+// NUMBER values are fetched as strings so precision and scale survive
+const serializeNumber = (value) => {
+  const text = String(value);
+  return significantDigits(text) <= MAX_SAFE_DIGITS ? Number(text) : text;
+};
+
+// FLOAT values arrive as strings too, since the SDK fetches REAL as NUMBER;
+// NaN and infinities have no JSON form and stay text
+const serializeFloat = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : String(value);
+};
+
+const serializeValue = (value, column) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const type = column ? column.type : null;
+  if (type === 'fixed') {
+    return serializeNumber(value);
+  }
+  if (type === 'real') {
+    return serializeFloat(value);
+  }
+  if (type === 'date' || type === 'time' || TIMESTAMP_TYPES.includes(type)) {
+    return formatTemporal(value, type);
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString('hex').toUpperCase();
+  }
+  return value;
+};
+
+// Plain-text rendering for delimited formats; semi-structured values become JSON
+const formatText = (value, column) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (column && column.type === 'fixed') {
+    return String(value);
+  }
+  const serialized = serializeValue(value, column);
+  if (serialized !== null && typeof serialized === 'object') {
+    return JSON.stringify(serialized);
+  }
+  return String(serialized);
+};
+
+const serializeRow = (row, columns) => {
+  const result = {};
+  columns.forEach((column) => {
+    result[column.name] = serializeValue(row[column.name], column);
+  });
+  return result;
+};
+
+module.exports = {
+  SEMI_STRUCTURED_TYPES,
+  TIMESTAMP_TYPES,
+  MAX_SAFE_DIGITS,
+  significantDigits,
+  serializeValue,
+  serializeRow,
+  formatText
+};
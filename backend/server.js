@@ -1,121 +1,142 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const compression = require('compression');
-const snowflake = require('snowflake-sdk');
+const path = require('path');
 require('dotenv').config();
+const { createPoolManager, identityKey } = require('./lib/connectionPool');
+const { createJobStore, describeJob, isFinished } = require('./lib/queryJobs');
+const { createStatementRegistry } = require('./lib/statementRegistry');
+const {
+  MAX_RESULT_ROWS,
+  NUMBER_AS_STRING,
+  describeColumns,
+  fetchStatement,
+  readRows,
+  ndjsonTransform,
+  pipeRows,
+  parsePageRange
+} = require('./lib/resultStream');
+const { EXPORT_FORMATS, exportRows } = require('./lib/resultExport');
+const { splitStatements, changesSessionState } = require('./lib/sqlSplitter');
+const { bindStatements } = require('./lib/binds');
+const { createCatalog } = require('./lib/catalog');
+const { isPrivilegeError, compareSides } = require('./lib/compare');
+const { classifyError } = require('./lib/errorTaxonomy');
+const { loadPolicy, classifyStatement, READ_ONLY_CATEGORIES } = require('./lib/sqlPolicy');
+const { createHistoryStore } = require('./lib/historyStore');
+const { logger, audit, redactSql, queryHash } = require('./lib/logger');
+const { createAuthStrategy } = require('./lib/auth');
+const { createEmulator } = require('./lib/emulator');
+const { normalizePlan } = require('./lib/queryPlan');
+const { parseSessionContext, createSessionContext } = require('./lib/sessionContext');
+const { createAdmission } = require('./lib/admission');
+const { createMetrics } = require('./lib/metrics');
+const { createResultCache } = require('./lib/resultCache');
+const { diagnosePrivileges } = require('./lib/privileges');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Offline mode: an embedded SQL engine stands in for Snowflake, seeded from the setup script
+const emulator = process.env.SNOWFLAKE_EMULATOR === 'true'
+  ? createEmulator({
+    seedFile: process.env.SNOWFLAKE_EMULATOR_SEED_FILE || path.join(__dirname, '..', 'scripts', 'setup-database.sql'),
+    databaseName: process.env.SNOWFLAKE_DATABASE || 'SQL_QUERY_APP_DB',
+    schemaName: process.env.SNOWFLAKE_SCHEMA || 'PUBLIC',
+    serviceUser: process.env.SNOWFLAKE_EMULATOR_SERVICE_USER || undefined,
+    serviceRole: process.env.SNOWFLAKE_ROLE || undefined,
+    callerRole: process.env.SNOWFLAKE_EMULATOR_CALLER_ROLE || undefined
+  })
+  : null;
+
+if (emulator) {
+  emulator.ready.catch((error) => {
+    logger.error('Failed to start the Snowflake emulator', { error });
+    process.exit(1);
+  });
+}
+
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(compression());
-app.use(morgan('combined'));
+
+// Without SPCS ingress in front of the emulator, requests act as a local user so caller's rights can be tried
+const EMULATOR_INGRESS_USER = process.env.SNOWFLAKE_EMULATOR_INGRESS_USER || 'LOCAL_DEVELOPER';
+if (emulator) {
+  app.use((req, res, next) => {
+    if (!req.headers['sf-context-current-user']) {
+      req.headers['sf-context-current-user'] = EMULATOR_INGRESS_USER;
+      req.headers['sf-context-current-user-token'] = 'emulator';
+    }
+    next();
+  });
+}
+
+// Every request gets an id, echoed as X-Request-Id, and a logger that carries it
+const PROBE_PATHS = ['/api/health', '/api/ready', '/api/metrics'];
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id, ingressUser: req.headers['sf-context-current-user'] || null });
+  res.setHeader('X-Request-Id', req.id);
+
+  const startTime = Date.now();
+  res.on('finish', () => {
+    // Probes and scrapers hit these constantly, so keep them out of the default log level
+    const level = PROBE_PATHS.includes(req.path) ? 'debug' : 'info';
+    req.log[level]('Request finished', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Date.now() - startTime
+    });
+  });
+  next();
+});
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Read OAuth token from SPCS-provided file
-const getSnowflakeOAuthToken = () => {
-  try {
-    const fs = require('fs');
-    const token = fs.readFileSync('/snowflake/session/token', 'utf8').trim();
-    console.log('Successfully read OAuth token from /snowflake/session/token');
-    return token;
-  } catch (error) {
-    console.log('OAuth token file not found, falling back to other auth methods');
-    return null;
-  }
-};
+// Snowflake authentication; invalid settings stop the server at startup
+let authStrategy;
+try {
+  authStrategy = emulator ? emulator.authStrategy : createAuthStrategy();
+} catch (error) {
+  logger.error('Invalid Snowflake authentication settings', { error });
+  process.exit(1);
+}
 
-// Snowflake connection configuration using SPCS-provided credentials
-const getSnowflakeConfig = (ingressUserToken = null) => {
-  console.log('SPCS Environment Variables:');
-  console.log(`  SNOWFLAKE_ACCOUNT: ${process.env.SNOWFLAKE_ACCOUNT}`);
-  console.log(`  SNOWFLAKE_HOST: ${process.env.SNOWFLAKE_HOST}`);
-  console.log(`  SNOWFLAKE_DATABASE: ${process.env.SNOWFLAKE_DATABASE}`);
-  console.log(`  SNOWFLAKE_SCHEMA: ${process.env.SNOWFLAKE_SCHEMA}`);
-  
+// Snowflake connection configuration: session defaults plus the active auth strategy's credentials
+const getSnowflakeConfig = (identity) => {
   const config = {
     database: process.env.SNOWFLAKE_DATABASE || 'SQL_QUERY_APP_DB',
     schema: process.env.SNOWFLAKE_SCHEMA || 'PUBLIC',
     warehouse: process.env.SNOWFLAKE_WAREHOUSE,
     role: process.env.SNOWFLAKE_ROLE,
     clientSessionKeepAlive: true,
-    clientSessionKeepAliveHeartbeatFrequency: 3600
+    clientSessionKeepAliveHeartbeatFrequency: 3600,
+    ...authStrategy.connectionOptions(identity)
   };
-  
-  // Try SPCS OAuth token first (recommended method)
-  const oauthToken = getSnowflakeOAuthToken();
-  if (oauthToken && process.env.SNOWFLAKE_HOST && process.env.SNOWFLAKE_ACCOUNT) {
-    console.log('Using SPCS OAuth token authentication (recommended)');
-    config.host = process.env.SNOWFLAKE_HOST;
-    config.account = process.env.SNOWFLAKE_ACCOUNT;
-    
-    // For caller's rights: combine OAuth token with ingress user token
-    if (ingressUserToken) {
-      console.log('Using caller\'s rights with ingress user token');
-      config.token = oauthToken + '.' + ingressUserToken;
-    } else {
-      console.log('Using owner\'s rights with OAuth token only');
-      config.token = oauthToken;
-    }
-    config.authenticator = 'oauth';
-  } else {
-    // Fallback to other authentication methods
-    console.log('SPCS OAuth not available, using fallback authentication');
-    config.account = process.env.SNOWFLAKE_ACCOUNT;
-    config.username = process.env.SNOWFLAKE_USERNAME;
-    
-    if (process.env.SNOWFLAKE_PASSWORD && process.env.SNOWFLAKE_PASSWORD !== '') {
-      config.password = process.env.SNOWFLAKE_PASSWORD;
-    } else if (process.env.SNOWFLAKE_PRIVATE_KEY) {
-      config.privateKey = process.env.SNOWFLAKE_PRIVATE_KEY;
-      config.authenticator = 'SNOWFLAKE_JWT';
-    } else {
-      config.authenticator = 'SNOWFLAKE';
-    }
-  }
-  
-  console.log(`Final connection config: host=${config.host}, account=${config.account}, authenticator=${config.authenticator}, callers_rights=${!!ingressUserToken}`);
-  return config;
-};
-
-// Create Snowflake connection
-const createConnection = (ingressUserToken = null) => {
-  return snowflake.createConnection(getSnowflakeConfig(ingressUserToken));
-};
 
-// Connect to Snowflake with error handling
-const connectToSnowflake = (connection) => {
-  return new Promise((resolve, reject) => {
-    console.log('About to call connection.connect()...');
-    
-    // Set a timeout to handle cases where callback doesn't fire
-    const timeout = setTimeout(() => {
-      console.log('Connection callback timeout - assuming connection is ready based on SDK logs');
-      resolve(connection);
-    }, 5000); // 5 second timeout
-    
-    connection.connect((err, conn) => {
-      console.log('connection.connect() callback fired!');
-      clearTimeout(timeout);
-      if (err) {
-        console.error('Unable to connect to Snowflake:', err);
-        reject(err);
-      } else {
-        console.log('Successfully connected to Snowflake, resolving Promise...');
-        resolve(conn);
-      }
-    });
-    console.log('connection.connect() called, waiting for callback...');
+  logger.info('Opening Snowflake connection', {
+    host: config.host,
+    account: config.account,
+    authStrategy: authStrategy.name,
+    callersRights: !!identity.ingressUserToken
   });
+  return config;
 };
 
-// Execute SQL query
-const executeQuery = (connection, sqlText, useCallersRights = false) => {
+// Execute SQL query; rows are streamed and at most options.maxRows of them are buffered.
+// options.onStatement receives the statement as soon as it is submitted,
+// options.onProgress receives its submitted, executed and rows lifecycle events,
+// options.binds holds values for the statement's :1, :2, ... placeholders and
+// options.log is the request's logger
+const executeQuery = (connection, sqlText, useCallersRights = false, options = {}) => {
   return new Promise((resolve, reject) => {
     // Prepare the SQL statement based on rights mode
     let finalSql = sqlText;
@@ -128,80 +149,273 @@ const executeQuery = (connection, sqlText, useCallersRights = false) => {
       finalSql = `-- OWNER'S RIGHTS MODE\n${sqlText}`;
     }
 
+    const maxRows = options.maxRows || MAX_RESULT_ROWS;
+    const log = options.log || logger;
+    const progress = options.onProgress || (() => {});
     const startTime = Date.now();
-    console.log(`Executing query: ${finalSql.substring(0, 100)}...`);
+    log.debug('Executing statement', { sql: redactSql(sqlText).substring(0, 200), queryHash: queryHash(sqlText) });
     
-    connection.execute({
+    const statement = connection.execute({
       sqlText: finalSql,
+      binds: options.binds && options.binds.length ? options.binds : undefined,
       timeout: 120000, // 2 minute timeout
-      complete: (err, stmt, rows) => {
-        const executionTime = Date.now() - startTime;
-        console.log(`Query execution completed in ${executionTime}ms`);
+      streamResult: true,
+      complete: (err, stmt) => {
+        const durationMs = Date.now() - startTime;
         
         if (err) {
-          console.error('Failed to execute statement:', err);
-          console.error('Error code:', err.code);
-          console.error('Error message:', err.message);
+          log.warn('Statement failed', { durationMs, queryHash: queryHash(sqlText), error: err });
           reject(err);
-        } else {
-          console.log(`Query returned ${rows ? rows.length : 0} rows`);
+          return;
+        }
+
+        progress({ type: 'executed', statementId: stmt.getStatementId(), durationMs, totalRowCount: stmt.getNumRows() });
+        const onRows = rowsFetched => progress({ type: 'rows', rowsFetched });
+        readRows(stmt, 0, maxRows, onRows).then((rows) => {
+          const totalRowCount = stmt.getNumRows();
+          log.debug('Statement finished', {
+            durationMs,
+            statementId: stmt.getStatementId(),
+            totalRowCount,
+            bufferedRows: rows.length
+          });
           
           // Get column information
-          const columns = stmt.getColumns();
-          const columnNames = columns.map(col => col.getName());
+          const columns = describeColumns(stmt);
           
           // Format the results
           const result = {
-            data: rows || [],
-            columns: columnNames,
-            rowCount: rows ? rows.length : 0,
+            data: rows,
+            columns: columns.map(col => col.name),
+            rowCount: rows.length,
             metadata: {
               sqlText: stmt.getSqlText(),
               statementId: stmt.getStatementId(),
               executionMode: useCallersRights ? "caller's_rights" : "owner's_rights",
-              columns: columns.map(col => ({
-                name: col.getName(),
-                type: col.getType(),
-                nullable: col.isNullable(),
-                scale: col.getScale(),
-                precision: col.getPrecision()
-              }))
+              totalRowCount,
+              truncated: totalRowCount > rows.length,
+              columns
             }
           };
           
           resolve(result);
-        }
+        }, reject);
       }
     });
+
+    progress({ type: 'submitted', statementId: statement.getStatementId() || null });
+    if (options.onStatement) {
+      options.onStatement(statement);
+    }
   });
 };
 
+// Default session context; requests can pick another warehouse, secondary roles, database and schema
+let sessionContext;
+try {
+  sessionContext = createSessionContext({
+    warehouse: process.env.SNOWFLAKE_WAREHOUSE,
+    database: process.env.SNOWFLAKE_DATABASE || 'SQL_QUERY_APP_DB',
+    schema: process.env.SNOWFLAKE_SCHEMA || 'PUBLIC'
+  });
+} catch (error) {
+  logger.error('Invalid Snowflake session defaults', { error });
+  process.exit(1);
+}
+
+const executionModeOf = identity => (identity.ingressUserToken ? "caller's_rights" : "owner's_rights");
+
+// New pooled sessions start on the default context; requests then switch it as needed
+const initSession = async (connection, identity) => {
+  logger.debug('Initializing pooled session', { ...sessionContext.baseline, executionMode: executionModeOf(identity) });
+  await sessionContext.initialize(connection, executionModeOf(identity), sql => executeQuery(connection, sql, false));
+};
+
+// Run fn on a pooled session of the identity switched to context (null for the defaults).
+// Sessions that cannot be switched back to the defaults are closed afterwards
+const useSession = async (identity, context, fn) => {
+  const pool = poolManager.getPool(identity);
+  let connection;
+  try {
+    connection = await pool.acquire();
+  } catch (error) {
+    trackAuth(identity, error);
+    throw error;
+  }
+  try {
+    await sessionContext.apply(connection, context || parseSessionContext(null, executionModeOf(identity)),
+      sql => executeQuery(connection, sql, false));
+    const result = await fn(connection);
+    trackAuth(identity, null);
+    return result;
+  } catch (error) {
+    trackAuth(identity, error);
+    throw error;
+  } finally {
+    if (sessionContext.isReusable(connection)) {
+      pool.release(connection);
+    } else {
+      pool.destroy(connection);
+    }
+  }
+};
+
+const poolManager = createPoolManager({
+  connectionOptions: getSnowflakeConfig,
+  initSession,
+  driver: emulator ? emulator.driver : undefined
+});
+
+const OWNER_IDENTITY = { ingressUser: null, ingressUserToken: null };
+
+// Sessions opened with a rotated token are replaced as soon as the new token appears
+const stopTokenWatch = authStrategy.watch(() => poolManager.refreshAll());
+
+// Startup self-check: which auth strategy is active and whether it can open a session
+const authStatus = {
+  strategy: authStrategy.name,
+  supportsCallersRights: authStrategy.supportsCallersRights,
+  selfCheck: 'pending',
+  checkedAt: null,
+  error: null
+};
+
+const runAuthSelfCheck = async () => {
+  logger.info('Snowflake authentication configured', {
+    strategy: authStrategy.name,
+    supportsCallersRights: authStrategy.supportsCallersRights,
+    ...authStrategy.describe()
+  });
+  if (authStrategy.name === 'none') {
+    authStatus.selfCheck = 'skipped';
+    logger.warn('No Snowflake authentication configured, queries will fail until it is');
+    return;
+  }
+
+  try {
+    const result = await poolManager.getPool(OWNER_IDENTITY).use(connection =>
+      executeQuery(connection, 'SELECT CURRENT_USER() AS USER, CURRENT_ROLE() AS ROLE')
+    );
+    authStatus.selfCheck = 'ok';
+    logger.info('Snowflake self-check passed', { strategy: authStrategy.name, user: result.data[0].USER, role: result.data[0].ROLE });
+  } catch (error) {
+    authStatus.selfCheck = 'failed';
+    authStatus.error = error.message;
+    logger.error('Snowflake self-check failed', { strategy: authStrategy.name, error });
+  }
+  authStatus.checkedAt = new Date().toISOString();
+};
+
+// Owner's rights sessions keep the self-check current after startup: an auth failure (say an
+// expired or revoked token) marks it failed, and the next session that works marks it ok again
+const trackAuth = (identity, error) => {
+  if (identity.ingressUserToken || authStatus.selfCheck === 'skipped') {
+    return;
+  }
+  if (error && classifyError(error).category === 'auth') {
+    if (authStatus.selfCheck !== 'failed') {
+      logger.error('Snowflake authentication is failing', { strategy: authStrategy.name, error });
+    }
+    Object.assign(authStatus, { selfCheck: 'failed', error: error.message, checkedAt: new Date().toISOString() });
+  } else if (!error && authStatus.selfCheck === 'failed') {
+    logger.info('Snowflake authentication recovered', { strategy: authStrategy.name });
+    Object.assign(authStatus, { selfCheck: 'ok', error: null, checkedAt: new Date().toISOString() });
+  }
+};
+
+// SQL statement policy; an invalid policy file stops the server instead of running unguarded
+const SQL_POLICY_FILE = process.env.SQL_POLICY_FILE || path.join(__dirname, 'sql-policy.yml');
+let sqlPolicy;
+try {
+  sqlPolicy = loadPolicy(SQL_POLICY_FILE);
+  logger.info('Loaded SQL policy', { file: SQL_POLICY_FILE, rules: sqlPolicy.ruleCount, defaultAction: sqlPolicy.defaultAction });
+} catch (error) {
+  logger.error('Failed to load SQL policy', { file: SQL_POLICY_FILE, error });
+  process.exit(1);
+}
+
+// Structured 403 body naming the rule that blocked the request
+const buildPolicyError = (violation, requestId) => ({
+  error: `Statement blocked by policy rule '${violation.ruleId}'${violation.description ? `: ${violation.description}` : ''}`,
+  policyViolation: violation,
+  category: 'policy',
+  errorCode: 'POLICY_VIOLATION',
+  retryable: false,
+  timestamp: new Date().toISOString(),
+  executionMode: violation.executionMode,
+  requestId
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
+  res.json({
+    // The server is up either way; degraded means Snowflake is rejecting the service's credentials
+    status: authStatus.selfCheck === 'failed' ? 'degraded' : 'healthy',
+    timestamp: new Date().toISOString(),
+    service: 'snowflake-sql-backend',
+    uptime: process.uptime(),
+    auth: authStatus
+  });
+});
+
+// Readiness: the credentials are in place and a trivial query went through recently. The query
+// result is cached so probes do not hit Snowflake every few seconds; concurrent probes share one check
+const READY_CHECK_TTL_MS = parseInt(process.env.READY_CHECK_TTL_MS, 10) || 30 * 1000;
+let readyCheck = { ok: false, checkedAt: 0, error: 'Not checked yet', pending: null };
+let lastReady = null;
+
+const checkSnowflake = () => {
+  if (readyCheck.pending) {
+    return readyCheck.pending;
+  }
+  readyCheck.pending = useSession(OWNER_IDENTITY, null, connection => executeQuery(connection, 'SELECT 1 AS READY', false))
+    .then(() => ({ ok: true, error: null }))
+    .catch(error => ({ ok: false, error: error.message }))
+    .then((outcome) => {
+      readyCheck = { ...outcome, checkedAt: Date.now(), pending: null };
+      return readyCheck;
+    });
+  return readyCheck.pending;
+};
+
+app.get('/api/ready', async (req, res) => {
+  const checks = {};
+  try {
+    authStrategy.checkCredentials();
+    checks.credentials = { ok: true };
+  } catch (error) {
+    checks.credentials = { ok: false, error: error.message };
+  }
+
+  if (checks.credentials.ok) {
+    const cached = Date.now() - readyCheck.checkedAt < READY_CHECK_TTL_MS;
+    const { ok, error, checkedAt } = cached ? readyCheck : await checkSnowflake();
+    checks.snowflake = { ok, error, checkedAt: new Date(checkedAt).toISOString(), cached };
+  }
+
+  const ready = Object.values(checks).every(check => check.ok);
+  if (ready !== lastReady) {
+    req.log[ready ? 'info' : 'warn'](ready ? 'Service is ready' : 'Readiness check failed', { checks });
+    lastReady = ready;
+  }
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
     timestamp: new Date().toISOString(),
-    service: 'snowflake-sql-backend'
+    checks
   });
 });
 
+// Prometheus metrics
+app.get('/api/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
 // Get connection info
 app.get('/api/info', async (req, res) => {
-  let connection;
   try {
-    connection = createConnection();
-    await connectToSnowflake(connection);
-    
-    // Explicitly set database and schema context
-    const database = process.env.SNOWFLAKE_DATABASE || 'SQL_QUERY_APP_DB';
-    const schema = process.env.SNOWFLAKE_SCHEMA || 'PUBLIC';
-    
-    await executeQuery(connection, `USE DATABASE ${database}`, false);
-    await executeQuery(connection, `USE SCHEMA ${schema}`, false);
-    
-    const result = await executeQuery(connection, 
+    const result = await useSession(OWNER_IDENTITY, null, connection => executeQuery(connection,
       'SELECT CURRENT_USER() as USER, CURRENT_ROLE() as ROLE, CURRENT_DATABASE() as DATABASE, CURRENT_SCHEMA() as SCHEMA, CURRENT_WAREHOUSE() as WAREHOUSE'
-    );
+    ));
     
     res.json({
       connected: true,
@@ -209,127 +423,1308 @@ app.get('/api/info', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Connection info error:', error);
+    req.log.error('Connection info error', { error });
     res.status(500).json({
       connected: false,
       error: error.message,
       timestamp: new Date().toISOString()
     });
-  } finally {
-    if (connection) {
-      connection.destroy();
-    }
   }
 });
 
-// Execute SQL query endpoint
-app.post('/api/execute', async (req, res) => {
-  console.log(`[${new Date().toISOString()}] POST /api/execute received`);
-  console.log('Request body:', JSON.stringify(req.body, null, 2));
-  
+// How a multi-statement script reacts to a failing statement
+const SCRIPT_ERROR_MODES = ['stop', 'continue'];
+
+// Work out which identity a request runs under from the SPCS ingress headers
+const resolveIdentity = (req, useCallersRights) => {
   // Check for SPCS ingress user headers for caller's rights
   const ingressUser = req.headers['sf-context-current-user'];
   const ingressUserToken = req.headers['sf-context-current-user-token'];
   
-  console.log('SPCS Headers:');
-  console.log(`  Sf-Context-Current-User: ${ingressUser || 'Not present'}`);
-  console.log(`  Sf-Context-Current-User-Token: ${ingressUserToken ? 'Present' : 'Not present'}`);
+  // Caller's rights needs an ingress token and an auth strategy that can combine it with the service's
+  const actualUseCallersRights = !!(useCallersRights && ingressUserToken && authStrategy.supportsCallersRights);
+  const executionMode = actualUseCallersRights ? "caller's_rights" : "owner's_rights";
   
-  const { query, useCallersRights = false } = req.body;
+  if (useCallersRights && !actualUseCallersRights) {
+    req.log.info("Caller's rights unavailable, falling back to owner's rights", {
+      hasIngressToken: !!ingressUserToken,
+      authStrategy: authStrategy.name
+    });
+  }
+
+  return {
+    useCallersRights,
+    actualUseCallersRights,
+    executionMode,
+    ingressUser: ingressUser || null,
+    ingressUserToken: ingressUserToken || null,
+    identity: actualUseCallersRights ? { ingressUser, ingressUserToken } : OWNER_IDENTITY
+  };
+};
+
+// Validate a query request and work out which identity it runs under
+const resolveQueryRequest = (req) => {
+  const { query, useCallersRights = false, onError = 'stop', binds, context, bypassCache = false } = req.body;
   
   if (!query || typeof query !== 'string') {
-    return res.status(400).json({
-      error: 'SQL query is required and must be a string'
-    });
+    return { error: 'SQL query is required and must be a string' };
   }
 
   if (query.trim().length === 0) {
-    return res.status(400).json({
-      error: 'SQL query cannot be empty'
+    return { error: 'SQL query cannot be empty' };
+  }
+
+  if (!SCRIPT_ERROR_MODES.includes(onError)) {
+    return { error: `onError must be one of: ${SCRIPT_ERROR_MODES.join(', ')}` };
+  }
+
+  const resolved = resolveIdentity(req, useCallersRights);
+  let statements;
+  let sessionSettings;
+  try {
+    statements = bindStatements(splitStatements(query), binds);
+    sessionSettings = parseSessionContext(context, resolved.executionMode);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return {
+    query,
+    statements,
+    binds: binds || null,
+    onError,
+    context: sessionSettings,
+    bypassCache: bypassCache === true,
+    requestId: req.id,
+    endpoint: req.path,
+    log: req.log,
+    ...resolved
+  };
+};
+
+const statementRegistry = createStatementRegistry();
+
+const recordStatement = (result, request) => {
+  statementRegistry.record(result.metadata.statementId, {
+    owner: request.ingressUser,
+    callersRights: request.actualUseCallersRights,
+    executionMode: request.executionMode,
+    totalRowCount: result.metadata.totalRowCount
+  });
+};
+
+// Compilation errors name a line and column of the text that ran ("line 3 at position 7").
+// That text starts with the execution mode comment, so map the location back onto the
+// submitted query, where the statement starts at offset
+const ERROR_LOCATION_PATTERN = /line (\d+) at position (\d+)/i;
+
+const errorLocation = (error, query, offset, headerLines = 1) => {
+  const match = ERROR_LOCATION_PATTERN.exec(error.message || '');
+  if (!match) {
+    return null;
+  }
+  const line = Math.max(parseInt(match[1], 10) - headerLines, 1);
+  const before = query.substring(0, offset).split('\n');
+  return {
+    line: before.length + line - 1,
+    position: parseInt(match[2], 10) + (line === 1 ? before[before.length - 1].length : 0)
+  };
+};
+
+// Run each statement of a script in order on one session, collecting per-statement results
+const runScript = async (connection, request, options) => {
+  const results = [];
+  let halted = false;
+
+  for (const [index, { sql, line, offset, sqlText, binds }] of request.statements.entries()) {
+    const entry = { index, line, sqlText: sql };
+
+    if (halted || (options.isCancelled && options.isCancelled())) {
+      results.push({ ...entry, status: 'skipped' });
+      continue;
+    }
+
+    try {
+      const onProgress = options.onProgress && (event => options.onProgress({ ...event, statementIndex: index }));
+      const result = await executeQuery(connection, sqlText, request.actualUseCallersRights, { ...options, binds, onProgress });
+      recordStatement(result, request);
+      results.push({ ...entry, status: 'succeeded', ...result });
+    } catch (error) {
+      request.log.warn('Script statement failed', { statementIndex: index, line, error });
+      results.push({
+        ...entry,
+        status: 'failed',
+        error: error.code ? `Snowflake Error ${error.code}: ${error.message}` : error.message,
+        code: error.code,
+        sqlState: error.sqlState,
+        ...classifyError(error),
+        location: errorLocation(error, request.query, offset)
+      });
+      halted = request.onError === 'stop';
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    script: true,
+    statements: results,
+    metadata: {
+      statementCount: results.length,
+      succeeded: count('succeeded'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      onError: request.onError
+    }
+  };
+};
+
+// Query history and saved queries, persisted per ingress user
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, 'data', 'history.json');
+const HISTORY_ADMIN_USERS = (process.env.HISTORY_ADMIN_USERS || '')
+  .split(',')
+  .map(user => user.trim().toUpperCase())
+  .filter(Boolean);
+
+let historyStore;
+try {
+  historyStore = createHistoryStore({ filePath: HISTORY_FILE });
+} catch (error) {
+  logger.error('Failed to load query history', { file: HISTORY_FILE, error });
+  process.exit(1);
+}
+
+// Longest query text kept in an audit record; the hash identifies the full text
+const AUDIT_QUERY_MAX_LENGTH = 4000;
+
+const auditRecord = (request, extra) => ({
+  requestId: request.requestId,
+  endpoint: request.endpoint,
+  ingressUser: request.ingressUser,
+  executionMode: request.executionMode,
+  queryHash: queryHash(request.query),
+  query: redactSql(request.query).substring(0, AUDIT_QUERY_MAX_LENGTH),
+  statementCount: request.statements.length,
+  warehouse: request.context.warehouse || undefined,
+  database: request.context.database || undefined,
+  schema: request.context.schema || undefined,
+  secondaryRoles: request.context.secondaryRoles || undefined,
+  queryTag: request.context.queryTag,
+  ...extra
+});
+
+// Prometheus metrics served by /api/metrics. Everything is labelled with the execution mode, so
+// caller's rights failures (usually grants) can be alerted on apart from owner's rights ones
+const metrics = createMetrics();
+const queriesTotal = metrics.counter('sql_app_queries_total', 'Executed queries by outcome', ['execution_mode', 'outcome']);
+const queryDuration = metrics.histogram('sql_app_query_duration_seconds', 'Query execution time, including taking a pooled session',
+  ['execution_mode'], [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+const queryErrors = metrics.counter('sql_app_query_errors_total', 'Failed or rejected queries by error category', ['execution_mode', 'category']);
+
+// Record a finished execution in the user's history, the audit log and the metrics
+const recordExecution = (request, startedAt, result, error, cancelled) => {
+  const executed = result && result.script
+    ? result.statements.filter(statement => statement.metadata)
+    : [];
+  const failedStatement = result && result.script
+    ? result.statements.find(statement => statement.status === 'failed')
+    : null;
+  const lastStatement = executed[executed.length - 1];
+
+  const summary = {
+    statementId: result ? (lastStatement || result).metadata.statementId : null,
+    durationMs: Date.now() - startedAt,
+    rowCount: result && !result.script ? result.metadata.totalRowCount : null,
+    status: cancelled ? 'cancelled' : (error || failedStatement ? 'failed' : 'succeeded'),
+    error: error
+      ? (error.code ? `Snowflake Error ${error.code}: ${error.message}` : error.message)
+      : (failedStatement ? failedStatement.error : null)
+  };
+
+  historyStore.record({
+    user: request.ingressUser,
+    query: request.query,
+    binds: request.binds,
+    executionMode: request.executionMode,
+    statementCount: request.statements.length,
+    ...summary
+  });
+
+  audit.info('Query executed', auditRecord(request, {
+    event: 'query.executed',
+    statementId: summary.statementId,
+    statementIds: result && result.script ? executed.map(statement => statement.metadata.statementId) : undefined,
+    durationMs: summary.durationMs,
+    rowCount: summary.rowCount,
+    outcome: summary.status,
+    cached: result && result.metadata.cached ? true : undefined,
+    errorCode: error ? error.code : (failedStatement ? failedStatement.code : undefined),
+    error: summary.error
+  }));
+
+  queriesTotal.inc({ execution_mode: request.executionMode, outcome: summary.status });
+  if (!(result && result.metadata.cached)) {
+    queryDuration.observe({ execution_mode: request.executionMode }, summary.durationMs / 1000);
+  }
+  if (summary.status === 'failed') {
+    queryErrors.inc({
+      execution_mode: request.executionMode,
+      category: error ? classifyError(error).category : failedStatement.category
     });
   }
+};
 
-  // Determine execution mode based on useCallersRights and availability of ingress token
-  const actualUseCallersRights = useCallersRights && ingressUserToken;
-  const executionMode = actualUseCallersRights ? "caller's_rights" : "owner's_rights";
+// Results of read-only queries per identity, when RESULT_CACHE_ENABLED is set
+const resultCache = createResultCache();
+const cacheLookups = metrics.counter('sql_app_result_cache_lookups_total', 'Result cache lookups by outcome', ['execution_mode', 'outcome']);
+metrics.gauge('sql_app_result_cache_entries', 'Results held in the result cache', () => [{ value: resultCache.stats().entries }]);
+metrics.gauge('sql_app_result_cache_bytes', 'JSON size of the results held in the result cache', () => [{ value: resultCache.stats().bytes }]);
+
+// Statements after which cached results may be stale, whoever cached them
+const WRITE_CATEGORIES = ['DML', 'DDL', 'DCL', 'CALL', 'SCRIPT'];
+
+// Run a resolved query request and record it in the user's history. A cached result is returned
+// without taking a session unless the request asked to bypass the cache; a fresh result replaces it
+const runQueryRequest = async (request, options = {}) => {
+  const startedAt = Date.now();
+  const cancelled = () => !!(options.isCancelled && options.isCancelled());
+  const cacheKey = resultCache.keyFor({ ...request, identityKey: identityKey(request.identity) });
+  if (cacheKey) {
+    const hit = request.bypassCache ? null : resultCache.get(cacheKey);
+    cacheLookups.inc({ execution_mode: request.executionMode, outcome: request.bypassCache ? 'bypass' : (hit ? 'hit' : 'miss') });
+    if (hit) {
+      recordStatement(hit, request);
+      if (options.onProgress) {
+        options.onProgress({ type: 'cached', cacheAgeMs: hit.metadata.cacheAgeMs });
+      }
+      recordExecution(request, startedAt, hit, null, false);
+      return hit;
+    }
+  }
+  try {
+    const result = await runPooledRequest(request, { ...options, log: request.log });
+    recordExecution(request, startedAt, result, null, cancelled());
+    if (request.statements.some(({ sql }) => WRITE_CATEGORIES.includes(classifyStatement(sql).category))) {
+      resultCache.invalidate();
+    } else if (cacheKey && !cancelled()) {
+      resultCache.set(cacheKey, identityKey(request.identity), result);
+    }
+    return result;
+  } catch (error) {
+    recordExecution(request, startedAt, null, error, cancelled());
+    throw error;
+  }
+};
+
+// Reject requests the SQL policy does not allow, with an audit record of the attempt
+const checkPolicy = (request) => {
+  const violation = sqlPolicy.checkStatements(request.statements, request.executionMode);
+  if (violation) {
+    queryErrors.inc({ execution_mode: request.executionMode, category: 'policy' });
+    audit.warn('Query blocked by policy', auditRecord(request, {
+      event: 'query.blocked',
+      outcome: 'blocked',
+      ruleId: violation.ruleId,
+      command: violation.command,
+      category: violation.category
+    }));
+  }
+  return violation;
+};
+
+// Run a resolved query request on a pooled connection for its identity
+const runPooledRequest = async (request, options = {}) => {
+  const progress = options.onProgress || (() => {});
+  progress({ type: 'connecting', executionMode: request.executionMode });
+  const pool = poolManager.getPool(request.identity);
+  const connection = await pool.acquire();
+
+  // Sessions whose context was changed by the query are not handed to the next request
+  const sessionChanged = request.statements.some(({ sql }) => changesSessionState(sql));
+
+  try {
+    await sessionContext.apply(connection, request.context, sql => executeQuery(connection, sql, false));
+    progress({ type: 'context_set', ...sessionContext.current(connection) });
+    if (options.onSession) {
+      await options.onSession(connection);
+    }
+
+    if (request.statements.length > 1) {
+      return await runScript(connection, request, options);
+    }
+
+    // Bound statements run as rewritten by bindStatements
+    const [statement] = request.statements;
+    const bound = !!(statement && statement.binds.length);
+    let result;
+    try {
+      result = bound
+        ? await executeQuery(connection, statement.sqlText, request.actualUseCallersRights, { ...options, binds: statement.binds })
+        : await executeQuery(connection, request.query, request.actualUseCallersRights, options);
+    } catch (error) {
+      error.location = errorLocation(error, request.query, bound ? statement.offset : 0);
+      throw error;
+    }
+    recordStatement(result, request);
+    return result;
+  } finally {
+    if (sessionChanged || !sessionContext.isReusable(connection)) {
+      pool.destroy(connection);
+    } else {
+      pool.release(connection);
+    }
+  }
+};
+
+// Add additional metadata about the execution context
+const buildQueryResponse = (result, request) => ({
+  ...result,
+  metadata: {
+    ...result.metadata,
+    executionMode: request.executionMode,
+    ingressUser: request.ingressUser,
+    hasIngressToken: !!request.ingressUserToken,
+    note: request.actualUseCallersRights 
+      ? `Query executed with caller's rights as user: ${request.ingressUser}` 
+      : "Query executed with owner's rights using service account"
+  }
+});
+
+// Parse Snowflake errors for better user experience
+const buildQueryError = (error, request) => {
+  let errorMessage = error.message;
+  if (error.code) {
+    errorMessage = `Snowflake Error ${error.code}: ${error.message}`;
+  }
   
-  if (useCallersRights && !ingressUserToken) {
-    console.log('Caller\'s rights requested but no ingress user token available, falling back to owner\'s rights');
+  return {
+    error: errorMessage,
+    sqlState: error.sqlState,
+    code: error.code,
+    ...classifyError(error),
+    location: error.location || null,
+    // "Does not exist or not authorized": /api/diagnostics/privileges can tell which grant is missing
+    privilegeError: isPrivilegeError(error),
+    timestamp: new Date().toISOString(),
+    executionMode: request.useCallersRights ? "caller's_rights" : "owner's_rights",
+    requestId: request.requestId
+  };
+};
+
+// Admission control: per-user request rates and concurrency limits for each execution mode
+const admission = createAdmission();
+
+// Count the request against its user's rate and ask for an execution slot. Throws a 429 error
+// when the user is over their rate or the queue is full. Result paging, exports and catalog
+// lookups pass countRate: false, so they only wait for a slot
+const admitRequest = (request, { executionMode = request.executionMode, countRate = true } = {}) => {
+  const user = request.ingressUser || 'anonymous';
+  const countRejection = (error) => {
+    if (error.status === 429) {
+      queryErrors.inc({ execution_mode: executionMode, category: 'rate_limit' });
+    }
+  };
+  let ticket;
+  try {
+    if (countRate) {
+      admission.checkRate(executionMode, user);
+    }
+    ticket = admission.admit(executionMode, user);
+  } catch (error) {
+    countRejection(error);
+    throw error;
   }
+  ticket.ready.catch(countRejection);
+  return ticket;
+};
 
-  console.log(`Starting database connection for ${executionMode}...`);
-  let connection;
+// Slots and queues of the admission control, and pooled sessions by execution mode
+metrics.gauge('sql_app_queries_running', 'Queries holding an execution slot', () => Object.entries(admission.stats())
+  .map(([mode, { running }]) => ({ labels: { execution_mode: mode }, value: running })));
+metrics.gauge('sql_app_queries_queued', 'Queries waiting for an execution slot', () => Object.entries(admission.stats())
+  .map(([mode, { queued }]) => ({ labels: { execution_mode: mode }, value: queued })));
+metrics.gauge('sql_app_connections', 'Pooled Snowflake sessions (idle, busy) and requests waiting for one', () => {
+  const totals = {};
+  poolManager.stats().forEach(({ name, idle, busy, waiting }) => {
+    const mode = name === 'owner' ? "owner's_rights" : "caller's_rights";
+    const total = totals[mode] || { idle: 0, busy: 0, waiting: 0 };
+    totals[mode] = { idle: total.idle + idle, busy: total.busy + busy, waiting: total.waiting + waiting };
+  });
+  return Object.entries(totals).flatMap(([mode, states]) => Object.entries(states)
+    .map(([state, value]) => ({ labels: { execution_mode: mode, state }, value })));
+});
+metrics.gauge('sql_app_auth_ok', 'Whether the service can authenticate to Snowflake (1) or not (0)',
+  () => [{ labels: { strategy: authStrategy.name }, value: authStatus.selfCheck === 'failed' || authStatus.selfCheck === 'skipped' ? 0 : 1 }]);
+
+const buildLimitError = (error, request) => ({
+  error: error.message,
+  code: error.code,
+  category: 'rate_limit',
+  errorCode: error.code,
+  retryable: true,
+  retryAfterSeconds: error.retryAfterSeconds,
+  timestamp: new Date().toISOString(),
+  executionMode: request.executionMode,
+  requestId: request.requestId
+});
+
+const sendLimitError = (res, error, request) => res
+  .set('Retry-After', String(error.retryAfterSeconds))
+  .status(429)
+  .json(buildLimitError(error, request));
+
+// Run fn once the request holds an execution slot, giving the slot back afterwards. A client
+// that disconnects while queued gives up its place in the queue
+const withAdmission = async (res, request, fn, options) => {
+  let ticket;
   try {
-    // Create connection with or without ingress user token
-    connection = createConnection(actualUseCallersRights ? ingressUserToken : null);
-    console.log('Connection object created, attempting to connect to Snowflake...');
-    await connectToSnowflake(connection);
-    console.log('Successfully connected to Snowflake');
-    
-    // Explicitly set database and schema context
-    const database = process.env.SNOWFLAKE_DATABASE || 'SQL_QUERY_APP_DB';
-    const schema = process.env.SNOWFLAKE_SCHEMA || 'PUBLIC';
-    
-    console.log(`Setting database context to: ${database}.${schema}`);
-    await executeQuery(connection, `USE DATABASE ${database}`, false);
-    await executeQuery(connection, `USE SCHEMA ${schema}`, false);
-    
-    // Set query tag to indicate execution mode
-    const queryTag = actualUseCallersRights ? 'CALLERS_RIGHTS_EXECUTION' : 'OWNERS_RIGHTS_EXECUTION';
-    await executeQuery(connection, `SET QUERY_TAG = '${queryTag}'`, false);
-    
-    console.log(`Executing query with ${executionMode}...`);
-    const result = await executeQuery(connection, query, actualUseCallersRights);
-    
-    // Add additional metadata about the execution context
-    const responseData = {
-      ...result,
-      metadata: {
-        ...result.metadata,
-        executionMode: executionMode,
-        ingressUser: ingressUser || null,
-        hasIngressToken: !!ingressUserToken,
-        note: actualUseCallersRights 
-          ? `Query executed with caller's rights as user: ${ingressUser}` 
-          : "Query executed with owner's rights using service account"
+    ticket = admitRequest(request, options);
+  } catch (error) {
+    if (error.status !== 429) {
+      throw error;
+    }
+    return sendLimitError(res, error, request);
+  }
+  res.on('close', ticket.cancel);
+  try {
+    await ticket.ready;
+  } catch (error) {
+    if (error.status === 429 && !res.headersSent) {
+      request.log.warn('Query timed out in the admission queue', { executionMode: request.executionMode });
+      sendLimitError(res, error, request);
+    }
+    return undefined;
+  }
+  try {
+    return await fn();
+  } finally {
+    ticket.release();
+  }
+};
+
+// Synchronous queries answer before the socket and proxy timeouts (150s) drop the connection:
+// once SYNC_QUERY_TIMEOUT_MS has passed, queueing included, their statements are cancelled and
+// the client gets a 504 naming them. Longer queries belong on the job API (/api/queries)
+const SYNC_QUERY_TIMEOUT_MS = parseInt(process.env.SYNC_QUERY_TIMEOUT_MS, 10) || 140 * 1000;
+
+const cancelStatement = (statement, log) => statement.cancel((err) => {
+  if (err) {
+    log.warn('Failed to cancel statement', { statementId: statement.getStatementId(), error: err });
+  }
+});
+
+// Start the deadline of a synchronous request. Pass queryOptions to runQueryRequest, and check
+// expired() before answering: a request past its deadline was answered already
+const startDeadline = (res, request) => {
+  const statements = [];
+  let expired = false;
+  const timer = setTimeout(() => {
+    expired = true;
+    statements.forEach(statement => cancelStatement(statement, request.log));
+    const statementIds = statements.map(statement => statement.getStatementId()).filter(Boolean);
+    request.log.warn('Synchronous query timed out', { executionMode: request.executionMode, statementIds });
+    res.status(504).json({
+      error: `Query did not finish within ${Math.round(SYNC_QUERY_TIMEOUT_MS / 1000)}s and was cancelled. Run long queries through POST /api/queries`,
+      code: 'SYNC_TIMEOUT',
+      category: 'timeout',
+      retryable: false,
+      statementId: statementIds[statementIds.length - 1] || null,
+      statementIds,
+      executionMode: request.executionMode,
+      requestId: request.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }, SYNC_QUERY_TIMEOUT_MS);
+
+  return {
+    queryOptions: {
+      onStatement: (statement) => {
+        statements.push(statement);
+        if (expired) {
+          cancelStatement(statement, request.log);
+        }
+      },
+      isCancelled: () => expired
+    },
+    expired: () => expired,
+    clear: () => clearTimeout(timer)
+  };
+};
+
+// Execute SQL query endpoint
+app.post('/api/execute', async (req, res) => {
+  const request = resolveQueryRequest(req);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  const violation = checkPolicy(request);
+  if (violation) {
+    return res.status(403).json(buildPolicyError(violation, request.requestId));
+  }
+
+  const deadline = startDeadline(res, request);
+  await withAdmission(res, request, async () => {
+    try {
+      const result = await runQueryRequest(request, deadline.queryOptions);
+      if (!deadline.expired()) {
+        res.json(buildQueryResponse(result, request));
       }
-    };
-    
-    res.json(responseData);
-    
+    } catch (error) {
+      if (!deadline.expired()) {
+        req.log.error('Query execution error', { executionMode: request.executionMode, error });
+        res.status(500).json(buildQueryError(error, request));
+      }
+    }
+  });
+  deadline.clear();
+});
+
+const auditCancelled = (job, requestId, reason) => audit.info('Query cancelled', {
+  event: 'query.cancelled',
+  requestId,
+  ingressUser: job.owner,
+  executionMode: job.executionMode,
+  jobId: job.id,
+  queryHash: queryHash(job.query),
+  reason
+});
+
+// Asynchronous query jobs: submit, poll or follow, fetch results and cancel
+const jobStore = createJobStore({
+  onAbandoned: (job) => {
+    logger.info('Cancelled query job after its client disconnected', { jobId: job.id, ingressUser: job.owner });
+    auditCancelled(job, null, 'disconnected');
+  }
+});
+
+// Jobs are scoped to the ingress user that submitted them
+const jobOwner = req => req.headers['sf-context-current-user'] || null;
+
+const findJob = (req, res) => {
+  const job = jobStore.get(req.params.id, jobOwner(req));
+  if (!job) {
+    res.status(404).json({
+      error: 'Query job not found',
+      id: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return job;
+};
+
+app.post('/api/queries', (req, res) => {
+  const request = resolveQueryRequest(req);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  const violation = checkPolicy(request);
+  if (violation) {
+    return res.status(403).json(buildPolicyError(violation, request.requestId));
+  }
+
+  let ticket;
+  try {
+    ticket = admitRequest(request);
   } catch (error) {
-    console.error('Query execution error:', error);
-    
-    // Parse Snowflake errors for better user experience
-    let errorMessage = error.message;
-    if (error.code) {
-      errorMessage = `Snowflake Error ${error.code}: ${error.message}`;
+    return sendLimitError(res, error, request);
+  }
+
+  // The job stays queued until it holds an execution slot; cancelling it gives up its place
+  const job = jobStore.submit({
+    owner: jobOwner(req),
+    executionMode: request.executionMode,
+    query: request.query,
+    ticket
+  }, handle => ticket.ready
+    .then(() => runQueryRequest(request, {
+      onStatement: handle.attachStatement,
+      onProgress: handle.progress,
+      isCancelled: handle.isCancelled
+    }))
+    .then(result => buildQueryResponse(result, request))
+    .catch((error) => {
+      if (error.status === 429) {
+        request.log.warn('Query job timed out in the admission queue', { jobId: job.id, executionMode: request.executionMode });
+        error.response = buildLimitError(error, request);
+      } else if (!handle.isCancelled()) {
+        request.log.error('Query job error', { jobId: job.id, executionMode: request.executionMode, error });
+        error.response = buildQueryError(error, request);
+      }
+      throw error;
+    })
+    .finally(ticket.release)
+  );
+
+  req.log.info('Submitted query job', { jobId: job.id, executionMode: request.executionMode });
+  res.status(202).json(describeJob(job));
+});
+
+app.get('/api/queries/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) {
+    res.json(describeJob(job));
+  }
+});
+
+const SSE_HEARTBEAT_MS = 15 * 1000;
+const QUEUE_POSITION_POLL_MS = 1000;
+
+// Server-Sent Events for a job: its progress events (after Last-Event-ID when the browser
+// reconnects), then progress and status changes as they happen until the job finishes.
+// When every stream of an unfinished job closes, the job is cancelled after a grace period
+app.get('/api/queries/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) {
+    return;
+  }
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let queuePosition = null;
+  const send = ({ event, data }) => {
+    if (res.writableEnded) {
+      return;
+    }
+    const id = event === 'progress' ? `id: ${data.seq}\n` : '';
+    res.write(`${id}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (event === 'status') {
+      queuePosition = data.queuePosition;
+      if (isFinished(job)) {
+        res.end();
+      }
+    }
+  };
+
+  const lastSeq = parseInt(req.headers['last-event-id'], 10) || 0;
+  job.events.filter(event => event.seq > lastSeq).forEach(data => send({ event: 'progress', data }));
+  send({ event: 'status', data: describeJob(job) });
+  if (isFinished(job)) {
+    return;
+  }
+
+  const unsubscribe = jobStore.subscribe(job, send);
+  // Queue positions move as other queries finish; comments keep idle proxies from closing the stream
+  const positionTimer = setInterval(() => {
+    const status = describeJob(job);
+    if (status.queuePosition !== queuePosition) {
+      send({ event: 'status', data: status });
+    }
+  }, QUEUE_POSITION_POLL_MS);
+  const heartbeatTimer = setInterval(() => !res.writableEnded && res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(positionTimer);
+    clearInterval(heartbeatTimer);
+    unsubscribe();
+  });
+});
+
+app.get('/api/queries/:id/result', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) {
+    return;
+  }
+
+  switch (job.state) {
+    case 'succeeded':
+      return res.json(job.result);
+    case 'failed':
+      return res.status(job.error.status || 500).json(job.error.response);
+    case 'cancelled':
+      return res.status(409).json({ ...describeJob(job), error: 'Query was cancelled' });
+    default:
+      return res.status(409).json({ ...describeJob(job), error: 'Query has not finished yet' });
+  }
+});
+
+app.delete('/api/queries/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) {
+    return;
+  }
+
+  if (!jobStore.cancel(job)) {
+    return res.status(409).json({ ...describeJob(job), error: 'Query has already finished' });
+  }
+  req.log.info('Cancelled query job', { jobId: job.id, statementId: job.statement ? job.statement.getStatementId() : null });
+  auditCancelled(job, req.id, 'requested');
+  res.json(describeJob(job));
+});
+
+// History and saved queries are scoped to the ingress user
+const historyUser = req => req.headers['sf-context-current-user'] || null;
+
+const notFound = (res, what, id) => res.status(404).json({
+  error: `${what} not found`,
+  id,
+  timestamp: new Date().toISOString()
+});
+
+// Express turns a repeated query parameter into an array; these filters take one value
+const repeatedParams = (query, names) => names.filter(name => query[name] !== undefined && typeof query[name] !== 'string');
+
+const badParams = (res, names) => res.status(400).json({
+  error: `${names.join(', ')} may only be given once`,
+  timestamp: new Date().toISOString()
+});
+
+app.get('/api/history', (req, res) => {
+  const repeated = repeatedParams(req.query, ['search', 'executionMode']);
+  if (repeated.length) {
+    return badParams(res, repeated);
+  }
+  const user = historyUser(req);
+  const allUsers = req.query.allUsers === 'true';
+
+  // The cross-user view is for admins, as named by the ingress user header alone
+  if (allUsers && (!user || !HISTORY_ADMIN_USERS.includes(user.toUpperCase()))) {
+    return res.status(403).json({
+      error: "Viewing all users' history requires a HISTORY_ADMIN_USERS account",
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (allUsers) {
+    audit.info('Viewed all users history', { event: 'history.viewedAllUsers', requestId: req.id, ingressUser: user });
+  }
+
+  res.json(historyStore.listHistory({
+    user,
+    allUsers,
+    search: req.query.search,
+    starred: req.query.starred === 'true',
+    executionMode: req.query.executionMode,
+    limit: req.query.limit,
+    offset: req.query.offset
+  }));
+});
+
+app.patch('/api/history/:id', (req, res) => {
+  const entry = historyStore.setStarred(req.params.id, historyUser(req), req.body.starred);
+  if (!entry) {
+    return notFound(res, 'History entry', req.params.id);
+  }
+  res.json(entry);
+});
+
+app.delete('/api/history/:id', (req, res) => {
+  if (!historyStore.removeHistory(req.params.id, historyUser(req))) {
+    return notFound(res, 'History entry', req.params.id);
+  }
+  res.status(204).end();
+});
+
+// Clears everything except starred entries
+app.delete('/api/history', (req, res) => {
+  historyStore.clearHistory(historyUser(req));
+  res.status(204).end();
+});
+
+const validateSavedQuery = (body, partial) => {
+  const required = ['name', 'query'].filter(field => !partial || body[field] !== undefined);
+  const missing = required.filter(field => typeof body[field] !== 'string' || !body[field].trim());
+  if (missing.length) {
+    return `${missing.join(' and ')} must be non-empty strings`;
+  }
+  const wrongType = ['name', 'query', 'description']
+    .filter(field => body[field] !== undefined && typeof body[field] !== 'string');
+  if (wrongType.length) {
+    return `${wrongType.join(', ')} must be strings`;
+  }
+  if (body.tags !== undefined && !Array.isArray(body.tags)) {
+    return 'tags must be an array of strings';
+  }
+  return null;
+};
+
+app.get('/api/saved-queries', (req, res) => {
+  const repeated = repeatedParams(req.query, ['search', 'tag']);
+  if (repeated.length) {
+    return badParams(res, repeated);
+  }
+  res.json(historyStore.listSaved({
+    user: historyUser(req),
+    search: req.query.search,
+    tag: req.query.tag,
+    limit: req.query.limit,
+    offset: req.query.offset
+  }));
+});
+
+app.post('/api/saved-queries', (req, res) => {
+  const error = validateSavedQuery(req.body, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const entry = historyStore.saveQuery({
+    user: historyUser(req),
+    name: req.body.name.trim(),
+    query: req.body.query,
+    description: req.body.description,
+    tags: req.body.tags,
+    executionMode: req.body.executionMode
+  });
+  res.status(201).json(entry);
+});
+
+app.get('/api/saved-queries/:id', (req, res) => {
+  const entry = historyStore.findSaved(req.params.id, historyUser(req));
+  if (!entry) {
+    return notFound(res, 'Saved query', req.params.id);
+  }
+  res.json(entry);
+});
+
+app.put('/api/saved-queries/:id', (req, res) => {
+  const error = validateSavedQuery(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const entry = historyStore.updateSaved(req.params.id, historyUser(req), req.body);
+  if (!entry) {
+    return notFound(res, 'Saved query', req.params.id);
+  }
+  res.json(entry);
+});
+
+app.delete('/api/saved-queries/:id', (req, res) => {
+  if (!historyStore.removeSaved(req.params.id, historyUser(req))) {
+    return notFound(res, 'Saved query', req.params.id);
+  }
+  res.status(204).end();
+});
+
+// Look up a finished statement for the requesting ingress user and rebuild the
+// identity it ran under, so its results are re-read with the same rights
+const resolveStatementAccess = (req, res) => {
+  const ingressUser = req.headers['sf-context-current-user'] || null;
+  const ingressUserToken = req.headers['sf-context-current-user-token'];
+  const entry = statementRegistry.get(req.params.statementId, ingressUser);
+
+  if (!entry) {
+    res.status(404).json({
+      error: 'Statement not found',
+      statementId: req.params.statementId,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  if (entry.callersRights && !ingressUserToken) {
+    res.status(403).json({
+      error: "This result was produced with caller's rights and requires the ingress user token",
+      statementId: entry.statementId,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  return {
+    entry,
+    identity: entry.callersRights ? { ingressUser, ingressUserToken } : OWNER_IDENTITY
+  };
+};
+
+// Re-reading a statement's results takes an execution slot of the mode it ran under
+const statementRequest = (req, entry) => ({
+  ingressUser: entry.owner,
+  executionMode: entry.executionMode,
+  requestId: req.id,
+  log: req.log
+});
+
+// Paginated (JSON) or streamed (NDJSON) rows of a finished statement
+app.get('/api/statements/:statementId/rows', async (req, res) => {
+  const access = resolveStatementAccess(req, res);
+  if (!access) {
+    return;
+  }
+
+  const { entry, identity } = access;
+  const ndjson = req.query.format === 'ndjson';
+
+  try {
+    await withAdmission(res, statementRequest(req, entry), () => useSession(identity, null, async (connection) => {
+      const statement = await fetchStatement(connection, entry.statementId);
+
+      if (ndjson) {
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const limit = parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : null;
+        res.set('Content-Type', 'application/x-ndjson');
+        await pipeRows(statement, res, ndjsonTransform(describeColumns(statement)), { offset, limit, fetchAsString: NUMBER_AS_STRING });
+        return;
+      }
+
+      const { offset, limit } = parsePageRange(req.query);
+      const rows = await readRows(statement, offset, limit);
+      const totalRowCount = statement.getNumRows();
+      const columns = describeColumns(statement);
+
+      res.json({
+        data: rows,
+        columns: columns.map(col => col.name),
+        rowCount: rows.length,
+        offset,
+        limit,
+        totalRowCount,
+        hasMore: offset + rows.length < totalRowCount,
+        metadata: {
+          statementId: entry.statementId,
+          executionMode: entry.executionMode,
+          columns
+        }
+      });
+    }), { countRate: false });
+  } catch (error) {
+    req.log.error('Statement rows error', { statementId: entry.statementId, error });
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      error: error.message,
+      code: error.code,
+      statementId: entry.statementId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Re-stream a finished statement as a downloadable file
+app.get('/api/statements/:statementId/export', async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `Unsupported export format: ${format}`,
+      supportedFormats: Object.keys(EXPORT_FORMATS)
+    });
+  }
+
+  const access = resolveStatementAccess(req, res);
+  if (!access) {
+    return;
+  }
+
+  const { entry, identity } = access;
+  audit.info('Statement exported', {
+    event: 'statement.exported',
+    requestId: req.id,
+    ingressUser: entry.owner,
+    executionMode: entry.executionMode,
+    statementId: entry.statementId,
+    format
+  });
+
+  try {
+    await withAdmission(res, statementRequest(req, entry), () => useSession(identity, null, async (connection) => {
+      const statement = await fetchStatement(connection, entry.statementId);
+      const { contentType, extension } = EXPORT_FORMATS[format];
+
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="result-${entry.statementId}.${extension}"`);
+      await exportRows(statement, describeColumns(statement), format, res);
+    }), { countRate: false });
+  } catch (error) {
+    req.log.error('Statement export error', { statementId: entry.statementId, format, error });
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
     }
-    
     res.status(500).json({
-      error: errorMessage,
-      sqlState: error.sqlState,
+      error: error.message,
       code: error.code,
+      statementId: entry.statementId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Compare mode: run the same query under owner's and caller's rights side by side
+const SESSION_CONTEXT_SQL = 'SELECT CURRENT_USER() AS USER, CURRENT_ROLE() AS ROLE';
+
+const runComparisonSide = async (request, deadline) => {
+  const side = {
+    executionMode: request.useCallersRights ? "caller's_rights" : "owner's_rights",
+    context: null,
+    result: null,
+    error: null,
+    privilegeError: false
+  };
+
+  if (request.useCallersRights && !request.actualUseCallersRights) {
+    side.error = {
+      error: request.ingressUserToken
+        ? `Caller's rights is not available with the ${authStrategy.name} auth strategy`
+        : "Caller's rights requires the Sf-Context-Current-User-Token ingress header",
       timestamp: new Date().toISOString(),
-      executionMode: useCallersRights ? "caller's_rights" : "owner's_rights"
+      executionMode: side.executionMode
+    };
+    return side;
+  }
+
+  const violation = checkPolicy(request);
+  if (violation) {
+    side.error = buildPolicyError(violation, request.requestId);
+    return side;
+  }
+
+  // The user and role are read on the session that then runs the query
+  const onSession = async (connection) => {
+    const contextResult = await executeQuery(connection, SESSION_CONTEXT_SQL, request.actualUseCallersRights);
+    side.context = { user: contextResult.data[0].USER, role: contextResult.data[0].ROLE };
+  };
+
+  try {
+    side.result = buildQueryResponse(await runQueryRequest(request, { ...deadline.queryOptions, onSession }), request);
+  } catch (error) {
+    request.log.warn('Compare side failed', { executionMode: side.executionMode, error });
+    side.error = buildQueryError(error, request);
+    side.privilegeError = isPrivilegeError(error);
+  }
+  return side;
+};
+
+app.post('/api/compare', async (req, res) => {
+  const request = resolveQueryRequest(req);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  if (request.statements.length !== 1) {
+    return res.status(400).json({ error: 'Compare mode runs a single statement, not a script' });
+  }
+  // The statement runs once per side, so only statements that read are accepted
+  const { category, command } = classifyStatement(request.statements[0].sql);
+  if (!READ_ONLY_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      error: `Compare mode runs the statement under both execution modes, so it only accepts read-only statements (${READ_ONLY_CATEGORIES.join(', ')}), not ${command || category}`,
+      category,
+      command
     });
-  } finally {
-    if (connection) {
-      connection.destroy();
+  }
+
+  // Each side tags its queries with its own execution mode, and bypasses the result cache so
+  // its user and role come from the session that produced the result
+  const side = (useCallersRights) => {
+    const resolved = resolveIdentity(req, useCallersRights);
+    return { ...request, ...resolved, bypassCache: true, context: parseSessionContext(req.body.context, resolved.executionMode) };
+  };
+  // Both sides count as one query under the stricter owner's rights limits
+  const deadline = startDeadline(res, request);
+  await withAdmission(res, request, async () => {
+    const [owner, caller] = await Promise.all([
+      runComparisonSide(side(false), deadline),
+      runComparisonSide(side(true), deadline)
+    ]);
+
+    if (!deadline.expired()) {
+      res.json({
+        owner,
+        caller,
+        differences: compareSides(owner, caller),
+        timestamp: new Date().toISOString()
+      });
     }
+  }, { executionMode: "owner's_rights" });
+  deadline.clear();
+});
+
+// Query plan: EXPLAIN USING JSON under the chosen mode, normalized into an operator tree
+app.post('/api/explain', async (req, res) => {
+  const request = resolveQueryRequest(req);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  if (request.statements.length !== 1) {
+    return res.status(400).json({ error: 'Explain takes a single statement, not a script' });
+  }
+  const violation = checkPolicy(request);
+  if (violation) {
+    return res.status(403).json(buildPolicyError(violation, request.requestId));
   }
+
+  // EXPLAIN goes on its own line, so errors in the statement keep their columns
+  const [statement] = request.statements;
+  const explainSql = `EXPLAIN USING JSON\n${statement.sqlText}`;
+  await withAdmission(res, request, async () => {
+    try {
+      const result = await useSession(request.identity, request.context, connection =>
+        executeQuery(connection, explainSql, request.actualUseCallersRights, { binds: statement.binds, log: req.log })
+      );
+      res.json({
+        plan: normalizePlan(result.data[0].content),
+        executionMode: request.executionMode,
+        requestId: request.requestId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      error.location = errorLocation(error, request.query, statement.offset, 2);
+      req.log.error('Explain error', { executionMode: request.executionMode, error });
+      res.status(500).json(buildQueryError(error, request));
+    }
+  });
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  console.log(`[${new Date().toISOString()}] Health check requested`);
-  res.status(200).json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development',
-    snowflake_account: process.env.SNOWFLAKE_ACCOUNT || 'Not configured',
-    snowflake_host: process.env.SNOWFLAKE_HOST || 'Not configured'
+// Catalog browsing, evaluated under the requested execution mode so callers only see their own grants
+const catalog = createCatalog();
+
+// Large enough for SHOW output of busy accounts, unlike the per-query row cap
+const CATALOG_MAX_ROWS = 10000;
+
+// Session context from the query string: the database, schema and secondary roles change what
+// the catalog shows, so they are part of the cache key. secondaryRoles is ALL, NONE or a comma-separated list
+const catalogContext = (query, executionMode) => {
+  const { secondaryRoles, database, schema } = query;
+  const roles = secondaryRoles && !/^(ALL|NONE)$/i.test(secondaryRoles) ? secondaryRoles.split(',') : secondaryRoles;
+  return parseSessionContext({ secondaryRoles: roles, database, schema }, executionMode);
+};
+
+// Lookups the catalog cache cannot answer take an execution slot for each statement they run
+const catalogScope = (req) => {
+  const { identity, executionMode, ingressUser } = resolveIdentity(req, req.query.useCallersRights === 'true');
+  const context = catalogContext(req.query, executionMode);
+  const { secondaryRoles, database, schema } = context;
+  return {
+    key: secondaryRoles || database || schema
+      ? `${identityKey(identity)}\u0000${JSON.stringify([secondaryRoles, database, schema])}`
+      : identityKey(identity),
+    executionMode,
+    refresh: req.query.refresh === 'true',
+    run: async (sql) => {
+      const ticket = admitRequest({ ingressUser, executionMode }, { countRate: false });
+      try {
+        await ticket.ready;
+        const result = await useSession(identity, context, connection =>
+          executeQuery(connection, sql, !!identity.ingressUserToken, { maxRows: CATALOG_MAX_ROWS })
+        );
+        return result.data;
+      } finally {
+        ticket.release();
+      }
+    }
+  };
+};
+
+const catalogRoute = lookup => async (req, res) => {
+  let scope;
+  try {
+    scope = catalogScope(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const { items, cachedAt } = await lookup(scope, req.params, req.query);
+    res.json({
+      items,
+      executionMode: scope.executionMode,
+      cachedAt: new Date(cachedAt).toISOString()
+    });
+  } catch (error) {
+    if (error.status === 429) {
+      return sendLimitError(res, error, { executionMode: scope.executionMode, requestId: req.id });
+    }
+    req.log.error('Catalog error', { path: req.path, error });
+    res.status(500).json({
+      error: error.code ? `Snowflake Error ${error.code}: ${error.message}` : error.message,
+      code: error.code,
+      ...classifyError(error),
+      executionMode: scope.executionMode,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+app.get('/api/catalog/databases', catalogRoute(scope => catalog.databases(scope)));
+
+app.get('/api/catalog/databases/:database/schemas', catalogRoute((scope, { database }) =>
+  catalog.schemas(scope, database)
+));
+
+app.get('/api/catalog/databases/:database/schemas/:schema/objects', catalogRoute((scope, { database, schema }) =>
+  catalog.objects(scope, database, schema)
+));
+
+app.get('/api/catalog/databases/:database/schemas/:schema/objects/:object/columns', catalogRoute((scope, { database, schema, object }, query) =>
+  catalog.columns(scope, database, schema, object, query.kind)
+));
+
+app.get('/api/catalog/databases/:database/schemas/:schema/functions', catalogRoute((scope, { database, schema }) =>
+  catalog.functions(scope, database, schema)
+));
+
+app.get('/api/catalog/completions', catalogRoute(scope => catalog.completions(scope)));
+
+// Warehouses and roles for the session context picker, as granted to the execution mode's user
+app.get('/api/catalog/warehouses', catalogRoute(scope => catalog.warehouses(scope)));
+
+app.get('/api/catalog/roles', catalogRoute(scope => catalog.roles(scope)));
+
+// Drop the cached catalog of the requesting identity
+app.post('/api/catalog/refresh', (req, res) => {
+  const { identity, executionMode } = resolveIdentity(req, req.body.useCallersRights === true);
+  catalog.invalidate(identityKey(identity));
+  res.json({ refreshed: true, executionMode });
+});
+
+// Drop the cached query results of the requesting identity
+app.post('/api/cache/invalidate', (req, res) => {
+  const { identity, executionMode } = resolveIdentity(req, req.body.useCallersRights === true);
+  const removed = resultCache.invalidate(identityKey(identity));
+  req.log.info('Invalidated cached results', { executionMode, removed });
+  res.json({ invalidated: removed, executionMode });
+});
+
+app.get('/api/cache', (req, res) => {
+  res.json(resultCache.stats());
+});
+
+// Privilege diagnostics for a failed query: the objects it references, the grants the caller and
+// the service owner hold on them, and under caller's rights the owner role's caller grants
+app.post('/api/diagnostics/privileges', async (req, res) => {
+  const request = resolveQueryRequest(req);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  if (request.useCallersRights && !request.actualUseCallersRights) {
+    return res.status(400).json({
+      error: request.ingressUserToken
+        ? `Caller's rights is not available with the ${authStrategy.name} auth strategy`
+        : "Caller's rights requires the Sf-Context-Current-User-Token ingress header"
+    });
+  }
+
+  // The owner's session looks at the same database and schema, under its own roles
+  const { database, schema } = req.body.context || {};
+  const ownerContext = request.actualUseCallersRights
+    ? parseSessionContext({ database, schema }, "owner's_rights")
+    : request.context;
+  const runAs = (who, fn) => useSession(
+    who === 'caller' ? request.identity : OWNER_IDENTITY,
+    who === 'caller' ? request.context : ownerContext,
+    connection => fn(async sql => (await executeQuery(connection, sql, false, { maxRows: CATALOG_MAX_ROWS, log: req.log })).data)
+  );
+
+  // The grant lookups of one diagnosis count as one query of the request's mode
+  await withAdmission(res, request, async () => {
+    try {
+      const diagnosis = await diagnosePrivileges({
+        statements: request.statements,
+        callersRights: request.actualUseCallersRights,
+        runAs
+      });
+      req.log.info('Diagnosed query privileges', {
+        executionMode: request.executionMode,
+        queryHash: queryHash(request.query),
+        findings: diagnosis.findings.length
+      });
+      res.json({ ...diagnosis, requestId: request.requestId, timestamp: new Date().toISOString() });
+    } catch (error) {
+      req.log.error('Privilege diagnostics error', { executionMode: request.executionMode, error });
+      res.status(500).json(buildQueryError(error, request));
+    }
   });
 });
 
@@ -338,9 +1733,10 @@ app.get('/api/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  (req.log || logger).error('Unhandled error', { error: err, stack: err.stack });
   res.status(500).json({
     error: 'Internal server error',
+    requestId: req.id,
     timestamp: new Date().toISOString()
   });
 });
@@ -356,12 +1752,29 @@ app.use('*', (req, res) => {
 
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Snowflake Account: ${process.env.SNOWFLAKE_ACCOUNT || 'Not configured'}`);
+  logger.info('Server started', {
+    port: PORT,
+    environment: process.env.NODE_ENV || 'development',
+    snowflakeAccount: process.env.SNOWFLAKE_ACCOUNT || null
+  });
+  runAuthSelfCheck();
 });
 
-// Set server timeout for long-running SQL queries (5 minutes)
-server.timeout = 300000; // 300 seconds = 5 minutes
-server.keepAliveTimeout = 300000;
-server.headersTimeout = 310000; // Should be slightly higher than keepAliveTimeout
+// Long-running queries go through the job API, whose event stream sends a
+// heartbeat every 15 seconds. Synchronous queries are cancelled with a 504
+// after SYNC_QUERY_TIMEOUT_MS, before this timeout drops their connection
+server.timeout = 150000; // 150 seconds
+server.keepAliveTimeout = 65000; // Outlasts the 60s idle timeout of common load balancers
+server.headersTimeout = 66000; // Should be slightly higher than keepAliveTimeout
+
+// Close pooled Snowflake sessions on shutdown
+const shutdown = (signal) => {
+  logger.info('Shutting down, draining connection pools', { signal });
+  stopTokenWatch();
+  poolManager.drainAll();
+  historyStore.flush();
+  server.close(() => process.exit(0));
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdmission } = require('../lib/admission');
+
+const MODE = "owner's_rights";
+
+const limits = overrides => ({
+  [MODE]: { maxConcurrent: 2, maxConcurrentPerUser: 2, maxQueued: 10, requestsPerMinute: 0, ...overrides }
+});
+
+// Settles a ticket's ready promise into a string so tests can look at it without awaiting forever
+const track = (ticket) => {
+  const state = { value: 'waiting' };
+  ticket.ready.then(() => { state.value = 'ready'; }, (error) => { state.value = error.code; });
+  return state;
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('admit starts queries up to the limit and queues the rest in order', async () => {
+  const admission = createAdmission(limits());
+  const first = admission.admit(MODE, 'a');
+  const second = admission.admit(MODE, 'b');
+  const third = admission.admit(MODE, 'c');
+  const fourth = admission.admit(MODE, 'd');
+  const states = [first, second, third, fourth].map(track);
+  await tick();
+
+  assert.deepEqual(states.map(({ value }) => value), ['ready', 'ready', 'waiting', 'waiting']);
+  assert.equal(third.position(), 1);
+  assert.equal(fourth.position(), 2);
+  assert.deepEqual({ running: 2, queued: 2 }, (({ running, queued }) => ({ running, queued }))(admission.stats()[MODE]));
+
+  first.release();
+  await tick();
+  assert.equal(states[2].value, 'ready');
+  assert.equal(fourth.position(), 1);
+
+  fourth.cancel();
+  await tick();
+  assert.equal(states[3].value, 'QUEUE_CANCELLED');
+  [second, third].forEach(ticket => ticket.release());
+  assert.equal(admission.stats()[MODE].running, 0);
+});
+
+test('release is idempotent', () => {
+  const admission = createAdmission(limits());
+  const ticket = admission.admit(MODE, 'a');
+  ticket.release();
+  ticket.release();
+  assert.equal(admission.stats()[MODE].running, 0);
+});
+
+test('admit rejects when the queue is full', () => {
+  const admission = createAdmission(limits({ maxConcurrent: 1, maxQueued: 1 }));
+  const running = admission.admit(MODE, 'a');
+  const queued = admission.admit(MODE, 'b');
+  track(queued);
+  assert.throws(() => admission.admit(MODE, 'c'), error => error.code === 'QUEUE_FULL' && error.status === 429);
+  queued.cancel();
+  running.release();
+});
+
+test('a queue size or queue timeout of 0 turns away queries that cannot start', () => {
+  for (const [overrides, options] of [[{ maxQueued: 0 }, {}], [{}, { queueTimeoutMs: 0 }]]) {
+    const admission = createAdmission(limits({ maxConcurrent: 1, ...overrides }), options);
+    const running = admission.admit(MODE, 'a');
+    assert.throws(() => admission.admit(MODE, 'b'), error => error.code === 'QUEUE_FULL' && /running/.test(error.message));
+    assert.equal(admission.stats()[MODE].queued, 0);
+    running.release();
+    admission.admit(MODE, 'b').release();
+  }
+});
+
+test('checkRate limits requests per user per minute', () => {
+  const admission = createAdmission(limits({ requestsPerMinute: 2 }));
+  admission.checkRate(MODE, 'a');
+  admission.checkRate(MODE, 'a');
+  admission.checkRate(MODE, 'b');
+  assert.throws(() => admission.checkRate(MODE, 'a'), error => error.code === 'RATE_LIMITED' && error.retryAfterSeconds >= 1);
+});
+
+test('checkRate forgets users once their window is empty', (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const admission = createAdmission(limits({ requestsPerMinute: 2 }));
+  admission.checkRate(MODE, 'a');
+  admission.checkRate(MODE, 'b');
+  assert.equal(admission.stats()[MODE].rateTrackedUsers, 2);
+
+  now += 61 * 1000;
+  admission.checkRate(MODE, 'c');
+  assert.equal(admission.stats()[MODE].rateTrackedUsers, 1);
+});
+
+test('admit refuses unknown execution modes', () => {
+  assert.throws(() => createAdmission(limits()).admit('nobody', 'a'), /No admission limits/);
+});
+
+test('a user under their limit is not held up by another user blocked by theirs', async () => {
+  const admission = createAdmission(limits({ maxConcurrent: 4, maxConcurrentPerUser: 1 }));
+  const first = admission.admit(MODE, 'a');
+  const second = admission.admit(MODE, 'a');
+  const third = admission.admit(MODE, 'a');
+  const other = admission.admit(MODE, 'b');
+  const states = [first, second, third, other].map(track);
+  await tick();
+
+  assert.deepEqual(states.map(({ value }) => value), ['ready', 'waiting', 'waiting', 'ready']);
+  assert.equal(admission.stats()[MODE].running, 2);
+  assert.equal(admission.stats()[MODE].queued, 2);
+
+  // The freed slot goes to the longest-waiting query of the user who released it
+  first.release();
+  await tick();
+  assert.deepEqual(states.map(({ value }) => value), ['ready', 'ready', 'waiting', 'ready']);
+  assert.equal(third.position(), 1);
+
+  [second, other].forEach(ticket => ticket.release());
+  await tick();
+  assert.equal(states[2].value, 'ready');
+  third.release();
+  assert.equal(admission.stats()[MODE].running, 0);
+});
+
+test('a freed slot skips waiters whose user is at their limit', async () => {
+  const admission = createAdmission(limits({ maxConcurrent: 2, maxConcurrentPerUser: 1 }));
+  const a1 = admission.admit(MODE, 'a');
+  const b1 = admission.admit(MODE, 'b');
+  const a2 = admission.admit(MODE, 'a');
+  const c1 = admission.admit(MODE, 'c');
+  const states = [a1, b1, a2, c1].map(track);
+  await tick();
+  assert.deepEqual(states.map(({ value }) => value), ['ready', 'ready', 'waiting', 'waiting']);
+
+  b1.release();
+  await tick();
+  assert.deepEqual(states.map(({ value }) => value), ['ready', 'ready', 'waiting', 'ready']);
+
+  [a1, c1].forEach(ticket => ticket.release());
+  await tick();
+  assert.equal(states[2].value, 'ready');
+  a2.release();
+});
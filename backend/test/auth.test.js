@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuthStrategy } = require('../lib/auth');
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const BASE = { SNOWFLAKE_ACCOUNT: 'acct', SNOWFLAKE_USERNAME: 'svc', SNOWFLAKE_TOKEN_FILE: '/nonexistent/token' };
+
+test('the strategy is detected in the order password, keypair, oauth', () => {
+  assert.equal(createAuthStrategy({ ...BASE, SNOWFLAKE_PASSWORD: 'pw', SNOWFLAKE_PRIVATE_KEY: privateKey }).name, 'password');
+  assert.equal(createAuthStrategy({ ...BASE, SNOWFLAKE_PRIVATE_KEY: privateKey, SNOWFLAKE_OAUTH_TOKEN: 't' }).name, 'keypair');
+  assert.equal(createAuthStrategy({ ...BASE, SNOWFLAKE_OAUTH_TOKEN: 't' }).name, 'oauth');
+  assert.equal(createAuthStrategy({ ...BASE }).name, 'none');
+});
+
+test('SNOWFLAKE_AUTH_STRATEGY overrides detection', () => {
+  const env = { ...BASE, SNOWFLAKE_AUTH_STRATEGY: 'KEYPAIR', SNOWFLAKE_PASSWORD: 'pw', SNOWFLAKE_PRIVATE_KEY: privateKey };
+  assert.equal(createAuthStrategy(env).name, 'keypair');
+  assert.throws(() => createAuthStrategy({ ...BASE, SNOWFLAKE_AUTH_STRATEGY: 'kerberos' }), /Unknown SNOWFLAKE_AUTH_STRATEGY "kerberos"/);
+});
+
+test('incomplete settings fail at startup', () => {
+  assert.throws(() => createAuthStrategy({ SNOWFLAKE_PASSWORD: 'pw' }), /Password auth needs/);
+  assert.throws(() => createAuthStrategy({ ...BASE, SNOWFLAKE_PRIVATE_KEY: 'not a key' }), /Could not read the private key/);
+});
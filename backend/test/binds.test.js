@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { coerceBind, bindStatement, bindStatements } = require('../lib/binds');
+
+test('bindStatement rewrites positional placeholders to numbered binds', () => {
+  const { sqlText, binds } = bindStatement('SELECT * FROM t WHERE a = ? AND b = ?', [1, 'x']);
+  assert.equal(sqlText, 'SELECT * FROM t WHERE a = :1 AND b = :2');
+  assert.deepEqual(binds, [1, 'x']);
+});
+
+test('bindStatement lets repeated named placeholders share one bind', () => {
+  const { sqlText, binds } = bindStatement('SELECT :id, :name, :id', { id: 7, name: 'n' });
+  assert.equal(sqlText, 'SELECT :1, :2, :1');
+  assert.deepEqual(binds, [7, 'n']);
+});
+
+test('bindStatement casts date and timestamp binds in the SQL', () => {
+  const { sqlText, binds } = bindStatement('SELECT :d, :ts', {
+    d: { type: 'date', value: '2024-01-31' },
+    ts: { type: 'timestamp', value: '2024-01-31 13:45' }
+  });
+  assert.equal(sqlText, 'SELECT :1::DATE, :2::TIMESTAMP_NTZ');
+  assert.deepEqual(binds, ['2024-01-31', '2024-01-31T13:45:00']);
+});
+
+test('bindStatement rejects mixed, missing and out-of-range binds', () => {
+  assert.throws(() => bindStatement('SELECT ?, :a', { a: 1 }), /cannot mix/);
+  assert.throws(() => bindStatement('SELECT ?, ?', [1]), /Missing value for bind 2/);
+  assert.throws(() => bindStatement('SELECT :a', {}), /Missing value for bind :a/);
+});
+
+test('coerceBind converts typed values and rejects bad ones', () => {
+  assert.deepEqual(coerceBind({ type: 'number', value: '42' }, 0), { type: 'NUMBER', value: 42 });
+  assert.deepEqual(coerceBind({ type: 'number', value: '12345678901234567890' }, 0),
+    { type: 'NUMBER', value: '12345678901234567890' });
+  assert.deepEqual(coerceBind({ type: 'boolean', value: 'yes' }, 0), { type: 'BOOLEAN', value: true });
+  assert.deepEqual(coerceBind({ type: 'varchar', value: null }, 'a'), { type: 'TEXT', value: null });
+  assert.throws(() => coerceBind({ type: 'number', value: 'abc' }, 0), /bind 1 is not a number/);
+  assert.throws(() => coerceBind({ type: 'date', value: '31/01/2024' }, 'd'), /bind :d must be a date/);
+  assert.throws(() => coerceBind({ type: 'geometry', value: 'x' }, 0), /unknown type/);
+  assert.throws(() => coerceBind([1, 2], 0), /must be a string, number, boolean or null/);
+});
+
+test('bindStatements checks binds across a script', () => {
+  const statements = [{ sql: 'SELECT :a', line: 1 }, { sql: 'SELECT :b', line: 2 }];
+  const bound = bindStatements(statements, { a: 1, b: 2 });
+  assert.deepEqual(bound.map(({ sqlText, binds }) => [sqlText, binds]), [['SELECT :1', [1]], ['SELECT :1', [2]]]);
+
+  assert.throws(() => bindStatements(statements, { a: 1, b: 2, c: 3 }), /Unknown bind variables: :c/);
+  assert.throws(() => bindStatements([{ sql: 'SELECT ?' }, { sql: 'SELECT ?' }], [1, 2]), /must use :name placeholders/);
+  assert.throws(() => bindStatements([{ sql: 'SELECT ?' }], [1, 2]), /Got 2 binds but the query has 1 placeholders/);
+  assert.throws(() => bindStatements([{ sql: 'SELECT 1' }], 'x'), /binds must be/);
+  assert.deepEqual(bindStatements([{ sql: 'SELECT 1' }], null)[0].binds, []);
+});
+
+test('bindStatements leaves placeholders alone when the request has no binds', () => {
+  const sql = 'DECLARE x INT; BEGIN SELECT COUNT(*) INTO :x FROM t WHERE a = ?; RETURN :x; END';
+  for (const binds of [undefined, null]) {
+    assert.deepEqual(bindStatements([{ sql, line: 1 }], binds), [{ sql, line: 1, sqlText: sql, binds: [] }]);
+  }
+  assert.throws(() => bindStatements([{ sql: 'SELECT :a' }], {}), /Missing value for bind :a/);
+});
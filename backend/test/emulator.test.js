@@ -0,0 +1,58 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEmulator } = require('../lib/emulator');
+
+const SEED_FILE = path.join(__dirname, '..', '..', 'scripts', 'setup-database.sql');
+
+const emulator = createEmulator({ seedFile: SEED_FILE });
+
+const connect = options => new Promise((resolve, reject) => {
+  emulator.driver.createConnection(options).connect((error, connection) => (error ? reject(error) : resolve(connection)));
+});
+
+const execute = (connection, sqlText, binds) => new Promise((resolve, reject) => {
+  connection.execute({
+    sqlText,
+    binds,
+    complete: (error, statement) => (error ? reject(error) : resolve(statement))
+  });
+});
+
+const rows = statement => new Promise((resolve, reject) => {
+  const collected = [];
+  statement.streamRows()
+    .on('data', row => collected.push(row))
+    .on('error', reject)
+    .on('end', () => resolve(collected));
+});
+
+test('the emulator runs queries with binds against the seeded schema', async () => {
+  const connection = await connect(emulator.authStrategy.connectionOptions({}));
+  const statement = await execute(connection, 'SELECT :1 + 1 AS ANSWER', [41]);
+  assert.deepEqual(statement.getColumns().map(column => column.getName()), ['ANSWER']);
+  assert.deepEqual(await rows(statement), [{ ANSWER: 42 }]);
+});
+
+test('the emulator reports who is running the session', async () => {
+  const owner = await connect(emulator.authStrategy.connectionOptions({}));
+  const caller = await connect(emulator.authStrategy.connectionOptions({ ingressUser: 'alice', ingressUserToken: 't' }));
+  const [ownerRow] = await rows(await execute(owner, 'SELECT CURRENT_USER() AS U, CURRENT_ROLE() AS R'));
+  const [callerRow] = await rows(await execute(caller, 'SELECT CURRENT_USER() AS U, CURRENT_ROLE() AS R'));
+  assert.deepEqual(ownerRow, { U: 'SQL_QUERY_SERVICE', R: 'SQL_QUERY_SERVICE_ROLE' });
+  assert.deepEqual(callerRow, { U: 'ALICE', R: 'PUBLIC' });
+});
+
+test('the emulator fails unknown objects the way Snowflake does', async () => {
+  const connection = await connect(emulator.authStrategy.connectionOptions({}));
+  await assert.rejects(execute(connection, 'SELECT * FROM NO_SUCH_TABLE'), /does not exist or not authorized/);
+});
+
+test('the emulator names columns of rewritten calls as Snowflake does', async () => {
+  const connection = await connect(emulator.authStrategy.connectionOptions({}));
+  const statement = await execute(connection, "SELECT GET_CURRENT_CONTEXT(), nvl(NULL, 'x'), COUNT(*) FROM SAMPLE_DATA");
+  assert.deepEqual(statement.getColumns().map(column => column.getName()), ['GET_CURRENT_CONTEXT()', "NVL(NULL, 'X')", 'COUNT(*)']);
+  const [row] = await rows(statement);
+  assert.equal(row["NVL(NULL, 'X')"], 'x');
+  assert.equal(row['GET_CURRENT_CONTEXT()'].current_user, 'SQL_QUERY_SERVICE');
+});
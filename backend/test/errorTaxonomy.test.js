@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError } = require('../lib/errorTaxonomy');
+
+const classify = error => (({ category, errorCode, retryable }) => ({ category, errorCode, retryable }))(classifyError(error));
+
+test('classifyError maps Snowflake errors to stable codes', () => {
+  assert.deepEqual(classify({ code: '001003', message: "SQL compilation error: syntax error line 1 at position 7 unexpected 'FORM'." }),
+    { category: 'syntax', errorCode: 'SQL_SYNTAX_ERROR', retryable: false });
+  assert.deepEqual(classify({ code: 2003, message: "Object 'T' does not exist or not authorized." }),
+    { category: 'object_not_found', errorCode: 'OBJECT_NOT_FOUND', retryable: false });
+  assert.deepEqual(classify({ code: '003001', message: 'Insufficient privileges to operate on table' }),
+    { category: 'insufficient_privilege', errorCode: 'INSUFFICIENT_PRIVILEGES', retryable: false });
+  assert.deepEqual(classify({ code: '000606', message: 'No active warehouse selected in the current session.' }),
+    { category: 'warehouse_suspended', errorCode: 'WAREHOUSE_UNAVAILABLE', retryable: false });
+  assert.deepEqual(classify({ code: '000630', message: 'Statement reached its statement or warehouse timeout of 10 second(s)' }),
+    { category: 'timeout', errorCode: 'QUERY_TIMEOUT', retryable: true });
+  assert.deepEqual(classify({ code: '000604', message: 'SQL execution canceled' }),
+    { category: 'cancelled', errorCode: 'QUERY_CANCELLED', retryable: true });
+});
+
+test('classifyError separates expired tokens from other authentication failures', () => {
+  assert.deepEqual(classify({ code: '390114', message: 'Authentication token has expired.' }),
+    { category: 'auth', errorCode: 'AUTH_TOKEN_EXPIRED', retryable: true });
+  assert.deepEqual(classify({ code: '390100', message: 'Incorrect username or password was specified.' }),
+    { category: 'auth', errorCode: 'AUTH_FAILED', retryable: false });
+  assert.deepEqual(classify({ code: 'AUTH_NOT_CONFIGURED', message: 'No authentication configured' }).category, 'auth');
+});
+
+test('classifyError recognises network failures', () => {
+  assert.equal(classify({ code: 'ECONNRESET', message: 'socket hang up' }).category, 'network');
+  assert.equal(classify({ code: '407002', message: 'Unable to perform operation using terminated connection.' }).category, 'network');
+});
+
+test('classifyError falls back to unknown with a hint-free result', () => {
+  assert.deepEqual(classifyError(new Error('Something odd')), {
+    category: 'unknown',
+    errorCode: 'QUERY_FAILED',
+    hint: null,
+    retryable: false
+  });
+  assert.equal(classifyError(null).category, 'unknown');
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHistoryStore } = require('../lib/historyStore');
+
+const tempStore = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { filePath: path.join(dir, 'history.json') };
+};
+
+const run = (store, user, query, extra = {}) => store.record({
+  user,
+  query,
+  executionMode: "owner's_rights",
+  statementCount: 1,
+  durationMs: 5,
+  status: 'succeeded',
+  ...extra
+});
+
+test('record masks credentials in the query and its binds', (t) => {
+  const options = tempStore(t);
+  const store = createHistoryStore(options);
+  const entry = run(store, 'alice', "CREATE USER bob PASSWORD = 'hunter2'");
+  assert.equal(entry.query, "CREATE USER bob PASSWORD = '[REDACTED]'");
+
+  const bound = run(store, 'alice', 'ALTER USER bob SET PASSWORD = :pw', { binds: { pw: 'hunter2' } });
+  assert.equal(bound.query, 'ALTER USER bob SET PASSWORD = :pw');
+  assert.deepEqual(bound.binds, { pw: '[REDACTED]' });
+
+  store.flush();
+  assert.doesNotMatch(fs.readFileSync(options.filePath, 'utf8'), /hunter2/);
+});
+
+test('saved queries mask credentials when saved and when updated', (t) => {
+  const options = tempStore(t);
+  const store = createHistoryStore(options);
+  const saved = store.saveQuery({ user: 'alice', name: 'new user', query: "CREATE USER bob PASSWORD = 'hunter2'" });
+  assert.equal(saved.query, "CREATE USER bob PASSWORD = '[REDACTED]'");
+
+  const updated = store.updateSaved(saved.id, 'alice', { query: "ALTER USER bob SET PASSWORD = 'hunter2'" });
+  assert.equal(updated.query, "ALTER USER bob SET PASSWORD = '[REDACTED]'");
+
+  store.flush();
+  assert.doesNotMatch(fs.readFileSync(options.filePath, 'utf8'), /hunter2/);
+});
+
+test('history is scoped to the user, newest first, and searchable', (t) => {
+  const store = createHistoryStore(tempStore(t));
+  run(store, 'alice', 'SELECT 1');
+  run(store, 'alice', 'SELECT name FROM people');
+  run(store, 'bob', 'SELECT 2');
+
+  const page = store.listHistory({ user: 'alice' });
+  assert.deepEqual(page.items.map(item => item.query), ['SELECT name FROM people', 'SELECT 1']);
+  assert.equal(page.total, 2);
+  assert.deepEqual(store.listHistory({ user: 'alice', search: 'PEOPLE' }).items.length, 1);
+  assert.equal(store.listHistory({ user: 'alice', allUsers: true }).total, 3);
+});
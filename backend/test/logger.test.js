@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, redactSql, redactBinds } = require('../lib/logger');
+
+test('redactSql masks inline credentials but keeps bind placeholders', () => {
+  assert.equal(redactSql("CREATE USER u PASSWORD = 'hunter2' LOGIN_NAME = 'u'"),
+    "CREATE USER u PASSWORD = '[REDACTED]' LOGIN_NAME = 'u'");
+  assert.equal(redactSql('ALTER USER u SET RSA_PUBLIC_KEY=MIIBIjAN'), "ALTER USER u SET RSA_PUBLIC_KEY='[REDACTED]'");
+  assert.equal(redactSql('CREATE USER u PASSWORD = :pw'), 'CREATE USER u PASSWORD = :pw');
+  assert.equal(redactSql('CREATE USER u PASSWORD = ?'), 'CREATE USER u PASSWORD = ?');
+});
+
+test('redactBinds masks binds that fill a credential or have a sensitive name', () => {
+  assert.deepEqual(redactBinds('CREATE USER :name PASSWORD = :pw', { name: 'u', pw: 'hunter2' }),
+    { name: 'u', pw: '[REDACTED]' });
+  assert.deepEqual(redactBinds('CREATE USER IDENTIFIER(?) PASSWORD = ?', ['u', { type: 'TEXT', value: 'hunter2' }]),
+    ['u', '[REDACTED]']);
+  assert.deepEqual(redactBinds('SELECT :token', { token: 'abc' }), { token: '[REDACTED]' });
+  assert.deepEqual(redactBinds('SELECT ?', [1]), [1]);
+  assert.equal(redactBinds('SELECT 1', null), null);
+});
+
+test('redact masks sensitive keys at any depth', () => {
+  assert.deepEqual(redact({ a: { Authorization: 'Bearer x', ok: 1 }, privateKey: 'k', flag: { password: true } }),
+    { a: { Authorization: '[REDACTED]', ok: 1 }, privateKey: '[REDACTED]', flag: { password: true } });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createResultCache } = require('../lib/resultCache');
+
+const request = (sql, identityKey = 'alice', extra = {}) => ({
+  statements: [{ sql, binds: [] }],
+  executionMode: "caller's_rights",
+  identityKey,
+  context: null,
+  ...extra
+});
+
+const result = (rows = [{ A: 1 }], truncated = false) => ({
+  data: rows,
+  columns: ['A'],
+  rowCount: rows.length,
+  metadata: { columns: [{ name: 'A', type: 'fixed' }], truncated }
+});
+
+test('keyFor only caches single read-only statements without volatile functions', () => {
+  const cache = createResultCache({ enabled: true });
+  assert.ok(cache.keyFor(request('SELECT * FROM t')));
+  assert.equal(cache.keyFor(request('INSERT INTO t VALUES (1)')), null);
+  assert.equal(cache.keyFor(request('SELECT CURRENT_TIMESTAMP()')), null);
+  assert.equal(cache.keyFor(request('select random() from t')), null);
+  assert.equal(cache.keyFor({ ...request('SELECT 1'), statements: [{ sql: 'SELECT 1' }, { sql: 'SELECT 2' }] }), null);
+  assert.equal(createResultCache({ enabled: false }).keyFor(request('SELECT 1')), null);
+});
+
+test('keyFor ignores formatting but not identity, binds or context', () => {
+  const cache = createResultCache({ enabled: true });
+  const key = cache.keyFor(request('SELECT * FROM t'));
+  assert.equal(cache.keyFor(request('select *\n  from t; -- again')), key);
+  assert.notEqual(cache.keyFor(request('SELECT * FROM t', 'bob')), key);
+  assert.notEqual(cache.keyFor({ ...request('SELECT * FROM t'), statements: [{ sql: 'SELECT * FROM t', binds: [1] }] }), key);
+  assert.notEqual(cache.keyFor(request('SELECT * FROM t', 'alice', { context: { database: 'OTHER' } })), key);
+});
+
+test('get returns cached results with their age until they expire', (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const cache = createResultCache({ enabled: true, ttlMs: 1000 });
+  const key = cache.keyFor(request('SELECT 1'));
+  cache.set(key, 'alice', result());
+
+  now += 400;
+  const hit = cache.get(key);
+  assert.deepEqual(hit.data, [{ A: 1 }]);
+  assert.equal(hit.metadata.cached, true);
+  assert.equal(hit.metadata.cacheAgeMs, 400);
+
+  now += 700;
+  assert.equal(cache.get(key), null);
+  assert.equal(cache.stats().entries, 0);
+});
+
+test('set skips truncated results and evicts the least recently used entry', () => {
+  const cache = createResultCache({ enabled: true, maxEntries: 2 });
+  const keys = ['SELECT 1', 'SELECT 2', 'SELECT 3'].map(sql => cache.keyFor(request(sql)));
+
+  cache.set(keys[0], 'alice', result([{ A: 1 }], true));
+  assert.equal(cache.get(keys[0]), null);
+
+  cache.set(keys[0], 'alice', result());
+  cache.set(keys[1], 'alice', result());
+  cache.get(keys[0]);
+  cache.set(keys[2], 'alice', result());
+  assert.ok(cache.get(keys[0]));
+  assert.equal(cache.get(keys[1]), null);
+  assert.ok(cache.get(keys[2]));
+});
+
+test('invalidate drops one identity or everything', () => {
+  const cache = createResultCache({ enabled: true });
+  const alice = cache.keyFor(request('SELECT 1'));
+  const bob = cache.keyFor(request('SELECT 1', 'bob'));
+  cache.set(alice, 'alice', result());
+  cache.set(bob, 'bob', result());
+
+  assert.equal(cache.invalidate('alice'), 1);
+  assert.equal(cache.get(alice), null);
+  assert.ok(cache.get(bob));
+  assert.equal(cache.invalidate(), 1);
+  assert.equal(cache.stats().bytes, 0);
+});
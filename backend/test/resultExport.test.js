@@ -0,0 +1,63 @@
+const { Readable, Writable } = require('stream');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { exportRows } = require('../lib/resultExport');
+
+const columns = [
+  { name: 'ID', type: 'fixed', scale: 0 },
+  { name: 'NOTE', type: 'text' },
+  { name: 'DATA', type: 'variant' },
+  { name: 'RATIO', type: 'real' }
+];
+const rows = [
+  { ID: '12345678901234567890', NOTE: 'a, "quoted"\nline', DATA: { k: 1 }, RATIO: '0.25' },
+  { ID: '7', NOTE: null, DATA: null, RATIO: 'NaN' }
+];
+
+// A finished statement that checks NUMBER is asked for as text, as the SDK would deliver it;
+// the SDK returns FLOAT columns as text as well
+const statement = {
+  getNumRows: () => rows.length,
+  streamRows: ({ start, end, fetchAsString }) => {
+    assert.deepEqual(fetchAsString, ['Number']);
+    return Readable.from(rows.slice(start, end + 1));
+  }
+};
+
+const collectBuffer = async (format) => {
+  const chunks = [];
+  const destination = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  await exportRows(statement, columns, format, destination);
+  return Buffer.concat(chunks);
+};
+
+const collect = async format => (await collectBuffer(format)).toString('utf8');
+
+test('CSV exports quote special characters and keep NUMBER digits', async () => {
+  assert.equal(await collect('csv'), [
+    'ID,NOTE,DATA,RATIO',
+    '12345678901234567890,"a, ""quoted""\nline","{""k"":1}",0.25',
+    '7,,,NaN',
+    ''
+  ].join('\r\n'));
+});
+
+test('NDJSON exports serialize one row per line by column type', async () => {
+  assert.equal(await collect('ndjson'),
+    '{"ID":"12345678901234567890","NOTE":"a, \\"quoted\\"\\nline","DATA":{"k":1},"RATIO":0.25}\n'
+    + '{"ID":7,"NOTE":null,"DATA":null,"RATIO":"NaN"}\n');
+});
+
+test('XLSX exports write FLOAT columns as number cells', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await collectBuffer('xlsx'));
+  const sheet = workbook.getWorksheet('Results');
+  assert.equal(sheet.getCell('D2').value, 0.25);
+  assert.equal(sheet.getCell('D3').value, 'NaN');
+});
@@ -0,0 +1,137 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyStatement, createPolicy, loadPolicy } = require('../lib/sqlPolicy');
+
+const OWNER = "owner's_rights";
+const CALLER = "caller's_rights";
+
+test('classifyStatement names the category and command', () => {
+  assert.deepEqual(classifyStatement('select 1'), { category: 'SELECT', command: 'SELECT' });
+  assert.deepEqual(classifyStatement('WITH x AS (SELECT 1) SELECT * FROM x').category, 'SELECT');
+  assert.deepEqual(classifyStatement('INSERT INTO t VALUES (1)'), { category: 'DML', command: 'INSERT' });
+  assert.deepEqual(classifyStatement('create or replace temporary table t (a int)'), { category: 'DDL', command: 'CREATE TABLE' });
+  assert.deepEqual(classifyStatement('CREATE COMPUTE POOL p'), { category: 'DDL', command: 'CREATE COMPUTE POOL' });
+  assert.deepEqual(classifyStatement('DROP TABLE IF EXISTS t'), { category: 'DDL', command: 'DROP TABLE' });
+  assert.deepEqual(classifyStatement('GRANT SELECT ON t TO ROLE r'), { category: 'DCL', command: 'GRANT SELECT' });
+  assert.deepEqual(classifyStatement('CALL proc()'), { category: 'CALL', command: 'CALL' });
+  assert.deepEqual(classifyStatement('VACUUM'), { category: 'OTHER', command: 'VACUUM' });
+});
+
+test('classifyStatement treats ALTER SESSION as a session setting', () => {
+  assert.deepEqual(classifyStatement('ALTER SESSION SET QUERY_TAG = \'x\''), { category: 'SET', command: 'ALTER SESSION' });
+});
+
+test('classifyStatement skips leading comments', () => {
+  assert.deepEqual(classifyStatement('-- note\n/* block */ DROP TABLE t'), { category: 'DDL', command: 'DROP TABLE' });
+});
+
+test('the first matching rule for the execution mode decides', () => {
+  const policy = createPolicy({
+    default: 'deny',
+    rules: [
+      { id: 'no-account', action: 'deny', commands: ['ALTER ACCOUNT'] },
+      { id: 'caller-ddl', action: 'allow', modes: ['caller'], categories: ['ddl'] },
+      { id: 'reads', action: 'allow', categories: ['SELECT', 'SHOW'] }
+    ]
+  });
+
+  assert.equal(policy.check('SELECT 1', OWNER), null);
+  assert.equal(policy.check('CREATE TABLE t (a INT)', CALLER), null);
+  assert.equal(policy.check('ALTER ACCOUNT SET X = 1', CALLER).ruleId, 'no-account');
+  assert.deepEqual(policy.check('CREATE TABLE t (a INT)', OWNER), {
+    ruleId: 'default',
+    description: 'No policy rule allows this statement',
+    category: 'DDL',
+    command: 'CREATE TABLE',
+    executionMode: OWNER
+  });
+});
+
+test('commands match whole words and patterns match the raw SQL', () => {
+  const policy = createPolicy({
+    rules: [
+      { id: 'services', action: 'deny', commands: ['CREATE SERVICE'] },
+      { id: 'secrets', action: 'deny', pattern: 'SYSTEM\\$GET_SECRET' }
+    ]
+  });
+  assert.equal(policy.check('CREATE SERVICE s IN COMPUTE POOL p', OWNER).ruleId, 'services');
+  assert.equal(policy.check('CREATE SERVICES_LOG (a INT)', OWNER), null);
+  assert.equal(policy.check('select system$get_secret(\'s\')', OWNER).ruleId, 'secrets');
+});
+
+test('checkStatements reports the first violating statement', () => {
+  const policy = createPolicy({ rules: [{ id: 'no-dml', action: 'deny', categories: ['DML'] }] });
+  const violation = policy.checkStatements([
+    { sql: 'SELECT 1', line: 1 },
+    { sql: 'DELETE FROM t', line: 3 }
+  ], OWNER);
+  assert.equal(violation.ruleId, 'no-dml');
+  assert.equal(violation.statementIndex, 1);
+  assert.equal(violation.line, 3);
+});
+
+test('createPolicy rejects invalid definitions', () => {
+  assert.throws(() => createPolicy({ default: 'maybe' }), /default must be/);
+  assert.throws(() => createPolicy({ rules: [{ action: 'block' }] }), /rule-1: action must be/);
+  assert.throws(() => createPolicy({ rules: [{ action: 'deny', modes: ['admin'] }] }), /unknown execution mode/);
+  assert.throws(() => createPolicy({ rules: [{ action: 'deny', categories: ['READ'] }] }), /unknown statement category/);
+});
+
+test('classifyStatement sees through comments between keywords', () => {
+  assert.deepEqual(classifyStatement('ALTER /* x */ ACCOUNT SET X = 1'), { category: 'DDL', command: 'ALTER ACCOUNT' });
+  assert.deepEqual(classifyStatement('CREATE -- c\nSERVICE s IN COMPUTE POOL p'), { category: 'DDL', command: 'CREATE SERVICE' });
+  assert.deepEqual(classifyStatement('CREATE OR REPLACE // c\nCOMPUTE /* c */ POOL p'), { category: 'DDL', command: 'CREATE COMPUTE POOL' });
+  assert.deepEqual(classifyStatement('ALTER/**/SESSION SET X = 1'), { category: 'SET', command: 'ALTER SESSION' });
+});
+
+test('classifyStatement ignores words inside literals and quoted identifiers', () => {
+  assert.deepEqual(classifyStatement("CREATE 'ACCOUNT' TABLE t"), { category: 'DDL', command: 'CREATE TABLE' });
+  assert.deepEqual(classifyStatement('ALTER "X" ACCOUNT'), { category: 'DDL', command: 'ALTER ACCOUNT' });
+  assert.deepEqual(classifyStatement("SELECT 'DROP TABLE t'"), { category: 'SELECT', command: 'SELECT' });
+});
+
+test('deny rules cannot be dodged with comments between keywords', () => {
+  const policy = createPolicy({
+    rules: [
+      { id: 'block-alter-account', action: 'deny', commands: ['ALTER ACCOUNT'] },
+      { id: 'block-service-management', action: 'deny', commands: ['CREATE SERVICE', 'ALTER SERVICE', 'DROP SERVICE'] }
+    ]
+  });
+  assert.equal(policy.check('ALTER /* x */ ACCOUNT SET X = 1', CALLER).ruleId, 'block-alter-account');
+  assert.equal(policy.check('CREATE -- c\nSERVICE s IN COMPUTE POOL p', CALLER).ruleId, 'block-service-management');
+  assert.equal(policy.check('DROP /* a */ /* b */ SERVICE s', CALLER).ruleId, 'block-service-management');
+});
+
+test('classifyStatement puts scripts and dynamic SQL in their own category', () => {
+  const script = command => ({ category: 'SCRIPT', command });
+  assert.deepEqual(classifyStatement("EXECUTE IMMEDIATE 'ALTER ACCOUNT SET X = 1'"), script('EXECUTE IMMEDIATE'));
+  assert.deepEqual(classifyStatement('execute immediate $$ALTER ACCOUNT SET X = 1$$'), script('EXECUTE IMMEDIATE'));
+  assert.deepEqual(classifyStatement('BEGIN\n  ALTER ACCOUNT SET X = 1;\nEND'), script('ANONYMOUS BLOCK'));
+  assert.deepEqual(classifyStatement('DECLARE n INT; BEGIN RETURN n; END'), script('ANONYMOUS BLOCK'));
+  assert.deepEqual(classifyStatement('WITH p AS PROCEDURE () RETURNS INT LANGUAGE SQL AS $$ BEGIN RETURN 1; END $$ CALL p()'), script('ANONYMOUS PROCEDURE'));
+  assert.deepEqual(classifyStatement('BEGIN'), { category: 'TRANSACTION', command: 'BEGIN' });
+  assert.deepEqual(classifyStatement('BEGIN TRANSACTION'), { category: 'TRANSACTION', command: 'BEGIN' });
+  assert.deepEqual(classifyStatement('EXECUTE TASK t'), { category: 'CALL', command: 'EXECUTE' });
+});
+
+test('the statements an EXECUTE IMMEDIATE literal runs are checked too', () => {
+  const policy = createPolicy({ rules: [{ id: 'block-alter-account', action: 'deny', commands: ['ALTER ACCOUNT'] }] });
+  assert.equal(policy.check("EXECUTE IMMEDIATE 'ALTER ACCOUNT SET X = 1'", CALLER).ruleId, 'block-alter-account');
+  assert.equal(policy.check("EXECUTE IMMEDIATE 'SELECT 1; ALTER ACCOUNT SET X = ''y'''", CALLER).command, 'ALTER ACCOUNT');
+  assert.equal(policy.check('EXECUTE IMMEDIATE $$ALTER /* x */ ACCOUNT SET X = 1$$', CALLER).ruleId, 'block-alter-account');
+  assert.equal(policy.check("EXECUTE IMMEDIATE 'SELECT 1'", CALLER), null);
+});
+
+test('the shipped policy blocks scripts, account and service management', () => {
+  const policy = loadPolicy(path.join(__dirname, '..', 'sql-policy.yml'));
+  assert.equal(policy.defaultAction, 'allow');
+  assert.equal(policy.check('CREATE TABLE t (a INT)', OWNER), null);
+  assert.equal(policy.check('INSERT INTO t VALUES (1)', OWNER), null);
+  assert.equal(policy.check('BEGIN TRANSACTION', OWNER), null);
+  assert.equal(policy.check('ALTER ACCOUNT SET X = 1', OWNER).ruleId, 'block-alter-account');
+  assert.equal(policy.check('DROP COMPUTE POOL p', CALLER).ruleId, 'block-service-management');
+  assert.equal(policy.check("EXECUTE IMMEDIATE 'ALTER ACCOUNT SET X = 1'", CALLER).ruleId, 'block-scripts');
+  assert.equal(policy.check('EXECUTE IMMEDIATE $$ALTER ACCOUNT SET X = 1$$', OWNER).ruleId, 'block-scripts');
+  assert.equal(policy.check('BEGIN\n  ALTER ACCOUNT SET X = 1;\nEND', CALLER).ruleId, 'block-scripts');
+});
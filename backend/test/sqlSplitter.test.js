@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitStatements, findPlaceholders, normalizeSql, changesSessionState } = require('../lib/sqlSplitter');
+
+test('splitStatements splits on top-level semicolons only', () => {
+  const statements = splitStatements([
+    "SELECT 'a;b' AS x;",
+    '-- a comment; with a semicolon',
+    'SELECT "odd;name" FROM t; /* ; */',
+    'CREATE FUNCTION f() RETURNS INT AS $$ 1; $$;'
+  ].join('\n'));
+
+  assert.deepEqual(statements.map(({ sql }) => sql), [
+    "SELECT 'a;b' AS x",
+    '-- a comment; with a semicolon\nSELECT "odd;name" FROM t',
+    '/* ; */\nCREATE FUNCTION f() RETURNS INT AS $$ 1; $$'
+  ]);
+});
+
+test('splitStatements reports the line the code starts on and its offset', () => {
+  const text = 'SELECT 1;\n\n-- next\nSELECT 2';
+  const [first, second] = splitStatements(text);
+  assert.equal(first.line, 1);
+  assert.equal(second.line, 4);
+  assert.equal(text.substring(second.offset, second.offset + second.sql.length), second.sql);
+});
+
+test('splitStatements drops empty and comment-only statements', () => {
+  assert.deepEqual(splitStatements(';; -- nothing\n;'), []);
+  assert.equal(splitStatements('SELECT 1').length, 1);
+});
+
+test('splitStatements honours doubled quotes and backslash escapes', () => {
+  const statements = splitStatements("SELECT 'it''s; here', 'back\\'slash;'; SELECT 2");
+  assert.equal(statements.length, 2);
+});
+
+test('splitStatements keeps Snowflake Scripting blocks whole', () => {
+  const block = [
+    'DECLARE n INT DEFAULT 0;',
+    'BEGIN',
+    '  FOR i IN 1 TO 3 DO n := n + i; END FOR;',
+    '  IF (n > 5) THEN ALTER ACCOUNT SET X = 1; END IF;',
+    '  CASE (n) WHEN 6 THEN RETURN CASE WHEN n > 0 THEN 1 END; END CASE;',
+    '  BEGIN RETURN n; END;',
+    'END'
+  ].join('\n');
+  assert.deepEqual(splitStatements(`SELECT 1; ${block}; SELECT end_date FROM t`).map(({ sql }) => sql),
+    ['SELECT 1', block, 'SELECT end_date FROM t']);
+  assert.equal(splitStatements('BEGIN; INSERT INTO t VALUES (1); COMMIT').length, 3);
+  assert.equal(splitStatements('BEGIN TRANSACTION; SELECT 1').length, 2);
+});
+
+test('findPlaceholders finds ? and :name outside literals and comments', () => {
+  const sql = "SELECT ? , :name, ':skip', \"?\" -- ?\n FROM t /* :no */ WHERE a = :name";
+  const found = findPlaceholders(sql).map(({ name, index, length }) => [name, sql.substr(index, length)]);
+  assert.deepEqual(found, [[null, '?'], ['name', ':name'], ['name', ':name']]);
+});
+
+test('findPlaceholders ignores casts and semi-structured paths', () => {
+  assert.deepEqual(findPlaceholders('SELECT v:field::string, v["a"]:b, arr[0]:c FROM t'), []);
+});
+
+test('normalizeSql ignores comments, whitespace, case and the trailing semicolon', () => {
+  const a = normalizeSql('select *\n  from   t -- trailing\nwhere x = \'Ab\';');
+  const b = normalizeSql('SELECT * /* c */ FROM t WHERE x = \'Ab\'');
+  assert.equal(a, b);
+  assert.notEqual(normalizeSql("SELECT 'ab'"), normalizeSql("SELECT 'AB'"));
+});
+
+test('changesSessionState detects statements that leave session state behind', () => {
+  assert.equal(changesSessionState('USE WAREHOUSE wh'), true);
+  assert.equal(changesSessionState('-- c\nalter session set timezone = \'UTC\''), true);
+  assert.equal(changesSessionState('SELECT 1'), false);
+});
+
+test('normalizeSql can mask literals so only keywords and names remain', () => {
+  assert.equal(normalizeSql("select 'a b', \"Quoted\", $$ body $$ from t -- c", { maskLiterals: true }), 'SELECT , , FROM T');
+  assert.equal(changesSessionState('ALTER /* c */ SESSION SET X = 1'), true);
+  assert.equal(changesSessionState("SELECT 'USE x'"), false);
+});
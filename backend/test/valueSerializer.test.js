@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { serializeValue, serializeRow, formatText, significantDigits } = require('../lib/valueSerializer');
+
+test('NUMBER values stay numbers only while a double holds them exactly', () => {
+  assert.equal(serializeValue('42', { type: 'fixed' }), 42);
+  assert.equal(serializeValue('-0.125', { type: 'fixed' }), -0.125);
+  assert.equal(serializeValue('12345678901234567890', { type: 'fixed' }), '12345678901234567890');
+  assert.equal(serializeValue('0.1234567890123456789', { type: 'fixed' }), '0.1234567890123456789');
+  assert.equal(significantDigits('-000123.4500'), 7);
+});
+
+test('FLOAT values fetched as text become numbers unless JSON cannot hold them', () => {
+  assert.equal(serializeValue('1.5', { type: 'real' }), 1.5);
+  assert.equal(serializeValue('99333.33333333333', { type: 'real' }), 99333.33333333333);
+  assert.equal(serializeValue('-2.5e-7', { type: 'real' }), -2.5e-7);
+  assert.equal(serializeValue('NaN', { type: 'real' }), 'NaN');
+  assert.equal(serializeValue('inf', { type: 'real' }), 'inf');
+  assert.equal(serializeValue('-inf', { type: 'real' }), '-inf');
+  assert.equal(formatText('1.5', { type: 'real' }), '1.5');
+});
+
+test('dates and timestamps become ISO strings', () => {
+  const value = new Date('2024-01-31T13:45:06.789Z');
+  assert.equal(serializeValue(value, { type: 'date' }), '2024-01-31');
+  assert.equal(serializeValue(value, { type: 'timestamp_ntz' }), '2024-01-31T13:45:06.789');
+  assert.equal(serializeValue(value, { type: 'timestamp_ltz' }), '2024-01-31T13:45:06.789Z');
+});
+
+test('TIMESTAMP_TZ values keep their own offset', () => {
+  const value = Object.assign(new Date('2024-01-31T13:45:06Z'), { getTimezone: () => 90, getScale: () => 0 });
+  assert.equal(serializeValue(value, { type: 'timestamp_tz' }), '2024-01-31T15:15:06+01:30');
+});
+
+test('binary values become upper-case hex and NULLs stay null', () => {
+  assert.equal(serializeValue(Buffer.from([0xab, 0x01]), { type: 'binary' }), 'AB01');
+  assert.equal(serializeValue(null, { type: 'fixed' }), null);
+  assert.equal(serializeValue(undefined, { type: 'text' }), null);
+});
+
+test('formatText renders values for delimited exports', () => {
+  assert.equal(formatText('12345678901234567890', { type: 'fixed' }), '12345678901234567890');
+  assert.equal(formatText({ a: [1, 2] }, { type: 'object' }), '{"a":[1,2]}');
+  assert.equal(formatText(null, { type: 'text' }), '');
+});
+
+test('serializeRow converts every column', () => {
+  const columns = [{ name: 'N', type: 'fixed' }, { name: 'S', type: 'text' }];
+  assert.deepEqual(serializeRow({ N: '7', S: 'x' }, columns), { N: 7, S: 'x' });
+});
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Bare identifiers are left alone; anything else is double-quoted
+const sqlName = name => (/^[A-Z_][A-Z0-9_$]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`);
+
+const catalogUrl = (...parts) => `/api/catalog/${parts.map(encodeURIComponent).join('/')}`;
+
+const ColumnTooltip = ({ node }) => {
+  if (!node || node.loading) {
+    return <div className="catalog-tooltip">Loading columns...</div>;
+  }
+  if (node.error) {
+    return <div className="catalog-tooltip catalog-error">{node.error}</div>;
+  }
+  return (
+    <div className="catalog-tooltip">
+      <table>
+        <tbody>
+          {node.items.map(column => (
+            <tr key={column.name}>
+              <td>{column.name}</td>
+              <td className="catalog-type">{column.type}</td>
+              <td>{column.comment}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Collapsible tree of databases, schemas, tables/views, columns and functions
+// visible to the current execution mode
+const CatalogSidebar = ({ useCallersRights, onInsert }) => {
+  const [nodes, setNodes] = useState({});
+  const [expanded, setExpanded] = useState({});
+  const [hovered, setHovered] = useState(null);
+  const [collapsed, setCollapsed] = useState(false);
+
+  const loadNode = useCallback(async (key, url, params = {}) => {
+    setNodes(prev => ({ ...prev, [key]: { loading: true } }));
+    try {
+      const response = await axios.get(url, { params: { ...params, useCallersRights } });
+      setNodes(prev => ({ ...prev, [key]: { items: response.data.items } }));
+    } catch (err) {
+      console.error('Catalog error:', err);
+      setNodes(prev => ({ ...prev, [key]: { error: err.response?.data?.error || 'Failed to load' } }));
+    }
+  }, [useCallersRights]);
+
+  const reset = useCallback(() => {
+    setNodes({});
+    setExpanded({});
+    loadNode('databases', catalogUrl('databases'));
+  }, [loadNode]);
+
+  // Reload the tree whenever the execution mode changes
+  useEffect(() => {
+    reset();
+  }, [reset]);
+
+  const refresh = async () => {
+    try {
+      await axios.post('/api/catalog/refresh', { useCallersRights });
+    } catch (err) {
+      console.error('Catalog refresh error:', err);
+    }
+    reset();
+  };
+
+  const ensureLoaded = (key, url, params) => {
+    if (!nodes[key] || nodes[key].error) {
+      loadNode(key, url, params);
+    }
+  };
+
+  const toggle = (key, url, params) => {
+    const open = !expanded[key];
+    setExpanded(prev => ({ ...prev, [key]: open }));
+    if (open && url) {
+      ensureLoaded(key, url, params);
+    }
+  };
+
+  const renderChildren = (key, renderItem) => {
+    const node = nodes[key];
+    if (!node || node.loading) {
+      return <li className="catalog-muted">Loading...</li>;
+    }
+    if (node.error) {
+      return <li className="catalog-error">{node.error}</li>;
+    }
+    if (node.items.length === 0) {
+      return <li className="catalog-muted">(empty)</li>;
+    }
+    return node.items.map(renderItem);
+  };
+
+  const renderObject = (database, schema) => (object) => {
+    const key = `columns:${database}.${schema}.${object.name}`;
+    const url = catalogUrl('databases', database, 'schemas', schema, 'objects', object.name, 'columns');
+    const params = { kind: object.kind };
+    const fullName = [database, schema, object.name].map(sqlName).join('.');
+
+    return (
+      <li key={object.name}>
+        <div
+          className="catalog-node"
+          onMouseEnter={() => {
+            setHovered(key);
+            ensureLoaded(key, url, params);
+          }}
+          onMouseLeave={() => setHovered(null)}
+        >
+          <button className="catalog-toggle" onClick={() => toggle(key, url, params)}>
+            {expanded[key] ? '▾' : '▸'}
+          </button>
+          <span
+            className="catalog-label catalog-insertable"
+            onClick={() => onInsert(`SELECT * FROM ${fullName} LIMIT 100;`)}
+          >
+            {object.kind === 'VIEW' ? '👁️' : '📋'} {object.name}
+          </span>
+          {hovered === key && <ColumnTooltip node={nodes[key]} />}
+        </div>
+        {expanded[key] && (
+          <ul>
+            {renderChildren(key, column => (
+              <li key={column.name} className="catalog-leaf" title={column.comment || ''}>
+                <span className="catalog-insertable" onClick={() => onInsert(sqlName(column.name))}>
+                  {column.name}
+                </span>
+                <span className="catalog-type">{column.type}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const renderFunction = (database, schema) => fn => (
+    <li key={`${fn.name}${fn.arguments}`} className="catalog-leaf" title={fn.comment || fn.arguments}>
+      <span
+        className="catalog-insertable"
+        onClick={() => onInsert(`SELECT ${[database, schema, fn.name].map(sqlName).join('.')}();`)}
+      >
+        ƒ {fn.name}
+      </span>
+    </li>
+  );
+
+  const renderSchema = database => (schema) => {
+    const key = `schema:${database}.${schema.name}`;
+    const objectsKey = `objects:${database}.${schema.name}`;
+    const functionsKey = `functions:${database}.${schema.name}`;
+    const schemaUrl = catalogUrl('databases', database, 'schemas', schema.name);
+
+    return (
+      <li key={schema.name}>
+        <div className="catalog-node" title={schema.comment || ''}>
+          <button className="catalog-toggle" onClick={() => toggle(key)}>
+            {expanded[key] ? '▾' : '▸'}
+          </button>
+          <span className="catalog-label" onClick={() => toggle(key)}>🗂️ {schema.name}</span>
+        </div>
+        {expanded[key] && (
+          <ul>
+            <li>
+              <div className="catalog-node">
+                <button className="catalog-toggle" onClick={() => toggle(objectsKey, `${schemaUrl}/objects`)}>
+                  {expanded[objectsKey] ? '▾' : '▸'}
+                </button>
+                <span className="catalog-label" onClick={() => toggle(objectsKey, `${schemaUrl}/objects`)}>
+                  Tables & Views
+                </span>
+              </div>
+              {expanded[objectsKey] && <ul>{renderChildren(objectsKey, renderObject(database, schema.name))}</ul>}
+            </li>
+            <li>
+              <div className="catalog-node">
+                <button className="catalog-toggle" onClick={() => toggle(functionsKey, `${schemaUrl}/functions`)}>
+                  {expanded[functionsKey] ? '▾' : '▸'}
+                </button>
+                <span className="catalog-label" onClick={() => toggle(functionsKey, `${schemaUrl}/functions`)}>
+                  Functions
+                </span>
+              </div>
+              {expanded[functionsKey] && <ul>{renderChildren(functionsKey, renderFunction(database, schema.name))}</ul>}
+            </li>
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const renderDatabase = (database) => {
+    const key = `schemas:${database.name}`;
+    const url = catalogUrl('databases', database.name, 'schemas');
+    return (
+      <li key={database.name}>
+        <div className="catalog-node" title={database.comment || ''}>
+          <button className="catalog-toggle" onClick={() => toggle(key, url)}>
+            {expanded[key] ? '▾' : '▸'}
+          </button>
+          <span className="catalog-label" onClick={() => toggle(key, url)}>🗄️ {database.name}</span>
+        </div>
+        {expanded[key] && <ul>{renderChildren(key, renderSchema(database.name))}</ul>}
+      </li>
+    );
+  };
+
+  if (collapsed) {
+    return (
+      <div className="catalog-sidebar collapsed">
+        <button className="catalog-collapse" onClick={() => setCollapsed(false)} title="Show schema explorer">»</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="catalog-sidebar">
+      <div className="catalog-header">
+        <strong>Schema Explorer</strong>
+        <div>
+          <button className="catalog-collapse" onClick={refresh} title="Refresh">⟳</button>
+          <button className="catalog-collapse" onClick={() => setCollapsed(true)} title="Hide schema explorer">«</button>
+        </div>
+      </div>
+      <div className="catalog-mode">{useCallersRights ? "Caller's Rights" : "Owner's Rights"}</div>
+      <ul className="catalog-tree">
+        {renderChildren('databases', renderDatabase)}
+      </ul>
+    </div>
+  );
+};
+
+export default CatalogSidebar;
@@ -0,0 +1,80 @@
+import React from 'react';
+import ResultTable from './ResultTable';
+import PolicyViolation from './PolicyViolation';
+import ErrorGuidance from './ErrorGuidance';
+
+const SIDES = [
+  { key: 'owner', label: "Owner's Rights" },
+  { key: 'caller', label: "Caller's Rights" }
+];
+
+const ComparisonSide = ({ label, side, missingColumns }) => (
+  <div className={`compare-side ${side.error ? 'failed' : 'succeeded'}`}>
+    <h3>{label}</h3>
+    <div className="compare-context">
+      <div><strong>User:</strong> {side.context ? side.context.user : 'unknown'}</div>
+      <div><strong>Role:</strong> {side.context ? side.context.role : 'unknown'}</div>
+    </div>
+
+    {side.error ? (
+      <div className="error">
+        {side.privilegeError && <div className="compare-badge">🔒 Privilege error</div>}
+        <strong>Error:</strong> {side.error.error}
+        {side.error.policyViolation && <PolicyViolation violation={side.error.policyViolation} />}
+        <ErrorGuidance details={side.error} />
+      </div>
+    ) : (
+      <>
+        {missingColumns.length > 0 && (
+          <div className="compare-warning">
+            Columns not returned on the other side: {missingColumns.join(', ')}
+          </div>
+        )}
+        <ResultTable result={side.result} />
+      </>
+    )}
+  </div>
+);
+
+// Owner's vs caller's rights results of the same query, with their differences highlighted
+const CompareResults = ({ comparison }) => {
+  const { differences } = comparison;
+  const summary = [];
+
+  if (differences.failedSides.length === 2) {
+    summary.push('The query failed under both execution modes.');
+  } else if (differences.failedSides.length === 1) {
+    const failed = SIDES.find(side => side.key === differences.failedSides[0]).label;
+    summary.push(`The query failed only under ${failed}${differences.privilegeErrorSides.length ? ' with a privilege error' : ''}.`);
+  }
+  if (differences.rowCountDifference) {
+    summary.push(`Row counts differ: owner's rights returned ${differences.rowCounts.owner}, caller's rights returned ${differences.rowCounts.caller}.`);
+  }
+  if (differences.columnsOnlyInOwner.length || differences.columnsOnlyInCaller.length) {
+    summary.push('The two modes returned different columns.');
+  }
+
+  return (
+    <div>
+      <div className={summary.length ? 'compare-summary differs' : 'compare-summary'}>
+        <strong>Comparison:</strong>{' '}
+        {summary.length ? summary.join(' ') : 'Both execution modes returned the same row count and columns.'}
+        {differences.sameUser && differences.sameRole && (
+          <div>Note: both sides ran as the same user and role.</div>
+        )}
+      </div>
+      <div className="compare-grid">
+        {SIDES.map(({ key, label }) => (
+          <ComparisonSide
+            key={key}
+            label={label}
+            side={comparison[key]}
+            missingColumns={key === 'owner' ? differences.columnsOnlyInOwner : differences.columnsOnlyInCaller}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CompareResults;
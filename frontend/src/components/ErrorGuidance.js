@@ -0,0 +1,41 @@
+import React from 'react';
+
+const CATEGORY_LABELS = {
+  syntax: 'Syntax error',
+  object_not_found: 'Object not found',
+  insufficient_privilege: 'Insufficient privileges',
+  warehouse_suspended: 'Warehouse unavailable',
+  timeout: 'Timed out',
+  auth: 'Authentication failed',
+  network: 'Network error',
+  cancelled: 'Cancelled',
+  rate_limit: 'Rate limited',
+  policy: 'Blocked by policy'
+};
+
+// What kind of failure an error response is and what to do about it, from the backend's
+// category, stable error code, hint, retryable flag and source location
+const ErrorGuidance = ({ details }) => {
+  if (!details || !details.category || details.category === 'unknown') {
+    return null;
+  }
+  const { category, errorCode, hint, retryable, retryAfterSeconds, location } = details;
+
+  return (
+    <div className={`error-guidance ${category}`}>
+      <div>
+        <span className="error-category">{CATEGORY_LABELS[category] || category}</span>
+        {errorCode && <code className="error-code">{errorCode}</code>}
+        {location && <span className="error-location">line {location.line}, position {location.position}</span>}
+      </div>
+      {hint && <div className="error-hint">{hint}</div>}
+      {retryable && (
+        <div className="error-retry">
+          {retryAfterSeconds ? `Retrying after ${retryAfterSeconds}s should work.` : 'Running the query again may succeed.'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ErrorGuidance;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const modeLabel = mode => (mode === "caller's_rights" ? "Caller's" : "Owner's");
+
+const firstLine = query => query.split('\n').find(line => line.trim() && !line.trim().startsWith('--')) || query;
+
+// Execution history and saved queries of the current ingress user
+const HistoryPanel = ({ refreshKey, currentQuery, useCallersRights, onLoad, onRun }) => {
+  const [view, setView] = useState('history');
+  const [search, setSearch] = useState('');
+  const [starredOnly, setStarredOnly] = useState(false);
+  const [allUsers, setAllUsers] = useState(false);
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [error, setError] = useState(null);
+  const [saveName, setSaveName] = useState('');
+  const [saveTags, setSaveTags] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const response = view === 'history'
+        ? await axios.get('/api/history', {
+          params: { search, starred: starredOnly, allUsers, limit: 50 }
+        })
+        : await axios.get('/api/saved-queries', { params: { search, limit: 50 } });
+      setItems(response.data.items);
+      setTotal(response.data.total);
+      setError(null);
+    } catch (err) {
+      console.error('History error:', err);
+      setError(err.response?.data?.error || 'Failed to load history');
+    }
+  }, [view, search, starredOnly, allUsers]);
+
+  // Entries of the other view have a different shape
+  useEffect(() => {
+    setItems([]);
+  }, [view]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  // The cross-user view only exists in owner's rights
+  useEffect(() => {
+    if (useCallersRights) {
+      setAllUsers(false);
+    }
+  }, [useCallersRights]);
+
+  const toggleStar = async (entry) => {
+    try {
+      await axios.patch(`/api/history/${entry.id}`, { starred: !entry.starred });
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update entry');
+    }
+  };
+
+  const remove = async (entry) => {
+    try {
+      await axios.delete(view === 'history' ? `/api/history/${entry.id}` : `/api/saved-queries/${entry.id}`);
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete entry');
+    }
+  };
+
+  const saveCurrent = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post('/api/saved-queries', {
+        name: saveName,
+        query: currentQuery,
+        tags: saveTags.split(','),
+        executionMode: useCallersRights ? "caller's_rights" : "owner's_rights"
+      });
+      setSaveName('');
+      setSaveTags('');
+      setView('saved');
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save query');
+    }
+  };
+
+  const renderHistoryEntry = entry => (
+    <li key={entry.id} className={`history-entry ${entry.status}`}>
+      <div className="history-query" title={entry.query}>{firstLine(entry.query)}</div>
+      <div className="history-meta">
+        {allUsers && <span>{entry.user || '(no ingress user)'}</span>}
+        <span>{modeLabel(entry.executionMode)}</span>
+        <span>{entry.status}</span>
+        <span>{entry.durationMs}ms</span>
+        {entry.rowCount !== null && <span>{entry.rowCount} rows</span>}
+        <span>{new Date(entry.executedAt).toLocaleString()}</span>
+      </div>
+      {entry.error && <div className="history-error">{entry.error}</div>}
+      {!allUsers && (
+        <div className="history-actions">
+          <button className="button button-small" onClick={() => toggleStar(entry)} title={entry.starred ? 'Unstar' : 'Star'}>
+            {entry.starred ? '★' : '☆'}
+          </button>
+          <button className="button button-small" onClick={() => onLoad(entry.query, entry.binds)}>Load</button>
+          <button className="button button-small" onClick={() => onRun(entry.query, entry.executionMode, entry.binds)}>Re-run</button>
+          <button className="button button-small" onClick={() => remove(entry)}>Delete</button>
+        </div>
+      )}
+    </li>
+  );
+
+  const renderSavedEntry = entry => (
+    <li key={entry.id} className="history-entry">
+      <div className="history-query"><strong>{entry.name}</strong></div>
+      <div className="history-meta">
+        {entry.tags.map(tag => <span key={tag} className="history-tag">{tag}</span>)}
+        {entry.executionMode && <span>{modeLabel(entry.executionMode)}</span>}
+      </div>
+      <div className="history-query" title={entry.query}>{firstLine(entry.query)}</div>
+      <div className="history-actions">
+        <button className="button button-small" onClick={() => onLoad(entry.query)}>Load</button>
+        <button className="button button-small" onClick={() => onRun(entry.query, entry.executionMode)}>Run</button>
+        <button className="button button-small" onClick={() => remove(entry)}>Delete</button>
+      </div>
+    </li>
+  );
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <div className="history-tabs">
+          <button className={view === 'history' ? 'active' : ''} onClick={() => setView('history')}>History</button>
+          <button className={view === 'saved' ? 'active' : ''} onClick={() => setView('saved')}>Saved Queries</button>
+        </div>
+        <input
+          type="search"
+          className="history-search"
+          placeholder={view === 'history' ? 'Search history...' : 'Search names, tags and SQL...'}
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+        />
+        {view === 'history' && (
+          <>
+            <label className="checkbox-label">
+              <input type="checkbox" checked={starredOnly} onChange={e => setStarredOnly(e.target.checked)} />
+              Starred only
+            </label>
+            <label className="checkbox-label" title="Admins only">
+              <input type="checkbox" checked={allUsers} onChange={e => setAllUsers(e.target.checked)} />
+              All users
+            </label>
+          </>
+        )}
+      </div>
+
+      {view === 'saved' && (
+        <form className="history-save" onSubmit={saveCurrent}>
+          <input placeholder="Name" value={saveName} onChange={e => setSaveName(e.target.value)} required />
+          <input placeholder="Tags (comma separated)" value={saveTags} onChange={e => setSaveTags(e.target.value)} />
+          <button className="button button-small" type="submit" disabled={!currentQuery.trim()}>Save current query</button>
+        </form>
+      )}
+
+      {error && <div className="catalog-error">{error}</div>}
+
+      <ul className="history-list">
+        {items.length === 0 && <li className="catalog-muted">Nothing here yet</li>}
+        {items.map(view === 'history' ? renderHistoryEntry : renderSavedEntry)}
+      </ul>
+      {total > items.length && <div className="catalog-muted">Showing {items.length} of {total}</div>}
+    </div>
+  );
+};
+
+export default HistoryPanel;
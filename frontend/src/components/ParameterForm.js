@@ -0,0 +1,187 @@
+import React from 'react';
+
+export const BIND_TYPES = ['TEXT', 'NUMBER', 'BOOLEAN', 'DATE', 'TIMESTAMP_NTZ', 'TIMESTAMP_LTZ', 'TIMESTAMP_TZ'];
+
+const skipUntil = (text, i, terminator) => {
+  const end = text.indexOf(terminator, i);
+  return end === -1 ? text.length : end + terminator.length;
+};
+
+const skipQuoted = (text, i, quote) => {
+  let pos = i + 1;
+  while (pos < text.length) {
+    if (text[pos] === '\\' && quote === "'") {
+      pos += 2;
+    } else if (text[pos] === quote) {
+      if (text[pos + 1] !== quote) {
+        return pos + 1;
+      }
+      pos += 2;
+    } else {
+      pos++;
+    }
+  }
+  return text.length;
+};
+
+// Placeholders the backend binds: ? and :name outside literals and comments,
+// excluding :: casts and semi-structured paths like src:field
+export const findParameters = (text) => {
+  let positional = 0;
+  const named = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    const prev = i > 0 ? text[i - 1] : '';
+
+    if ((ch === '-' && next === '-') || (ch === '/' && next === '/')) {
+      i = skipUntil(text, i, '\n');
+    } else if (ch === '/' && next === '*') {
+      i = skipUntil(text, i + 2, '*/');
+    } else if (ch === '$' && next === '$' && !/[A-Za-z0-9_$]/.test(prev)) {
+      i = skipUntil(text, i + 2, '$$');
+    } else if (ch === "'" || ch === '"') {
+      i = skipQuoted(text, i, ch);
+    } else if (ch === '?') {
+      positional++;
+      i++;
+    } else if (ch === ':' && next === ':') {
+      i += 2;
+    } else if (ch === ':' && /[A-Za-z_]/.test(next || '') && !/[A-Za-z0-9_$\]")]/.test(prev)) {
+      const name = text.substring(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      if (!named.includes(name)) {
+        named.push(name);
+      }
+      i += name.length + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return positional
+    ? Array.from({ length: positional }, (_, index) => ({ key: String(index + 1), label: `?${index + 1}` }))
+    : named.map(name => ({ key: name, label: `:${name}`, name }));
+};
+
+// First guess at a parameter's type from its name
+export const guessType = (name) => {
+  if (!name) {
+    return 'TEXT';
+  }
+  if (/date$/i.test(name)) {
+    return 'DATE';
+  }
+  if (/(_at|time|timestamp)$/i.test(name)) {
+    return 'TIMESTAMP_NTZ';
+  }
+  if (/^(is|has)_/i.test(name)) {
+    return 'BOOLEAN';
+  }
+  return 'TEXT';
+};
+
+// Request binds for the detected parameters: an array for ?, an object for :name
+export const buildBinds = (parameters, values) => {
+  if (parameters.length === 0) {
+    return undefined;
+  }
+  const bindFor = (parameter) => {
+    const entry = values[parameter.key] || { type: guessType(parameter.name), value: '' };
+    return { type: entry.type, value: entry.isNull ? null : entry.value };
+  };
+  if (!parameters[0].name) {
+    return parameters.map(bindFor);
+  }
+  return Object.fromEntries(parameters.map(parameter => [parameter.name, bindFor(parameter)]));
+};
+
+// Form values for binds recorded in history
+export const valuesFromBinds = (binds) => {
+  if (!binds) {
+    return {};
+  }
+  const entries = Array.isArray(binds)
+    ? binds.map((bind, index) => [String(index + 1), bind])
+    : Object.entries(binds);
+  return Object.fromEntries(entries.map(([key, bind]) => {
+    const typed = bind !== null && typeof bind === 'object';
+    const value = typed ? bind.value : bind;
+    return [key, {
+      type: typed && bind.type ? bind.type.toUpperCase() : (typeof value === 'number' ? 'NUMBER' : 'TEXT'),
+      value: value === null ? '' : String(value),
+      isNull: value === null
+    }];
+  }));
+};
+
+const ValueInput = ({ entry, onChange }) => {
+  const common = {
+    value: entry.value,
+    disabled: entry.isNull,
+    onChange: e => onChange({ ...entry, value: e.target.value })
+  };
+
+  switch (entry.type) {
+    case 'BOOLEAN':
+      return (
+        <select {...common}>
+          <option value="">choose...</option>
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </select>
+      );
+    case 'NUMBER':
+      return <input {...common} type="text" inputMode="decimal" placeholder="123.45" />;
+    case 'DATE':
+      return <input {...common} type="date" />;
+    case 'TIMESTAMP_NTZ':
+      return <input {...common} type="datetime-local" step="1" />;
+    case 'TIMESTAMP_LTZ':
+    case 'TIMESTAMP_TZ':
+      return <input {...common} type="text" placeholder="2024-01-31T13:45:00+01:00" />;
+    default:
+      return <input {...common} type="text" />;
+  }
+};
+
+// Typed inputs for the bind placeholders found in the editor
+const ParameterForm = ({ parameters, values, onChange }) => {
+  if (parameters.length === 0) {
+    return null;
+  }
+
+  const update = (key, entry) => onChange({ ...values, [key]: entry });
+
+  return (
+    <div className="parameter-form">
+      <strong>Parameters</strong>
+      {parameters.map((parameter) => {
+        const entry = values[parameter.key] || { type: guessType(parameter.name), value: '', isNull: false };
+        return (
+          <div key={parameter.key} className="parameter-row">
+            <code>{parameter.label}</code>
+            <select
+              value={entry.type}
+              onChange={e => update(parameter.key, { ...entry, type: e.target.value, value: '' })}
+            >
+              {BIND_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+            <ValueInput entry={entry} onChange={next => update(parameter.key, next)} />
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!!entry.isNull}
+                onChange={e => update(parameter.key, { ...entry, isNull: e.target.checked })}
+              />
+              NULL
+            </label>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ParameterForm;
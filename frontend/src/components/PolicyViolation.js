@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Explains which policy rule blocked a statement
+const PolicyViolation = ({ violation }) => (
+  <div className="policy-violation">
+    <div>
+      <strong>Blocked by rule:</strong> <code>{violation.ruleId}</code>
+    </div>
+    {violation.description && <div>{violation.description}</div>}
+    <div className="policy-details">
+      {violation.command} ({violation.category}) is not allowed under{' '}
+      {violation.executionMode === "caller's_rights" ? "caller's rights" : "owner's rights"}
+      {violation.line !== undefined && ` — statement ${violation.statementIndex + 1} on line ${violation.line}`}
+    </div>
+  </div>
+);
+
+export default PolicyViolation;
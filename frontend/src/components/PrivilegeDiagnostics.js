@@ -0,0 +1,67 @@
+import React from 'react';
+
+const IDENTITY_LABELS = {
+  caller: 'Caller',
+  owner: 'Service owner',
+  caller_grants: 'Caller grants'
+};
+
+const CheckList = ({ checks }) => (
+  <ul className="privilege-checks">
+    {checks.map(check => (
+      <li key={`${check.type}:${check.object}:${check.privilege}`} className={check.granted ? 'granted' : 'missing'}>
+        {check.granted ? '✓' : '✗'} {check.privilege} on {check.type.toLowerCase()} <code>{check.object}</code>
+        {check.via && <span className="privilege-via"> via {check.via}</span>}
+      </li>
+    ))}
+  </ul>
+);
+
+// Which privilege, on which object, each identity behind a failed query is missing, with the
+// GRANT that would fix it. Under caller's rights a privilege has to be held by both the caller
+// and (as a caller grant) the service owner
+const PrivilegeDiagnostics = ({ diagnosis }) => (
+  <div className="privilege-diagnostics">
+    {diagnosis.findings.length === 0 ? (
+      <div>
+        No missing privileges found for {diagnosis.objects.length === 1 ? '1 object' : `${diagnosis.objects.length} objects`}.
+        The object may not exist, or may be named differently than the query expects.
+      </div>
+    ) : (
+      <ul className="privilege-findings">
+        {diagnosis.findings.map(finding => (
+          <li key={`${finding.identity}:${finding.object}:${finding.privilege}`}>
+            <span className={`privilege-identity ${finding.identity}`}>{IDENTITY_LABELS[finding.identity] || finding.identity}</span>
+            {finding.message}
+            {finding.fix && <pre className="privilege-fix">{finding.fix}</pre>}
+          </li>
+        ))}
+      </ul>
+    )}
+
+    <details>
+      <summary>Checked grants</summary>
+      {diagnosis.identities.map(identity => (
+        <div key={identity.identity} className="privilege-identity-checks">
+          <strong>{IDENTITY_LABELS[identity.identity] || identity.identity}</strong>
+          {identity.user && <span> {identity.user}</span>}
+          {identity.role && <span> (role {identity.role}{identity.roles?.length > 1 ? `, ${identity.roles.length} roles in all` : ''})</span>}
+          {identity.errors?.map(({ role, error }) => (
+            <div key={role} className="policy-details">Could not read the grants of {role}: {error}</div>
+          ))}
+          <CheckList checks={identity.checks} />
+        </div>
+      ))}
+      {diagnosis.callerGrants && (
+        <div className="privilege-identity-checks">
+          <strong>Caller grants</strong> of role {diagnosis.callerGrants.role}
+          {diagnosis.callerGrants.error
+            ? <div className="policy-details">{diagnosis.callerGrants.error}</div>
+            : <CheckList checks={diagnosis.callerGrants.checks} />}
+        </div>
+      )}
+    </details>
+  </div>
+);
+
+export default PrivilegeDiagnostics;
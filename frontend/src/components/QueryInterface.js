@@ -1,236 +1,169 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
+import CatalogSidebar from './CatalogSidebar';
+import HistoryPanel from './HistoryPanel';
+import QueryTab from './QueryTab';
+import WorkspaceTabs, { createTab, nextTabName, loadWorkspace, saveWorkspace } from './WorkspaceTabs';
 
+// Tabbed workspace: each tab is a QueryTab; the schema explorer and history act on the active one
 const QueryInterface = () => {
-  const [query, setQuery] = useState('-- Try these example queries:\n-- SELECT CURRENT_USER(), CURRENT_ROLE(), CURRENT_DATABASE(), CURRENT_SCHEMA();\n-- SELECT * FROM SAMPLE_DATA LIMIT 10;\n-- SELECT * FROM EMPLOYEE_SUMMARY;\n\nselect current_database(), current_schema(), current_warehouse();');
-  const [results, setResults] = useState(null);
-  const [error, setError] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [useCallersRights, setUseCallersRights] = useState(false);
-  const [executionTime, setExecutionTime] = useState(null);
-  const [backendStatus, setBackendStatus] = useState('checking'); // 'connected', 'disconnected', 'checking'
-
-  // Check backend connection
-  const checkBackendConnection = async () => {
+  const [workspace, setWorkspace] = useState(loadWorkspace);
+  const [running, setRunning] = useState([]);
+  const [backendStatus, setBackendStatus] = useState('checking'); // 'connected', 'auth_failed', 'disconnected', 'checking'
+  const [authError, setAuthError] = useState(null);
+  const [emulated, setEmulated] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const tabRefs = useRef({});
+
+  const { tabs, activeId } = workspace;
+  const activeTab = tabs.find(tab => tab.id === activeId) || tabs[0];
+
+  // Check backend connection. A backend that is up but cannot authenticate to Snowflake
+  // (or has no authentication configured) fails every query, so it is not shown as connected
+  const checkBackendConnection = useCallback(async () => {
     try {
       const response = await axios.get('/api/health', { timeout: 5000 });
-      setBackendStatus('connected');
+      const auth = response.data.auth || {};
+      const authFailed = auth.selfCheck === 'failed' || auth.selfCheck === 'skipped';
+      setBackendStatus(authFailed ? 'auth_failed' : 'connected');
+      setAuthError(authFailed ? auth.error || 'No Snowflake authentication is configured' : null);
+      setEmulated(auth.strategy === 'emulator');
       return true;
     } catch (err) {
       console.error('Backend connection check failed:', err);
       setBackendStatus('disconnected');
       return false;
     }
-  };
+  }, []);
 
   // Check connection on component mount and periodically
   useEffect(() => {
     checkBackendConnection();
-    
+
     // Check connection every 30 seconds
     const interval = setInterval(checkBackendConnection, 30000);
-    
-    return () => clearInterval(interval);
-  }, []);
 
-  const executeQuery = async () => {
-    if (!query.trim()) {
-      setError('Please enter a SQL query');
-      return;
-    }
-
-    setLoading(true);
-    setError(null);
-    setResults(null);
-    setExecutionTime(null);
+    return () => clearInterval(interval);
+  }, [checkBackendConnection]);
 
-    try {
-      const startTime = Date.now();
-      const response = await axios.post('/api/execute', {
-        query: query.trim(),
-        useCallersRights: useCallersRights
-      });
-
-      const endTime = Date.now();
-      setExecutionTime(endTime - startTime);
-      setResults(response.data);
-    } catch (err) {
-      console.error('Query execution error:', err);
-      setError(err.response?.data?.error || 'An error occurred while executing the query');
-    } finally {
-      setLoading(false);
+  useEffect(() => {
+    saveWorkspace(workspace);
+  }, [workspace]);
+
+  const updateTab = (id, changes) => setWorkspace(current => ({
+    ...current,
+    tabs: current.tabs.map(tab => (tab.id === id ? { ...tab, ...changes } : tab))
+  }));
+
+  const selectTab = id => setWorkspace(current => ({ ...current, activeId: id }));
+
+  const addTab = () => setWorkspace((current) => {
+    const tab = createTab(nextTabName(current.tabs));
+    return { tabs: [...current.tabs, tab], activeId: tab.id };
+  });
+
+  // The copy gets the SQL, mode, binds and session context but not the results of the original
+  const duplicateTab = id => setWorkspace((current) => {
+    const index = current.tabs.findIndex(tab => tab.id === id);
+    const { name, query, useCallersRights, continueOnError, bindValues, context } = current.tabs[index];
+    const copy = createTab(`${name} (copy)`, { query, useCallersRights, continueOnError, bindValues, context });
+    return {
+      tabs: [...current.tabs.slice(0, index + 1), copy, ...current.tabs.slice(index + 1)],
+      activeId: copy.id
+    };
+  });
+
+  // Closing the active tab selects its right-hand neighbour; the last tab cannot be closed
+  const closeTab = id => setWorkspace((current) => {
+    if (current.tabs.length < 2) {
+      return current;
     }
-  };
-
-  const handleKeyPress = (e) => {
-    if (e.ctrlKey && e.key === 'Enter') {
-      executeQuery();
+    const index = current.tabs.findIndex(tab => tab.id === id);
+    const remaining = current.tabs.filter(tab => tab.id !== id);
+    return {
+      tabs: remaining,
+      activeId: current.activeId === id ? remaining[Math.min(index, remaining.length - 1)].id : current.activeId
+    };
+  });
+
+  const closeOtherTabs = id => setWorkspace(current => ({
+    tabs: current.tabs.filter(tab => tab.id === id),
+    activeId: id
+  }));
+
+  const setTabRunning = useCallback((id, isRunning) => setRunning((ids) => {
+    if (ids.includes(id) === isRunning) {
+      return ids;
     }
-  };
+    return isRunning ? [...ids, id] : ids.filter(runningId => runningId !== id);
+  }), []);
 
-  const clearResults = () => {
-    setResults(null);
-    setError(null);
-    setExecutionTime(null);
-  };
+  // A finished query adds to the history, and may have found the service's authentication failing
+  const queryFinished = useCallback(() => {
+    setHistoryVersion(version => version + 1);
+    checkBackendConnection();
+  }, [checkBackendConnection]);
 
-  const formatValue = (value) => {
-    if (value === null || value === undefined) {
-      return 'NULL';
-    }
-    if (typeof value === 'object') {
-      return JSON.stringify(value);
-    }
-    return String(value);
-  };
+  const activeTabRef = () => tabRefs.current[activeTab.id];
 
   return (
-    <div>
-      <div className="query-section">
-        <div className="controls">
-          <div className="status-container">
-            <div className="connection-status">
-              <span className="status-label"><strong>Backend Status:</strong></span>
-              <span className={`status-indicator ${backendStatus}`}>
-                {backendStatus === 'connected' && '🟢 Connected'}
-                {backendStatus === 'disconnected' && '🔴 Disconnected'}
-                {backendStatus === 'checking' && '🟡 Checking...'}
-              </span>
-            </div>
-          </div>
-          
-          <div className="toggle-container">
-            <label htmlFor="rights-toggle">
-              <strong>Execution Mode:</strong>
-            </label>
-            <span>{useCallersRights ? "Caller's Rights" : "Owner's Rights"}</span>
-            <label className="toggle">
-              <input
-                id="rights-toggle"
-                type="checkbox"
-                checked={useCallersRights}
-                onChange={(e) => setUseCallersRights(e.target.checked)}
-              />
-              <span className="slider"></span>
-            </label>
+    <div className="workspace">
+      <CatalogSidebar
+        useCallersRights={activeTab.useCallersRights}
+        onInsert={text => activeTabRef() && activeTabRef().insert(text)}
+      />
+      <div className="workspace-main">
+        <div className="workspace-header">
+          <div className="connection-status">
+            <span className="status-label"><strong>Backend Status:</strong></span>
+            <span className={`status-indicator ${backendStatus}`}>
+              {backendStatus === 'connected' && '🟢 Connected'}
+              {backendStatus === 'auth_failed' && '🟠 Authentication failing'}
+              {backendStatus === 'disconnected' && '🔴 Disconnected'}
+              {backendStatus === 'checking' && '🟡 Checking...'}
+            </span>
+            {backendStatus === 'auth_failed' && <span className="status-detail">{authError}</span>}
+            {emulated && backendStatus === 'connected' && (
+              <span className="emulator-badge" title="Queries run on the local Snowflake emulator">Emulator</span>
+            )}
           </div>
-          
-          <div style={{ display: 'flex', gap: '10px' }}>
-            <button 
-              className="button" 
-              onClick={executeQuery}
-              disabled={loading}
-            >
-              {loading ? 'Executing...' : 'Execute Query (Ctrl+Enter)'}
-            </button>
-            <button 
-              className="button" 
-              onClick={clearResults}
-              style={{ backgroundColor: '#6b7280' }}
-            >
-              Clear Results
-            </button>
-          </div>
-        </div>
-
-        <div className="query-info">
-          <strong>Execution Mode:</strong> {useCallersRights ? "Caller's Rights" : "Owner's Rights"} - 
-          {useCallersRights 
-            ? " Query will execute attempting to use the calling user's permissions (simulated in container)"
-            : " Query will execute with the container service account's permissions (default)"
-          }
+          <WorkspaceTabs
+            tabs={tabs}
+            activeId={activeTab.id}
+            running={running}
+            onSelect={selectTab}
+            onAdd={addTab}
+            onRename={(id, name) => updateTab(id, { name })}
+            onDuplicate={duplicateTab}
+            onClose={closeTab}
+            onCloseOthers={closeOtherTabs}
+          />
         </div>
 
-        <textarea
-          value={query}
-          onChange={(e) => setQuery(e.target.value)}
-          onKeyDown={handleKeyPress}
-          className="sql-textarea"
-          rows="10"
-          placeholder="Enter your SQL query here..."
-          style={{
-            width: '100%',
-            fontFamily: 'Monaco, Menlo, "Ubuntu Mono", monospace',
-            fontSize: '14px',
-            padding: '10px',
-            border: '1px solid #ddd',
-            borderRadius: '4px',
-            resize: 'vertical',
-            minHeight: '200px'
-          }}
-        />
-      </div>
+        {tabs.map(tab => (
+          <QueryTab
+            key={tab.id}
+            ref={(element) => {
+              tabRefs.current[tab.id] = element;
+            }}
+            tab={tab}
+            active={tab.id === activeTab.id}
+            onChange={changes => updateTab(tab.id, changes)}
+            onRunningChange={setTabRunning}
+            onFinished={queryFinished}
+          />
+        ))}
 
-      {loading && (
         <div className="results-section">
-          <div className="loading">
-            <div>Executing query...</div>
-            <div style={{ marginTop: '10px', fontSize: '14px' }}>
-              Mode: {useCallersRights ? "Caller's Rights" : "Owner's Rights"}
-            </div>
-          </div>
+          <HistoryPanel
+            refreshKey={historyVersion}
+            currentQuery={activeTab.query}
+            useCallersRights={activeTab.useCallersRights}
+            onLoad={(sqlText, binds) => activeTabRef() && activeTabRef().load(sqlText, binds)}
+            onRun={(sqlText, executionMode, binds) => activeTabRef() && activeTabRef().rerun(sqlText, executionMode, binds)}
+          />
         </div>
-      )}
-
-      {error && (
-        <div className="results-section">
-          <div className="error">
-            <strong>Error:</strong> {error}
-          </div>
-        </div>
-      )}
-
-      {results && (
-        <div className="results-section">
-          <div className="success">
-            <strong>Query executed successfully!</strong>
-            {executionTime && <span> (Execution time: {executionTime}ms)</span>}
-            <div style={{ marginTop: '5px', fontSize: '14px' }}>
-              Mode: {useCallersRights ? "Caller's Rights" : "Owner's Rights"}
-            </div>
-          </div>
-
-          {results.data && results.data.length > 0 ? (
-            <div>
-              <h3>Results ({results.data.length} rows):</h3>
-              <div style={{ overflowX: 'auto' }}>
-                <table className="table">
-                  <thead>
-                    <tr>
-                      {results.columns && results.columns.map((column, index) => (
-                        <th key={index}>{column}</th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {results.data.map((row, rowIndex) => (
-                      <tr key={rowIndex}>
-                        {Object.values(row).map((value, colIndex) => (
-                          <td key={colIndex}>{formatValue(value)}</td>
-                        ))}
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-          ) : (
-            <div>
-              <h3>Query executed successfully</h3>
-              <p>No rows returned.</p>
-            </div>
-          )}
-
-          {results.metadata && (
-            <div style={{ marginTop: '20px', fontSize: '14px', color: '#666' }}>
-              <strong>Query Metadata:</strong>
-              <pre style={{ background: '#f8f9fa', padding: '10px', borderRadius: '4px', overflow: 'auto' }}>
-                {JSON.stringify(results.metadata, null, 2)}
-              </pre>
-            </div>
-          )}
-        </div>
-      )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,84 @@
+import React from 'react';
+
+const WARNING_LABELS = {
+  full_scan: 'Full scan',
+  cartesian_join: 'Cartesian join'
+};
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) {
+    return null;
+  }
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+const partitionsText = ({ partitionsAssigned, partitionsTotal }) => (
+  partitionsTotal === null || partitionsTotal === undefined ? null : `${partitionsAssigned} / ${partitionsTotal} partitions`
+);
+
+// One operator card with its inputs drawn beneath it
+const PlanNode = ({ node }) => {
+  const partitions = partitionsText(node);
+  const bytes = formatBytes(node.bytesAssigned);
+
+  return (
+    <li>
+      <div className={`plan-node ${node.warnings.length ? 'flagged' : ''}`} title={node.expressions.join(', ')}>
+        <div className="plan-node-operation">
+          {node.operation} <span className="plan-node-id">[{node.id}]</span>
+        </div>
+        {node.objects.map(object => <div key={object} className="plan-node-object">{object}</div>)}
+        {(partitions || bytes) && (
+          <div className="plan-node-stats">{[partitions, bytes].filter(Boolean).join(' · ')}</div>
+        )}
+        {node.warnings.map(warning => (
+          <span key={warning.type} className="plan-badge" title={warning.message}>{WARNING_LABELS[warning.type] || warning.type}</span>
+        ))}
+      </div>
+      {node.children.length > 0 && (
+        <ul>
+          {node.children.map(child => <PlanNode key={child.id} node={child} />)}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Operator tree of an EXPLAIN, as returned by /api/explain, with full scans and cartesian joins flagged
+const QueryPlan = ({ plan }) => {
+  const { stats, objects, warnings, steps } = plan;
+
+  return (
+    <div className="query-plan">
+      <div className="plan-summary">
+        <span><strong>Partitions:</strong> {stats.partitionsAssigned ?? 0} of {stats.partitionsTotal ?? 0} assigned</span>
+        <span><strong>Bytes:</strong> {formatBytes(stats.bytesAssigned ?? 0)}</span>
+        <span><strong>Objects:</strong> {objects.length ? objects.join(', ') : 'none'}</span>
+      </div>
+
+      {warnings.map(warning => (
+        <div key={`${warning.step}-${warning.operatorId}-${warning.type}`} className="compare-warning">
+          ⚠️ {warning.message} (operator {warning.operatorId}{steps.length > 1 ? `, step ${warning.step}` : ''})
+        </div>
+      ))}
+
+      {steps.map(step => (
+        <div key={step.step} className="plan-step">
+          {steps.length > 1 && <h4>Step {step.step}</h4>}
+          <ul className="plan-tree">
+            {step.operators.map(node => <PlanNode key={node.id} node={node} />)}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default QueryPlan;
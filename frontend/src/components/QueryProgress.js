@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+
+const formatElapsed = ms => `${(Math.max(ms, 0) / 1000).toFixed(1)}s`;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'queued':
+      return `Queued at position ${event.position}`;
+    case 'connecting':
+      return 'Connecting';
+    case 'context_set':
+      return `Session on ${[event.warehouse, [event.database, event.schema].filter(Boolean).join('.')].filter(Boolean).join(', ')}`;
+    case 'submitted':
+      return `Statement submitted${event.statementId ? ` (${event.statementId})` : ''}`;
+    case 'executed':
+      return `Statement executed in ${formatElapsed(event.durationMs)}, ${plural(event.totalRowCount, 'row')}`;
+    case 'rows':
+      return `${plural(event.rowsFetched, 'row')} fetched`;
+    case 'cached':
+      return `Served from the result cache (${formatElapsed(event.cacheAgeMs)} old)`;
+    case 'completed':
+      return 'Completed';
+    case 'failed':
+      return `Failed: ${event.error}`;
+    case 'cancelled':
+      return 'Cancelled';
+    default:
+      return event.type;
+  }
+};
+
+// Live view of a running query job: an elapsed timer and the job's lifecycle events as they
+// arrive. startedAt is when the job was submitted, in this browser's clock
+const QueryProgress = ({ job, events, startedAt, useCallersRights }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(timer);
+  }, []);
+
+  const queued = !!job?.queuePosition;
+
+  return (
+    <div className="loading">
+      <div>
+        {queued ? 'Waiting for a free query slot...' : 'Executing query...'}
+        {startedAt && <span className="progress-elapsed">{formatElapsed(now - startedAt)}</span>}
+      </div>
+      <div style={{ marginTop: '10px', fontSize: '14px' }}>
+        Mode: {useCallersRights ? "Caller's Rights" : "Owner's Rights"}
+      </div>
+      {job && (
+        <div style={{ marginTop: '5px', fontSize: '14px' }}>
+          Status: {queued ? `queued, position ${job.queuePosition}` : job.state}
+          {job.statementId && <span> - Statement ID: {job.statementId}</span>}
+        </div>
+      )}
+      {events.length > 0 && (
+        <ol className="progress-timeline">
+          {events.map(event => (
+            <li key={event.seq} className={`progress-event ${event.type}`}>
+              <span className="progress-time">+{formatElapsed(event.elapsedMs)}</span>
+              {event.statementIndex !== undefined && <span className="progress-statement">#{event.statementIndex + 1}</span>}
+              {describeEvent(event)}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default QueryProgress;
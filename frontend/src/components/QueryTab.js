@@ -0,0 +1,657 @@
+import React, { useState, useEffect, useRef, useMemo, forwardRef, useImperativeHandle } from 'react';
+import axios from 'axios';
+import ResultTable from './ResultTable';
+import ScriptResults from './ScriptResults';
+import CompareResults from './CompareResults';
+import PolicyViolation from './PolicyViolation';
+import PrivilegeDiagnostics from './PrivilegeDiagnostics';
+import ErrorGuidance from './ErrorGuidance';
+import QueryPlan from './QueryPlan';
+import QueryProgress from './QueryProgress';
+import ParameterForm, { findParameters, buildBinds, valuesFromBinds } from './ParameterForm';
+import SqlEditor, { completionSchema } from './SqlEditor';
+import SessionContextPicker, { requestContext } from './SessionContextPicker';
+
+// Request id to quote when reporting an error; matches the backend's log lines
+const requestIdOf = response => response?.data?.requestId || response?.headers?.['x-request-id'] || null;
+
+const formatAge = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+// One workspace tab: its SQL, execution mode and bind values live in the persisted tab
+// (changed through onChange), while results and the running job are kept here. Tabs stay
+// mounted while hidden, so a query keeps running when another tab is selected
+const QueryTab = forwardRef(({ tab, active, onChange, onRunningChange, onFinished }, ref) => {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [executionTime, setExecutionTime] = useState(null);
+  const [job, setJob] = useState(null);
+  // Lifecycle events of the running job, and when it was submitted (in this browser's clock)
+  const [progressEvents, setProgressEvents] = useState([]);
+  const [runStartedAt, setRunStartedAt] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [policyViolation, setPolicyViolation] = useState(null);
+  const [errorRequestId, setErrorRequestId] = useState(null);
+  // The error response's category, code, hint and location; a privilegeError can be diagnosed,
+  // which re-sends the failed request
+  const [errorDetails, setErrorDetails] = useState(null);
+  const [diagnosis, setDiagnosis] = useState(null);
+  const [diagnosing, setDiagnosing] = useState(false);
+  const [completion, setCompletion] = useState(null);
+  const [errorMarker, setErrorMarker] = useState(null);
+  const [plan, setPlan] = useState(null);
+  // Which of the query results and the plan the results area shows
+  const [resultView, setResultView] = useState('results');
+  const pollTimer = useRef(null);
+  const eventSource = useRef(null);
+  const editorRef = useRef(null);
+  // Editor offset of the text last submitted, which error locations are relative to
+  const submittedAt = useRef(0);
+  // Job to reattach to after a reload, and the job to cancel if the tab is closed while it runs
+  const restoredJobId = useRef(tab.jobId);
+  const runningJobId = useRef(null);
+  // Body of the last query or explain request, for privilege diagnostics
+  const lastRequest = useRef(null);
+
+  const { query, useCallersRights, continueOnError, bindValues, context } = tab;
+  const setQuery = value => onChange({ query: value });
+  const setUseCallersRights = value => onChange({ useCallersRights: value });
+  const setContinueOnError = value => onChange({ continueOnError: value });
+  const setBindValues = value => onChange({ bindValues: value });
+  const setContext = value => onChange({ context: value });
+
+  const parameters = useMemo(() => findParameters(query), [query]);
+
+  // Tables and columns for autocomplete, as visible under the tab's execution mode and session context
+  const { database, schema, secondaryRoles } = requestContext(context);
+  const catalogSecondaryRoles = Array.isArray(secondaryRoles) ? secondaryRoles.join(',') : secondaryRoles;
+  useEffect(() => {
+    let cancelled = false;
+    axios.get('/api/catalog/completions', {
+      params: { useCallersRights, database, schema, secondaryRoles: catalogSecondaryRoles }
+    })
+      .then((response) => {
+        if (!cancelled) {
+          setCompletion(completionSchema(response.data.items));
+        }
+      })
+      .catch((err) => {
+        console.error('Autocomplete catalog error:', err);
+        if (!cancelled) {
+          setCompletion(null);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [useCallersRights, database, schema, catalogSecondaryRoles]);
+
+  useEffect(() => {
+    onRunningChange(tab.id, loading);
+  }, [tab.id, loading, onRunningChange]);
+
+  const finishQuery = () => {
+    clearTimeout(pollTimer.current);
+    if (eventSource.current) {
+      eventSource.current.close();
+      eventSource.current = null;
+    }
+    runningJobId.current = null;
+    setLoading(false);
+    setJob(null);
+    onFinished();
+  };
+
+  // Underline the failing code when the error names a line and position
+  const markError = (message, location) => {
+    setErrorMarker(location ? { offset: submittedAt.current, ...location, message } : null);
+  };
+
+  // Poll the query job until it finishes, then fetch its results. startTime is null for a
+  // job reattached after a reload, which reports its own elapsed time
+  const pollJob = async (jobId, startTime) => {
+    try {
+      const { data: status } = await axios.get(`/api/queries/${jobId}`);
+      setJob(status);
+
+      if (status.state === 'queued' || status.state === 'running') {
+        pollTimer.current = setTimeout(() => pollJob(jobId, startTime), 1000);
+        return;
+      }
+
+      if (status.state === 'succeeded') {
+        const response = await axios.get(`/api/queries/${jobId}/result`);
+        setExecutionTime(startTime ? Date.now() - startTime : status.elapsedMs);
+        setResults(response.data);
+        const failed = response.data.script && response.data.statements.find(statement => statement.location);
+        if (failed) {
+          markError(failed.error, failed.location);
+        }
+      } else if (status.state === 'failed') {
+        const response = await axios.get(`/api/queries/${jobId}/result`, { validateStatus: () => true });
+        setError(response.data?.error || status.error || 'An error occurred while executing the query');
+        setErrorRequestId(requestIdOf(response));
+        setErrorDetails(response.data || null);
+        markError(response.data?.error, response.data?.location);
+      } else {
+        setError('Query was cancelled');
+      }
+      finishQuery();
+    } catch (err) {
+      console.error('Query status error:', err);
+      if (!startTime && err.response?.status === 404) {
+        // The backend no longer has the job this tab last ran
+        onChange({ jobId: null });
+      } else {
+        setError(err.response?.data?.error || 'Lost track of the running query');
+        setErrorRequestId(requestIdOf(err.response));
+        setErrorDetails(err.response?.data || null);
+      }
+      finishQuery();
+    }
+  };
+
+  // Events are numbered; a reconnected stream may repeat some, and row counts of one statement replace each other
+  const addProgressEvent = (event) => {
+    setProgressEvents((events) => {
+      const last = events[events.length - 1];
+      if (last && event.seq <= last.seq) {
+        return events;
+      }
+      if (last && event.type === 'rows' && last.type === 'rows' && last.statementIndex === event.statementIndex) {
+        return [...events.slice(0, -1), event];
+      }
+      return [...events, event];
+    });
+  };
+
+  // Follow the job's event stream while it runs. Once the job has finished, or when the stream
+  // cannot be opened at all, pollJob takes over to fetch the outcome
+  const watchJob = (jobId, startTime) => {
+    const source = new EventSource(`/api/queries/${jobId}/events`);
+    eventSource.current = source;
+    source.addEventListener('progress', event => addProgressEvent(JSON.parse(event.data)));
+    source.addEventListener('status', (event) => {
+      const status = JSON.parse(event.data);
+      setJob(status);
+      setRunStartedAt(started => started || Date.now() - status.elapsedMs);
+      if (status.state !== 'queued' && status.state !== 'running') {
+        source.close();
+        pollJob(jobId, startTime);
+      }
+    });
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        pollJob(jobId, startTime);
+      }
+    };
+  };
+
+  // The mount effect below reattaches through this, as watchJob changes on every render
+  const watchJobRef = useRef(watchJob);
+  watchJobRef.current = watchJob;
+
+  // Reattach to the tab's last job after a reload, and cancel a running job when the tab is closed
+  useEffect(() => {
+    if (restoredJobId.current) {
+      runningJobId.current = restoredJobId.current;
+      setLoading(true);
+      watchJobRef.current(restoredJobId.current, null);
+    }
+    return () => {
+      clearTimeout(pollTimer.current);
+      if (eventSource.current) {
+        eventSource.current.close();
+      }
+      if (runningJobId.current) {
+        axios.delete(`/api/queries/${runningJobId.current}`).catch(() => {});
+      }
+    };
+  }, []);
+
+  // from is the editor offset sqlText was taken from, when it is only part of the editor;
+  // bypassCache skips the backend's result cache
+  const runQuery = async (sqlText, callersRights, binds, from = 0, bypassCache = false) => {
+    if (!sqlText.trim()) {
+      setError('Please enter a SQL query');
+      return;
+    }
+
+    submittedAt.current = from + sqlText.length - sqlText.trimStart().length;
+    setLoading(true);
+    setError(null);
+    setErrorMarker(null);
+    setPolicyViolation(null);
+    setErrorRequestId(null);
+    setErrorDetails(null);
+    setDiagnosis(null);
+    setResults(null);
+    setComparison(null);
+    setExecutionTime(null);
+    setResultView('results');
+    setProgressEvents([]);
+
+    try {
+      const startTime = Date.now();
+      setRunStartedAt(startTime);
+      lastRequest.current = {
+        query: sqlText.trim(),
+        useCallersRights: callersRights,
+        binds,
+        context: requestContext(context)
+      };
+      const response = await axios.post('/api/queries', {
+        ...lastRequest.current,
+        onError: continueOnError ? 'continue' : 'stop',
+        bypassCache
+      });
+
+      runningJobId.current = response.data.id;
+      onChange({ jobId: response.data.id });
+      setJob(response.data);
+      watchJob(response.data.id, startTime);
+    } catch (err) {
+      console.error('Query execution error:', err);
+      setError(err.response?.data?.error || 'An error occurred while executing the query');
+      setPolicyViolation(err.response?.data?.policyViolation || null);
+      setErrorRequestId(requestIdOf(err.response));
+      setErrorDetails(err.response?.data || null);
+      finishQuery();
+    }
+  };
+
+  // Run the editor's selection, statement under the cursor or whole text; binds cover the placeholders in it
+  const runText = ({ text, from }) => {
+    if (loading) {
+      return;
+    }
+    runQuery(text, useCallersRights, buildBinds(findParameters(text), bindValues), from);
+  };
+
+  const executeQuery = (statementOnly) => {
+    const target = editorRef.current ? editorRef.current.runTarget(statementOnly) : { text: query, from: 0 };
+    if (target) {
+      runText(target);
+    }
+  };
+
+  const loadQuery = (sqlText, binds) => {
+    onChange(binds ? { query: sqlText, bindValues: valuesFromBinds(binds) } : { query: sqlText });
+  };
+
+  // Re-run a history entry or saved query in the mode it was recorded with.
+  // Templates without recorded binds are only loaded so their parameters can be filled in
+  const rerunQuery = (sqlText, executionMode, binds) => {
+    if (loading) {
+      return;
+    }
+    const callersRights = executionMode ? executionMode === "caller's_rights" : useCallersRights;
+    loadQuery(sqlText, binds);
+    setUseCallersRights(callersRights);
+    if (!binds && findParameters(sqlText).length) {
+      return;
+    }
+    runQuery(sqlText, callersRights, binds || undefined);
+  };
+
+  useImperativeHandle(ref, () => ({
+    insert: (text) => {
+      if (editorRef.current) {
+        editorRef.current.insert(text);
+      } else {
+        setQuery(query + text);
+      }
+    },
+    load: loadQuery,
+    rerun: rerunQuery
+  }));
+
+  // Run the query under both execution modes and show the results side by side
+  const compareModes = async () => {
+    if (!query.trim()) {
+      setError('Please enter a SQL query');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setErrorMarker(null);
+    setPolicyViolation(null);
+    setErrorRequestId(null);
+    setErrorDetails(null);
+    setDiagnosis(null);
+    setResults(null);
+    setComparison(null);
+    setExecutionTime(null);
+    setProgressEvents([]);
+    onChange({ jobId: null });
+
+    try {
+      const startTime = Date.now();
+      setRunStartedAt(startTime);
+      const response = await axios.post('/api/compare', {
+        query: query.trim(),
+        binds: buildBinds(parameters, bindValues),
+        context: requestContext(context)
+      });
+      setExecutionTime(Date.now() - startTime);
+      setComparison(response.data);
+    } catch (err) {
+      console.error('Compare error:', err);
+      setError(err.response?.data?.error || 'An error occurred while comparing execution modes');
+      setErrorRequestId(requestIdOf(err.response));
+      setErrorDetails(err.response?.data || null);
+    } finally {
+      setLoading(false);
+      onFinished();
+    }
+  };
+
+  // Show the plan of the selection or the statement under the cursor, without running it
+  const explainQuery = async () => {
+    const target = editorRef.current ? editorRef.current.runTarget(true) : { text: query, from: 0 };
+    if (!target || !target.text.trim()) {
+      setError('Please enter a SQL query');
+      return;
+    }
+
+    submittedAt.current = target.from + target.text.length - target.text.trimStart().length;
+    setLoading(true);
+    setError(null);
+    setErrorMarker(null);
+    setPolicyViolation(null);
+    setErrorRequestId(null);
+    setErrorDetails(null);
+    setDiagnosis(null);
+    setProgressEvents([]);
+    setRunStartedAt(Date.now());
+
+    try {
+      lastRequest.current = {
+        query: target.text.trim(),
+        useCallersRights,
+        binds: buildBinds(findParameters(target.text), bindValues),
+        context: requestContext(context)
+      };
+      const response = await axios.post('/api/explain', lastRequest.current);
+      setPlan(response.data.plan);
+      setResultView('plan');
+    } catch (err) {
+      console.error('Explain error:', err);
+      setError(err.response?.data?.error || 'An error occurred while explaining the query');
+      setPolicyViolation(err.response?.data?.policyViolation || null);
+      setErrorRequestId(requestIdOf(err.response));
+      setErrorDetails(err.response?.data || null);
+      markError(err.response?.data?.error, err.response?.data?.location);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelQuery = async () => {
+    if (!job) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/queries/${job.id}`);
+    } catch (err) {
+      // The job may have finished in the meantime; its event stream reports the final state
+      console.error('Query cancel error:', err);
+    }
+  };
+
+  // Ask the backend which grant the failed query was missing, and for which identity
+  const diagnosePrivileges = async () => {
+    setDiagnosing(true);
+    try {
+      const response = await axios.post('/api/diagnostics/privileges', lastRequest.current);
+      setDiagnosis(response.data);
+    } catch (err) {
+      console.error('Privilege diagnostics error:', err);
+      setDiagnosis({ error: err.response?.data?.error || 'Could not diagnose the privileges of the query' });
+    } finally {
+      setDiagnosing(false);
+    }
+  };
+
+  // Run the query the cached result came from again, fresh from Snowflake
+  const rerunUncached = () => {
+    if (loading || !lastRequest.current) {
+      return;
+    }
+    const { query: sqlText, useCallersRights: callersRights, binds } = lastRequest.current;
+    runQuery(sqlText, callersRights, binds, submittedAt.current, true);
+  };
+
+  const formatError = (message) => {
+    setError(`Could not format the SQL: ${message}`);
+  };
+
+  const clearResults = () => {
+    setResults(null);
+    setComparison(null);
+    setPlan(null);
+    setError(null);
+    setErrorMarker(null);
+    setPolicyViolation(null);
+    setErrorRequestId(null);
+    setErrorDetails(null);
+    setDiagnosis(null);
+    setExecutionTime(null);
+    onChange({ jobId: null });
+  };
+
+  return (
+    <div className="query-tab" hidden={!active}>
+      <div className="query-section">
+        <div className="controls">
+          <div className="toggle-container">
+            <label htmlFor={`rights-toggle-${tab.id}`}>
+              <strong>Execution Mode:</strong>
+            </label>
+            <span>{useCallersRights ? "Caller's Rights" : "Owner's Rights"}</span>
+            <label className="toggle">
+              <input
+                id={`rights-toggle-${tab.id}`}
+                type="checkbox"
+                checked={useCallersRights}
+                onChange={(e) => setUseCallersRights(e.target.checked)}
+              />
+              <span className="slider"></span>
+            </label>
+          </div>
+
+          <label className="checkbox-label" title="Applies to scripts with multiple statements">
+            <input
+              type="checkbox"
+              checked={continueOnError}
+              onChange={(e) => setContinueOnError(e.target.checked)}
+            />
+            Continue script on error
+          </label>
+
+          <SessionContextPicker context={context} useCallersRights={useCallersRights} onChange={setContext} />
+
+          <ParameterForm parameters={parameters} values={bindValues} onChange={setBindValues} />
+
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <button
+              className="button"
+              onClick={() => executeQuery(false)}
+              disabled={loading}
+              title="Runs the selection, or the whole editor when nothing is selected"
+            >
+              {loading ? 'Executing...' : 'Execute Query (Ctrl+Enter)'}
+            </button>
+            <button
+              className="button"
+              onClick={() => executeQuery(true)}
+              disabled={loading}
+            >
+              Run Statement (Ctrl+Shift+Enter)
+            </button>
+            {loading && (
+              <button
+                className="button"
+                onClick={cancelQuery}
+                disabled={!job}
+                style={{ backgroundColor: '#dc2626' }}
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              className="button"
+              onClick={explainQuery}
+              disabled={loading}
+              title="Shows the query plan of the selection or the statement under the cursor"
+            >
+              Explain
+            </button>
+            <button
+              className="button"
+              onClick={compareModes}
+              disabled={loading}
+              title="Runs the query twice: once with owner's rights and once with caller's rights"
+            >
+              Compare Modes
+            </button>
+            <button
+              className="button"
+              onClick={() => editorRef.current && editorRef.current.format()}
+              style={{ backgroundColor: '#6b7280' }}
+              title="Formats the selection, or the whole editor when nothing is selected"
+            >
+              Format (Shift+Alt+F)
+            </button>
+            <button
+              className="button"
+              onClick={clearResults}
+              style={{ backgroundColor: '#6b7280' }}
+            >
+              Clear Results
+            </button>
+          </div>
+        </div>
+
+        <div className="query-info">
+          <strong>Execution Mode:</strong> {useCallersRights ? "Caller's Rights" : "Owner's Rights"} -
+          {useCallersRights
+            ? " Query will execute attempting to use the calling user's permissions (simulated in container)"
+            : " Query will execute with the container service account's permissions (default)"
+          }
+        </div>
+
+        <SqlEditor
+          ref={editorRef}
+          value={query}
+          onChange={setQuery}
+          onRun={runText}
+          onFormatError={formatError}
+          completion={completion}
+          errorMarker={errorMarker}
+        />
+      </div>
+
+      {loading && (
+        <div className="results-section">
+          <QueryProgress
+            job={job}
+            events={progressEvents}
+            startedAt={runStartedAt}
+            useCallersRights={useCallersRights}
+          />
+        </div>
+      )}
+
+      {error && (
+        <div className="results-section">
+          <div className="error">
+            <strong>Error:</strong> {error}
+            {policyViolation && <PolicyViolation violation={policyViolation} />}
+            <ErrorGuidance details={errorDetails} />
+            {errorDetails?.privilegeError && lastRequest.current && !diagnosis && (
+              <div>
+                <button className="diagnose-button" onClick={diagnosePrivileges} disabled={diagnosing}>
+                  {diagnosing ? 'Diagnosing...' : 'Diagnose privileges'}
+                </button>
+              </div>
+            )}
+            {diagnosis && (diagnosis.error
+              ? <div className="policy-details">Privilege diagnostics failed: {diagnosis.error}</div>
+              : <PrivilegeDiagnostics diagnosis={diagnosis} />)}
+            {errorRequestId && (
+              <div className="error-request-id">Request ID: <code>{errorRequestId}</code></div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {comparison && (
+        <div className="results-section">
+          <div className="success">
+            <strong>Comparison finished</strong>
+            {executionTime && <span> (Execution time: {executionTime}ms)</span>}
+          </div>
+          <CompareResults comparison={comparison} />
+        </div>
+      )}
+
+      {(results || plan) && (
+        <div className="results-section">
+          <div className="result-view-tabs">
+            <button className={resultView === 'results' ? 'active' : ''} onClick={() => setResultView('results')} disabled={!results}>
+              Results
+            </button>
+            <button className={resultView === 'plan' ? 'active' : ''} onClick={() => setResultView('plan')} disabled={!plan}>
+              Plan
+            </button>
+          </div>
+
+          {resultView === 'plan' && plan && <QueryPlan plan={plan} />}
+
+          {resultView === 'results' && results && (
+            <>
+              <div className="success">
+                <strong>Query executed successfully!</strong>
+                {executionTime && <span> (Execution time: {executionTime}ms)</span>}
+                <div style={{ marginTop: '5px', fontSize: '14px' }}>
+                  Mode: {useCallersRights ? "Caller's Rights" : "Owner's Rights"}
+                </div>
+                {results.metadata?.cached && (
+                  <div className="cached-result">
+                    Cached result from {formatAge(results.metadata.cacheAgeMs)} ago
+                    {lastRequest.current && (
+                      <button onClick={rerunUncached} disabled={loading}>Run without cache</button>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {results.script ? (
+                <ScriptResults results={results} />
+              ) : (
+                <ResultTable result={results} />
+              )}
+
+              {results.metadata && (
+                <div style={{ marginTop: '20px', fontSize: '14px', color: '#666' }}>
+                  <strong>Query Metadata:</strong>
+                  <pre style={{ background: '#f8f9fa', padding: '10px', borderRadius: '4px', overflow: 'auto' }}>
+                    {JSON.stringify(results.metadata, null, 2)}
+                  </pre>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default QueryTab;
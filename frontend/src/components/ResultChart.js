@@ -0,0 +1,343 @@
+import React, { useState, useMemo } from 'react';
+import { cellText, isNumericColumn, isTemporalColumn, toNumber } from './ResultValue';
+import { compareValues } from './ResultGrid';
+
+const CHART_TYPES = [
+  { type: 'bar', label: 'Bar' },
+  { type: 'line', label: 'Line' },
+  { type: 'scatter', label: 'Scatter' }
+];
+
+const AGGREGATES = [
+  { aggregate: 'sum', label: 'Sum' },
+  { aggregate: 'avg', label: 'Average' },
+  { aggregate: 'min', label: 'Minimum' },
+  { aggregate: 'max', label: 'Maximum' },
+  { aggregate: 'count', label: 'Count of rows' }
+];
+
+const WIDTH = 800;
+const HEIGHT = 360;
+const MARGIN = { top: 20, right: 30, bottom: 70, left: 70 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const MAX_BARS = 50;
+const MAX_POINTS = 2000;
+const MAX_CATEGORY_LABELS = 12;
+
+const compactNumber = new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 2 });
+
+const isMissing = value => value === null || value === undefined;
+
+const isOrderedColumn = column => isNumericColumn(column) || isTemporalColumn(column);
+
+const truncate = (text, length = 14) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Where a value sits on a continuous axis: the number itself, or milliseconds for dates and times
+const axisValue = (value, column) => {
+  if (isMissing(value)) {
+    return null;
+  }
+  if (isNumericColumn(column)) {
+    return toNumber(value);
+  }
+  const time = Date.parse(column.type === 'time' ? `1970-01-01T${value}Z` : value);
+  return Number.isNaN(time) ? null : time;
+};
+
+const axisLabel = (position, column) => {
+  if (!isTemporalColumn(column)) {
+    return compactNumber.format(position);
+  }
+  const iso = new Date(position).toISOString();
+  return column.type === 'time' ? iso.slice(11, 19) : iso.slice(0, 10);
+};
+
+// Round bounds and evenly spaced ticks covering low..high
+const niceScale = (low, high, count = 5) => {
+  const [min, max] = low === high ? [low - 1, high + 1] : [low, high];
+  const raw = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= raw);
+  const start = Math.floor(min / step) * step;
+  const end = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let tick = start; tick <= end + step / 2; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return { min: start, max: end, ticks };
+};
+
+const project = (scale, size) => value => (value - scale.min) / (scale.max - scale.min) * size;
+
+// SVG y grows downwards, so values are measured from the bottom of the plot
+const projectY = scale => value => PLOT_HEIGHT - project(scale, PLOT_HEIGHT)(value);
+
+const aggregateValues = ({ count, values }, aggregate) => {
+  if (aggregate === 'count') {
+    return count;
+  }
+  if (values.length === 0) {
+    return null;
+  }
+  switch (aggregate) {
+    case 'avg': return values.reduce((sum, value) => sum + value, 0) / values.length;
+    case 'min': return values.reduce((min, value) => Math.min(min, value));
+    case 'max': return values.reduce((max, value) => Math.max(max, value));
+    default: return values.reduce((sum, value) => sum + value, 0);
+  }
+};
+
+// One point per distinct X value, in the order the values first appear
+const groupRows = (rows, xColumn, yColumn, aggregate) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const x = row[xColumn.name];
+    const label = isMissing(x) ? 'NULL' : cellText(x, xColumn);
+    if (!groups.has(label)) {
+      groups.set(label, { label, x, count: 0, values: [] });
+    }
+    const group = groups.get(label);
+    const y = yColumn ? toNumber(row[yColumn.name]) : null;
+    group.count++;
+    if (y !== null) {
+      group.values.push(y);
+    }
+  });
+  return Array.from(groups.values())
+    .map(group => ({ label: group.label, x: group.x, y: aggregateValues(group, aggregate) }))
+    .filter(group => group.y !== null);
+};
+
+const categoryTicks = (labels, positionOf) => {
+  const every = Math.ceil(labels.length / MAX_CATEGORY_LABELS);
+  return labels
+    .map((label, index) => ({ position: positionOf(index), label: truncate(label) }))
+    .filter((tick, index) => index % every === 0);
+};
+
+// Points, bars and axis ticks in SVG coordinates, or a message when the axes cannot be charted
+const buildChart = (rows, chartType, xColumn, yColumn, aggregate) => {
+  if (!yColumn && (chartType === 'scatter' || aggregate !== 'count')) {
+    return { message: 'Pick a numeric column for the Y axis, or count rows per X value.' };
+  }
+
+  if (chartType === 'scatter') {
+    if (!isOrderedColumn(xColumn)) {
+      return { message: 'Scatter charts need a number or date column on the X axis.' };
+    }
+    const points = rows
+      .map(row => ({ row, x: axisValue(row[xColumn.name], xColumn), y: toNumber(row[yColumn.name]) }))
+      .filter(({ x, y }) => x !== null && y !== null);
+    if (points.length === 0) {
+      return { message: 'No rows have values in both columns.' };
+    }
+    const shown = points.slice(0, MAX_POINTS);
+    const xScale = niceScale(Math.min(...shown.map(({ x }) => x)), Math.max(...shown.map(({ x }) => x)));
+    const yScale = niceScale(Math.min(...shown.map(({ y }) => y)), Math.max(...shown.map(({ y }) => y)));
+    const toX = project(xScale, PLOT_WIDTH);
+    const toY = projectY(yScale);
+    return {
+      yScale,
+      toY,
+      xTicks: xScale.ticks.map(tick => ({ position: toX(tick), label: axisLabel(tick, xColumn) })),
+      points: shown.map(({ row, x, y }) => ({
+        cx: toX(x),
+        cy: toY(y),
+        title: `${cellText(row[xColumn.name], xColumn)}, ${cellText(row[yColumn.name], yColumn)}`
+      })),
+      note: points.length > shown.length ? `Showing the first ${shown.length} of ${points.length} points.` : null
+    };
+  }
+
+  let groups = groupRows(rows, xColumn, yColumn, aggregate);
+  if (groups.length === 0) {
+    return { message: 'No rows have a value for the Y axis.' };
+  }
+  const total = groups.length;
+  const limit = chartType === 'bar' ? MAX_BARS : MAX_POINTS;
+  if (chartType === 'line') {
+    groups = [...groups].sort((a, b) => {
+      if (isMissing(a.x) || isMissing(b.x)) {
+        return isMissing(a.x) - isMissing(b.x);
+      }
+      return compareValues(a.x, b.x, xColumn);
+    });
+  }
+  groups = groups.slice(0, limit);
+  const note = total > groups.length
+    ? `Showing the first ${groups.length} of ${total} ${chartType === 'bar' ? 'bars' : 'points'}.`
+    : null;
+
+  // Bars grow from zero; lines only need to span their values
+  const ys = groups.map(({ y }) => y);
+  const yScale = chartType === 'bar'
+    ? niceScale(Math.min(0, ...ys), Math.max(0, ...ys))
+    : niceScale(Math.min(...ys), Math.max(...ys));
+  const toY = projectY(yScale);
+  const title = group => `${group.label}: ${compactNumber.format(group.y)}`;
+
+  if (chartType === 'bar') {
+    const band = PLOT_WIDTH / groups.length;
+    return {
+      yScale,
+      toY,
+      note,
+      xTicks: categoryTicks(groups.map(({ label }) => label), index => (index + 0.5) * band),
+      bars: groups.map((group, index) => ({
+        x: index * band + band * 0.1,
+        width: band * 0.8,
+        y: toY(Math.max(group.y, 0)),
+        height: Math.abs(toY(group.y) - toY(0)),
+        title: title(group)
+      }))
+    };
+  }
+
+  const positions = groups.map(({ x }) => axisValue(x, xColumn));
+  const continuous = isOrderedColumn(xColumn) && positions.every(position => position !== null);
+  let toX;
+  let xTicks;
+  if (continuous) {
+    const xScale = niceScale(Math.min(...positions), Math.max(...positions));
+    const scaleX = project(xScale, PLOT_WIDTH);
+    toX = index => scaleX(positions[index]);
+    xTicks = xScale.ticks.map(tick => ({ position: scaleX(tick), label: axisLabel(tick, xColumn) }));
+  } else {
+    toX = index => (groups.length === 1 ? PLOT_WIDTH / 2 : index * PLOT_WIDTH / (groups.length - 1));
+    xTicks = categoryTicks(groups.map(({ label }) => label), toX);
+  }
+  return {
+    yScale,
+    toY,
+    note,
+    xTicks,
+    line: groups.map((group, index) => `${toX(index)},${toY(group.y)}`).join(' '),
+    points: groups.map((group, index) => ({ cx: toX(index), cy: toY(group.y), title: title(group) }))
+  };
+};
+
+// Bar, line and scatter charts of the rows currently shown in the grid
+const ResultChart = ({ columns, rows }) => {
+  const numericColumns = columns.filter(isNumericColumn);
+  const [chartType, setChartType] = useState('bar');
+  const [xName, setXName] = useState(null);
+  const [yName, setYName] = useState(null);
+  const [aggregate, setAggregate] = useState(null);
+
+  // Until something is picked, chart the first numeric column against the first other column
+  const xColumn = columns.find(column => column.name === xName)
+    || columns.find(column => !isNumericColumn(column))
+    || columns[0];
+  const yColumn = numericColumns.find(column => column.name === yName)
+    || numericColumns.find(column => column !== xColumn)
+    || numericColumns[0]
+    || null;
+  const effectiveAggregate = aggregate || (yColumn ? 'sum' : 'count');
+
+  const chart = useMemo(
+    () => buildChart(rows, chartType, xColumn, yColumn, effectiveAggregate),
+    [rows, chartType, xColumn, yColumn, effectiveAggregate]
+  );
+
+  let yLabel = yColumn?.name;
+  if (chartType !== 'scatter') {
+    yLabel = effectiveAggregate === 'count'
+      ? 'Count of rows'
+      : `${AGGREGATES.find(item => item.aggregate === effectiveAggregate).label} of ${yColumn?.name}`;
+  }
+
+  return (
+    <div className="result-chart">
+      <div className="chart-controls">
+        <label>
+          Chart
+          <select value={chartType} onChange={event => setChartType(event.target.value)}>
+            {CHART_TYPES.map(({ type, label }) => <option key={type} value={type}>{label}</option>)}
+          </select>
+        </label>
+        <label>
+          X axis
+          <select value={xColumn.name} onChange={event => setXName(event.target.value)}>
+            {columns.map(column => <option key={column.name} value={column.name}>{column.name}</option>)}
+          </select>
+        </label>
+        <label>
+          Y axis
+          <select value={yColumn?.name || ''} onChange={event => setYName(event.target.value)} disabled={numericColumns.length === 0}>
+            {numericColumns.length === 0 && <option value="">No numeric columns</option>}
+            {numericColumns.map(column => <option key={column.name} value={column.name}>{column.name}</option>)}
+          </select>
+        </label>
+        {chartType !== 'scatter' && (
+          <label>
+            Per X value
+            <select value={effectiveAggregate} onChange={event => setAggregate(event.target.value)}>
+              {AGGREGATES.map(item => <option key={item.aggregate} value={item.aggregate}>{item.label}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {chart.message ? (
+        <p className="chart-message">{chart.message}</p>
+      ) : (
+        <svg className="chart-svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`${yLabel} by ${xColumn.name}`}>
+          <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+            {chart.yScale.ticks.map(tick => (
+              <g key={tick} transform={`translate(0,${chart.toY(tick)})`}>
+                <line className="chart-grid-line" x1={0} x2={PLOT_WIDTH} />
+                <text className="chart-tick" x={-8} dy="0.32em" textAnchor="end">{compactNumber.format(tick)}</text>
+              </g>
+            ))}
+            {chart.xTicks.map((tick, index) => (
+              <text
+                key={index}
+                className="chart-tick"
+                transform={`translate(${tick.position},${PLOT_HEIGHT + 14}) rotate(-30)`}
+                textAnchor="end"
+              >
+                {tick.label}
+              </text>
+            ))}
+            <line className="chart-axis" x1={0} x2={PLOT_WIDTH} y1={PLOT_HEIGHT} y2={PLOT_HEIGHT} />
+            <line className="chart-axis" x1={0} x2={0} y1={0} y2={PLOT_HEIGHT} />
+
+            {chart.bars && chart.bars.map((bar, index) => (
+              <rect key={index} className="chart-bar" x={bar.x} y={bar.y} width={bar.width} height={bar.height}>
+                <title>{bar.title}</title>
+              </rect>
+            ))}
+            {chart.line && (
+              <polyline className="chart-line" points={chart.line} />
+            )}
+            {chart.points && chart.points.map((point, index) => (
+              <circle
+                key={index}
+                className={chartType === 'scatter' ? 'chart-point scatter' : 'chart-point'}
+                cx={point.cx}
+                cy={point.cy}
+                r={chartType === 'scatter' ? 3.5 : 3}
+              >
+                <title>{point.title}</title>
+              </circle>
+            ))}
+          </g>
+          <text className="chart-axis-label" x={MARGIN.left + PLOT_WIDTH / 2} y={HEIGHT - 6} textAnchor="middle">
+            {xColumn.name}
+          </text>
+          <text
+            className="chart-axis-label"
+            transform={`translate(16,${MARGIN.top + PLOT_HEIGHT / 2}) rotate(-90)`}
+            textAnchor="middle"
+          >
+            {yLabel}
+          </text>
+        </svg>
+      )}
+      {chart.note && <div className="chart-note">{chart.note}</div>}
+    </div>
+  );
+};
+
+export default ResultChart;
@@ -0,0 +1,364 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import ResultValue, { JsonTree, cellText, isNumericColumn, isTemporalColumn, toNumber } from './ResultValue';
+
+const ROW_HEIGHT = 30;
+const GRID_HEIGHT = 440;
+const OVERSCAN = 10;
+const MIN_COLUMN_WIDTH = 60;
+
+const COMPARISON_PATTERN = /^(>=|<=|!=|<>|>|<|=)\s*(.+)$/;
+
+const isMissing = value => value === null || value === undefined;
+
+const defaultWidth = (column) => {
+  if (isNumericColumn(column) || column.type === 'boolean') {
+    return 120;
+  }
+  return isTemporalColumn(column) ? 190 : 180;
+};
+
+// What a value is ordered by: numbers for NUMBER and parseable dates, text otherwise
+const sortKey = (value, column) => {
+  if (isNumericColumn(column)) {
+    return toNumber(value);
+  }
+  if (isTemporalColumn(column)) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? String(value) : time;
+  }
+  if (column?.type === 'boolean') {
+    return String(value).toLowerCase() === 'true' ? 1 : 0;
+  }
+  return cellText(value, column);
+};
+
+// Order of two non-null values of the same column
+export const compareValues = (a, b, column) => {
+  const left = sortKey(a, column);
+  const right = sortKey(b, column);
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+  return String(left).localeCompare(String(right), undefined, { numeric: true });
+};
+
+// A column filter is NULL, NOT NULL, a comparison such as >= 10 for numbers and dates,
+// or otherwise text the value must contain, ignoring case
+const matchesFilter = (value, column, filter) => {
+  const text = filter.trim();
+  if (!text) {
+    return true;
+  }
+  const upper = text.toUpperCase();
+  if (upper === 'NULL' || upper === 'NOT NULL') {
+    return isMissing(value) === (upper === 'NULL');
+  }
+  if (isMissing(value)) {
+    return false;
+  }
+  const comparison = (isNumericColumn(column) || isTemporalColumn(column)) && text.match(COMPARISON_PATTERN);
+  if (comparison) {
+    const [, operator, operand] = comparison;
+    const order = compareValues(value, operand.trim(), column);
+    switch (operator) {
+      case '>': return order > 0;
+      case '>=': return order >= 0;
+      case '<': return order < 0;
+      case '<=': return order <= 0;
+      case '=': return order === 0;
+      default: return order !== 0;
+    }
+  }
+  return cellText(value, column).toLowerCase().includes(text.toLowerCase());
+};
+
+export const filterRows = (rows, columns, filters) => {
+  const active = columns.filter(column => filters[column.name]?.trim());
+  if (active.length === 0) {
+    return rows;
+  }
+  return rows.filter(row => active.every(column => matchesFilter(row[column.name], column, filters[column.name])));
+};
+
+// Rows ordered by one column; NULLs go last in both directions
+export const sortRows = (rows, columns, sort) => {
+  const column = sort && columns.find(candidate => candidate.name === sort.name);
+  if (!column) {
+    return rows;
+  }
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const left = a[column.name];
+    const right = b[column.name];
+    if (isMissing(left) || isMissing(right)) {
+      return isMissing(left) - isMissing(right);
+    }
+    return direction * compareValues(left, right, column);
+  });
+};
+
+// NULL count and distinct values of every column, plus min and max for numbers and dates
+const columnStats = (columns, rows) => columns.map((column) => {
+  const distinct = new Set();
+  let nulls = 0;
+  let min = null;
+  let max = null;
+  const ordered = isNumericColumn(column) || isTemporalColumn(column);
+  rows.forEach((row) => {
+    const value = row[column.name];
+    if (isMissing(value)) {
+      nulls++;
+      return;
+    }
+    distinct.add(cellText(value, column));
+    if (ordered) {
+      if (min === null || compareValues(value, min, column) < 0) {
+        min = value;
+      }
+      if (max === null || compareValues(value, max, column) > 0) {
+        max = value;
+      }
+    }
+  });
+  return { nulls, distinct: distinct.size, min, max };
+});
+
+// Virtualized view of result rows: only the rows scrolled into view are rendered. Sorting and
+// filtering are owned by the caller so other views can use the same rows
+const ResultGrid = ({ columns, rows, sort, onSortChange, filters, onFiltersChange }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [widths, setWidths] = useState({});
+  const [pinned, setPinned] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [copyMessage, setCopyMessage] = useState(null);
+
+  useEffect(() => {
+    setSelected(null);
+  }, [rows]);
+
+  useEffect(() => {
+    if (!copyMessage) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setCopyMessage(null), 2000);
+    return () => clearTimeout(timer);
+  }, [copyMessage]);
+
+  const stats = useMemo(() => columnStats(columns, rows), [columns, rows]);
+
+  // Pinned columns come first and stay in place when scrolling sideways
+  const layout = useMemo(() => {
+    const ordered = [
+      ...pinned.map(name => columns.findIndex(column => column.name === name)).filter(index => index >= 0),
+      ...columns.map((column, index) => index).filter(index => !pinned.includes(columns[index].name))
+    ];
+    let left = 0;
+    return ordered.map((index) => {
+      const column = columns[index];
+      const width = widths[column.name] || defaultWidth(column);
+      const isPinned = pinned.includes(column.name);
+      const entry = { column, index, width, isPinned, left: isPinned ? left : undefined };
+      if (isPinned) {
+        left += width;
+      }
+      return entry;
+    });
+  }, [columns, pinned, widths]);
+
+  const totalWidth = layout.reduce((sum, { width }) => sum + width, 0);
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + GRID_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+  const cellClass = ({ column, isPinned }, base) => [
+    base,
+    isNumericColumn(column) && 'numeric',
+    isPinned && 'pinned'
+  ].filter(Boolean).join(' ');
+
+  const cellStyle = ({ width, left }) => ({ width, minWidth: width, left });
+
+  const toggleSort = (name) => {
+    if (sort?.name !== name) {
+      onSortChange({ name, direction: 'asc' });
+    } else {
+      onSortChange(sort.direction === 'asc' ? { name, direction: 'desc' } : null);
+    }
+  };
+
+  const togglePin = (name) => {
+    setPinned(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
+  // Drag the right edge of a header to resize its column; double-click resets it
+  const startResize = (event, column, width) => {
+    event.preventDefault();
+    const startX = event.clientX;
+    const onMove = (moveEvent) => {
+      setWidths(prev => ({ ...prev, [column.name]: Math.max(MIN_COLUMN_WIDTH, width + moveEvent.clientX - startX) }));
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  };
+
+  const resetWidth = (column) => {
+    setWidths(({ [column.name]: removed, ...rest }) => rest);
+  };
+
+  const copy = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopyMessage(`${label} copied`);
+    } catch (err) {
+      console.error('Copy error:', err);
+      setCopyMessage('Copying is not available in this browser');
+    }
+  };
+
+  const selectedRow = selected && rows[selected.row];
+  const selectedColumn = selected && columns.find(column => column.name === selected.name);
+
+  const copyCell = () => {
+    copy(cellText(selectedRow[selectedColumn.name], selectedColumn), 'Cell');
+  };
+
+  const copyRow = (format) => {
+    const text = format === 'json'
+      ? JSON.stringify(Object.fromEntries(columns.map(column => [column.name, selectedRow[column.name] ?? null])), null, 2)
+      : columns.map(column => cellText(selectedRow[column.name], column)).join('\t');
+    copy(text, 'Row');
+  };
+
+  const handleKeyDown = (event) => {
+    if (selectedRow && (event.ctrlKey || event.metaKey) && event.key === 'c' && !window.getSelection().toString()) {
+      event.preventDefault();
+      copyCell();
+    }
+  };
+
+  const formatStat = (value, column) => (isMissing(value) ? '–' : cellText(value, column));
+
+  return (
+    <div className="result-grid">
+      <div className="grid-toolbar">
+        <span className="grid-selection">
+          {selectedRow ? `Row ${selected.row + 1}, ${selected.name}` : 'Select a cell to copy it or its row'}
+        </span>
+        <button type="button" onClick={copyCell} disabled={!selectedRow}>Copy cell</button>
+        <button type="button" onClick={() => copyRow('tsv')} disabled={!selectedRow}>Copy row</button>
+        <button type="button" onClick={() => copyRow('json')} disabled={!selectedRow}>Copy row as JSON</button>
+        {copyMessage && <span className="grid-copy-message">{copyMessage}</span>}
+      </div>
+
+      <div
+        className="grid-viewport"
+        style={{ maxHeight: GRID_HEIGHT }}
+        tabIndex={0}
+        onScroll={event => setScrollTop(event.currentTarget.scrollTop)}
+        onKeyDown={handleKeyDown}
+      >
+        <div style={{ width: totalWidth }}>
+          <div className="grid-header">
+            <div className="grid-row">
+              {layout.map(entry => (
+                <div key={entry.index} className={cellClass(entry, 'grid-cell grid-heading')} style={cellStyle(entry)} title={entry.column.type || undefined}>
+                  <button type="button" className="grid-sort" onClick={() => toggleSort(entry.column.name)}>
+                    {entry.column.name}
+                    {sort?.name === entry.column.name && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                  <button
+                    type="button"
+                    className={`grid-pin ${entry.isPinned ? 'active' : ''}`}
+                    onClick={() => togglePin(entry.column.name)}
+                    title={entry.isPinned ? 'Unpin column' : 'Pin column'}
+                  >
+                    📌
+                  </button>
+                  <span
+                    className="grid-resize"
+                    onMouseDown={event => startResize(event, entry.column, entry.width)}
+                    onDoubleClick={() => resetWidth(entry.column)}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="grid-row">
+              {layout.map(entry => (
+                <div key={entry.index} className={cellClass(entry, 'grid-cell grid-filter')} style={cellStyle(entry)}>
+                  <input
+                    type="text"
+                    value={filters[entry.column.name] || ''}
+                    onChange={event => onFiltersChange({ ...filters, [entry.column.name]: event.target.value })}
+                    placeholder={isNumericColumn(entry.column) || isTemporalColumn(entry.column) ? 'Filter, e.g. >= 10' : 'Filter'}
+                    title="Text to match, NULL, NOT NULL, or for numbers and dates a comparison such as >= 10"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid-body" style={{ height: Math.max(rows.length, 1) * ROW_HEIGHT }}>
+            {rows.length === 0 && <div className="grid-empty">No rows match the filters.</div>}
+            {rows.slice(first, last).map((row, offset) => {
+              const rowIndex = first + offset;
+              return (
+                <div
+                  key={rowIndex}
+                  className={`grid-row ${rowIndex % 2 ? 'odd' : ''}`}
+                  style={{ top: rowIndex * ROW_HEIGHT, height: ROW_HEIGHT }}
+                >
+                  {layout.map((entry) => {
+                    const value = row[entry.column.name];
+                    const isSelected = selected?.row === rowIndex && selected.name === entry.column.name;
+                    return (
+                      <div
+                        key={entry.index}
+                        className={cellClass(entry, `grid-cell ${isSelected ? 'selected' : ''}`)}
+                        style={cellStyle(entry)}
+                        title={isMissing(value) ? 'NULL' : cellText(value, entry.column)}
+                        onClick={() => setSelected({ row: rowIndex, name: entry.column.name })}
+                      >
+                        {value !== null && typeof value === 'object'
+                          ? <span className="cell-json">{JSON.stringify(value)}</span>
+                          : <ResultValue value={value} column={entry.column} />}
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="grid-row grid-footer">
+            {layout.map((entry) => {
+              const { nulls, distinct, min, max } = stats[entry.index];
+              const ordered = isNumericColumn(entry.column) || isTemporalColumn(entry.column);
+              return (
+                <div key={entry.index} className={cellClass(entry, 'grid-cell grid-stats')} style={cellStyle(entry)}>
+                  <div>{nulls} null · {distinct} distinct</div>
+                  {ordered && (
+                    <div title={`min ${formatStat(min, entry.column)}, max ${formatStat(max, entry.column)}`}>
+                      {formatStat(min, entry.column)} … {formatStat(max, entry.column)}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {selectedRow && selectedRow[selected.name] !== null && typeof selectedRow[selected.name] === 'object' && (
+        <div className="grid-cell-detail">
+          <strong>{selected.name}</strong>
+          <JsonTree value={selectedRow[selected.name]} defaultOpen />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultGrid;
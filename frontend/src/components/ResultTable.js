@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import { resultColumns } from './ResultValue';
+import ResultGrid, { filterRows, sortRows } from './ResultGrid';
+import ResultChart from './ResultChart';
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'tsv', label: 'TSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'ndjson', label: 'NDJSON' },
+  { format: 'xlsx', label: 'Excel' }
+];
+
+// Rows of one statement result as a grid or a chart, with export links and on-demand paging
+const ResultTable = ({ result }) => {
+  const [rows, setRows] = useState(result.data || []);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [view, setView] = useState('grid');
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState({});
+
+  useEffect(() => {
+    setRows(result.data || []);
+    setError(null);
+    setSort(null);
+    setFilters({});
+  }, [result]);
+
+  const statementId = result.metadata?.statementId;
+  const totalRowCount = result.metadata?.totalRowCount;
+  const columns = useMemo(() => resultColumns(result), [result]);
+  // The grid and the chart both show the loaded rows after filtering and sorting
+  const shownRows = useMemo(
+    () => sortRows(filterRows(rows, columns, filters), columns, sort),
+    [rows, columns, filters, sort]
+  );
+
+  // Fetch the next page of a result that was truncated by the server-side row cap
+  const loadMoreRows = async () => {
+    setLoadingMore(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/statements/${statementId}/rows`, {
+        params: { offset: rows.length }
+      });
+      setRows(prev => [...prev, ...response.data.data]);
+    } catch (err) {
+      console.error('Load more rows error:', err);
+      setError(err.response?.data?.error || 'An error occurred while loading more rows');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div>
+      {statementId && result.columns?.length > 0 && (
+        <div className="export-buttons">
+          <strong>Download as:</strong>
+          {EXPORT_FORMATS.map(({ format, label }) => (
+            <a
+              key={format}
+              className="button button-small"
+              href={`/api/statements/${statementId}/export?format=${format}`}
+              download
+            >
+              {label}
+            </a>
+          ))}
+        </div>
+      )}
+
+      {rows.length > 0 ? (
+        <div>
+          <h3>
+            Results ({rows.length}
+            {totalRowCount > rows.length && ` of ${totalRowCount}`} rows
+            {shownRows.length < rows.length && `, ${shownRows.length} matching filters`}):
+          </h3>
+          <div className="result-view-tabs">
+            <button className={view === 'grid' ? 'active' : ''} onClick={() => setView('grid')}>
+              Grid
+            </button>
+            <button className={view === 'chart' ? 'active' : ''} onClick={() => setView('chart')}>
+              Chart
+            </button>
+          </div>
+          {view === 'grid' ? (
+            <ResultGrid
+              columns={columns}
+              rows={shownRows}
+              sort={sort}
+              onSortChange={setSort}
+              filters={filters}
+              onFiltersChange={setFilters}
+            />
+          ) : (
+            <ResultChart columns={columns} rows={shownRows} />
+          )}
+          {totalRowCount > rows.length && (
+            <div style={{ marginTop: '10px' }}>
+              <button
+                className="button"
+                onClick={loadMoreRows}
+                disabled={loadingMore}
+              >
+                {loadingMore ? 'Loading...' : 'Load More Rows'}
+              </button>
+            </div>
+          )}
+          {error && (
+            <div className="error">
+              <strong>Error:</strong> {error}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div>
+          <h3>Query executed successfully</h3>
+          <p>No rows returned.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultTable;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+
+const NUMERIC_TYPES = ['fixed', 'real'];
+const SEMI_STRUCTURED_TYPES = ['variant', 'object', 'array'];
+const TIMESTAMP_TYPES = ['timestamp_ntz', 'timestamp_ltz', 'timestamp_tz'];
+
+export const isNumericColumn = column => !!column && NUMERIC_TYPES.includes(column.type);
+
+export const isTemporalColumn = column => !!column
+  && (column.type === 'date' || column.type === 'time' || TIMESTAMP_TYPES.includes(column.type));
+
+// A NUMBER value as a double, or null when it is missing or not numeric
+export const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Column metadata for a result, falling back to bare names for results without it
+export const resultColumns = result => result.metadata?.columns
+  || (result.columns || []).map(name => ({ name, type: null }));
+
+// NUMBER values arrive as numbers when a double holds them exactly and as strings otherwise
+const formatNumber = (value, column) => {
+  if (typeof value === 'number' && column.type === 'fixed' && column.scale > 0) {
+    return value.toFixed(column.scale);
+  }
+  return String(value);
+};
+
+// ISO strings from the backend, shown with a space instead of the T; zoned values keep their offset
+const formatTemporal = value => String(value).replace('T', ' ').replace(/Z$/, ' UTC');
+
+// A value as plain text, as it is shown in a cell; used for copying, filtering and labels
+export const cellText = (value, column) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (isNumericColumn(column)) {
+    return formatNumber(value, column);
+  }
+  if (isTemporalColumn(column)) {
+    return formatTemporal(value);
+  }
+  if (column?.type === 'boolean') {
+    return String(value).toUpperCase();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const JsonScalar = ({ value }) => {
+  if (value === null) {
+    return <span className="json-null">null</span>;
+  }
+  if (typeof value === 'string') {
+    return <span className="json-string">"{value}"</span>;
+  }
+  return <span className={`json-${typeof value}`}>{String(value)}</span>;
+};
+
+// Collapsible view of a VARIANT, OBJECT or ARRAY value
+export const JsonTree = ({ value, label, defaultOpen = false }) => {
+  const [open, setOpen] = useState(defaultOpen);
+
+  if (value === null || typeof value !== 'object') {
+    return (
+      <div className="json-entry">
+        {label !== undefined && <span className="json-key">{label}: </span>}
+        <JsonScalar value={value} />
+      </div>
+    );
+  }
+
+  const isArray = Array.isArray(value);
+  const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+  const summary = isArray ? `[…] ${entries.length} items` : `{…} ${entries.length} keys`;
+
+  return (
+    <div className="json-entry">
+      <button type="button" className="json-toggle" onClick={() => setOpen(!open)}>
+        {open ? '▾' : '▸'}
+        {label !== undefined && <span className="json-key"> {label}:</span>}
+        {!open && <span className="json-summary"> {summary}</span>}
+      </button>
+      {open && (
+        <div className="json-children">
+          {entries.map(([key, item]) => <JsonTree key={key} label={key} value={item} />)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// One result cell rendered according to its column type
+const ResultValue = ({ value, column }) => {
+  if (value === null || value === undefined) {
+    return <span className="cell-null">NULL</span>;
+  }
+
+  const type = column?.type;
+  if (NUMERIC_TYPES.includes(type)) {
+    return <span className="cell-number">{formatNumber(value, column)}</span>;
+  }
+  if (type === 'boolean') {
+    return <span className="cell-boolean">{String(value).toUpperCase()}</span>;
+  }
+  if (isTemporalColumn(column)) {
+    return <span className="cell-temporal" title={String(value)}>{formatTemporal(value)}</span>;
+  }
+  if (type === 'binary') {
+    return <span className="cell-binary">{value}</span>;
+  }
+  if (typeof value === 'object' || SEMI_STRUCTURED_TYPES.includes(type)) {
+    return typeof value === 'object' ? <JsonTree value={value} /> : <JsonScalar value={value} />;
+  }
+  return String(value);
+};
+
+export default ResultValue;
@@ -0,0 +1,51 @@
+import React from 'react';
+import ResultTable from './ResultTable';
+import ErrorGuidance from './ErrorGuidance';
+
+const STATUS_LABELS = {
+  succeeded: '✅ Succeeded',
+  failed: '❌ Failed',
+  skipped: '⏭️ Skipped'
+};
+
+const firstLine = sql => sql.split('\n').find(line => line.trim() && !line.trim().startsWith('--')) || sql;
+
+// One collapsible panel per statement of a multi-statement script
+const ScriptResults = ({ results }) => {
+  const { statements, metadata } = results;
+
+  return (
+    <div>
+      <h3>
+        Script results: {metadata.succeeded} succeeded, {metadata.failed} failed, {metadata.skipped} skipped
+      </h3>
+      {statements.map((statement) => (
+        <details
+          key={statement.index}
+          className={`statement-panel ${statement.status}`}
+          open={statement.status === 'failed'}
+        >
+          <summary>
+            <span className="statement-status">{STATUS_LABELS[statement.status]}</span>
+            <span className="statement-line">Line {statement.line}</span>
+            <code>{firstLine(statement.sqlText)}</code>
+            {statement.status === 'succeeded' && <span className="statement-rows">({statement.rowCount} rows)</span>}
+          </summary>
+          <div className="statement-body">
+            <pre className="statement-sql">{statement.sqlText}</pre>
+            {statement.status === 'succeeded' && <ResultTable result={statement} />}
+            {statement.status === 'failed' && (
+              <div className="error">
+                <strong>Error:</strong> {statement.error}
+                <ErrorGuidance details={statement} />
+              </div>
+            )}
+            {statement.status === 'skipped' && <p>Not executed because an earlier statement failed or the script was cancelled.</p>}
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+};
+
+export default ScriptResults;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const SECONDARY_ROLE_KEYWORDS = ['ALL', 'NONE'];
+
+const quoteName = name => `"${name.replace(/"/g, '""')}"`;
+
+// The tab's context as the backend's request context: names from the pickers are quoted so they are
+// used exactly as listed, and a query tag that is a JSON object is sent as one
+export const requestContext = (context = {}) => {
+  const { warehouse, database, schema, secondaryRoles, queryTag } = context;
+  let tag = queryTag && queryTag.trim() ? queryTag.trim() : undefined;
+  if (tag && tag.startsWith('{')) {
+    try {
+      tag = JSON.parse(tag);
+    } catch (err) {
+      // Not JSON after all; send it as a plain tag
+    }
+  }
+  return {
+    warehouse: warehouse ? quoteName(warehouse) : undefined,
+    database: database ? quoteName(database) : undefined,
+    schema: database && schema ? quoteName(schema) : undefined,
+    secondaryRoles: Array.isArray(secondaryRoles) ? secondaryRoles.map(quoteName) : (secondaryRoles || undefined),
+    queryTag: tag
+  };
+};
+
+const useCatalogItems = (path, useCallersRights) => {
+  const [items, setItems] = useState([]);
+  useEffect(() => {
+    if (!path) {
+      setItems([]);
+      return undefined;
+    }
+    let cancelled = false;
+    axios.get(`/api/catalog/${path}`, { params: { useCallersRights } })
+      .then((response) => {
+        if (!cancelled) {
+          setItems(response.data.items);
+        }
+      })
+      .catch((err) => {
+        console.error('Session context options error:', err);
+        if (!cancelled) {
+          setItems([]);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [path, useCallersRights]);
+  return items;
+};
+
+// A saved name that is no longer offered still shows, so the picker never silently changes it
+const withCurrent = (names, current) => (current && !names.includes(current) ? [current, ...names] : names);
+
+// Warehouse, secondary roles, database, schema and query tag for the tab's queries. Warehouses and
+// roles are the ones granted to the execution mode's user; blank fields keep the server defaults
+const SessionContextPicker = ({ context = {}, useCallersRights, onChange }) => {
+  const { warehouse = '', database = '', schema = '', secondaryRoles = '', queryTag = '' } = context;
+  const warehouses = useCatalogItems('warehouses', useCallersRights);
+  const roles = useCatalogItems('roles', useCallersRights);
+  const databases = useCatalogItems('databases', useCallersRights);
+  const schemas = useCatalogItems(database ? `databases/${encodeURIComponent(database)}/schemas` : null, useCallersRights);
+
+  const update = changes => onChange({ ...context, ...changes });
+
+  const roleValue = Array.isArray(secondaryRoles) ? `role:${secondaryRoles[0]}` : secondaryRoles;
+  const selectRoles = (value) => {
+    update({ secondaryRoles: value.startsWith('role:') ? [value.substring(5)] : value });
+  };
+
+  return (
+    <div className="session-context">
+      <strong>Session</strong>
+      <label>
+        Warehouse
+        <select value={warehouse} onChange={e => update({ warehouse: e.target.value })}>
+          <option value="">Default</option>
+          {withCurrent(warehouses.map(item => item.name), warehouse).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </label>
+      <label>
+        Secondary roles
+        <select value={roleValue} onChange={e => selectRoles(e.target.value)}>
+          <option value="">Default</option>
+          {SECONDARY_ROLE_KEYWORDS.map(keyword => <option key={keyword} value={keyword}>{keyword}</option>)}
+          {withCurrent(roles.map(item => item.name), Array.isArray(secondaryRoles) ? secondaryRoles[0] : null)
+            .map(name => <option key={name} value={`role:${name}`}>{name}</option>)}
+        </select>
+      </label>
+      <label>
+        Database
+        <select value={database} onChange={e => update({ database: e.target.value, schema: '' })}>
+          <option value="">Default</option>
+          {withCurrent(databases.map(item => item.name), database).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </label>
+      <label>
+        Schema
+        <select value={schema} onChange={e => update({ schema: e.target.value })} disabled={!database}>
+          <option value="">Default</option>
+          {withCurrent(schemas.map(item => item.name), schema).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </label>
+      <label>
+        Query tag
+        <input
+          type="text"
+          value={queryTag}
+          placeholder='nightly-report or {"team": "bi"}'
+          onChange={e => update({ queryTag: e.target.value })}
+          title="Added to the execution mode in the session's JSON query tag"
+        />
+      </label>
+    </div>
+  );
+};
+
+export default SessionContextPicker;
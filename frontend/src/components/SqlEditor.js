@@ -0,0 +1,270 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import { Compartment, EditorState } from '@codemirror/state';
+import {
+  EditorView, drawSelection, highlightActiveLine, highlightActiveLineGutter, keymap, lineNumbers, placeholder
+} from '@codemirror/view';
+import { defaultKeymap, history, historyKeymap, indentWithTab } from '@codemirror/commands';
+import { bracketMatching, defaultHighlightStyle, indentOnInput, syntaxHighlighting } from '@codemirror/language';
+import { autocompletion, closeBrackets, closeBracketsKeymap, completionKeymap } from '@codemirror/autocomplete';
+import { SQLDialect, sql } from '@codemirror/lang-sql';
+import { lintGutter, setDiagnostics } from '@codemirror/lint';
+import { format } from 'sql-formatter';
+
+const SNOWFLAKE_KEYWORDS = 'account alter all and any as asc at before between by call case cast changes cluster clone column comment commit connect connection constraint copy create cross current database databases default delete desc describe distinct drop else end except execute exists explain false fetch file first flatten following for format from full function grant grants group having identifier if ilike in inner insert intersect into is join lateral left like limit match_recognize merge minus natural not null nulls of offset on or order outer over partition pipe pivot procedure qualify range recursive regexp replace revoke right rlike role roles rollback row rows sample schema schemas secondary select sequence session set show stage start stream table tables tablesample task then to top transaction transient true truncate undrop union unpivot unset update use using values view views warehouse warehouses when where window with';
+
+const SNOWFLAKE_TYPES = 'array bigint binary boolean char character date datetime decimal double float float4 float8 geography geometry int integer number numeric object real smallint string text time timestamp timestamp_ltz timestamp_ntz timestamp_tz tinyint varbinary varchar variant vector';
+
+const SNOWFLAKE_FUNCTIONS = 'abs array_agg array_construct array_contains array_size avg coalesce concat contains count count_if current_account current_database current_date current_region current_role current_schema current_secondary_roles current_session current_timestamp current_user current_version current_warehouse date_trunc dateadd datediff decode div0 endswith first_value flatten get get_path greatest hash iff ifnull initcap is_role_in_session lag last_day last_value lead least left len length listagg lower lpad ltrim max md5 median min mod nullif nvl nvl2 object_construct object_keys parse_json percentile_cont rank regexp_like regexp_replace regexp_substr replace right round row_number rpad rtrim sha2 split split_part sqrt startswith stddev substr substring sum sysdate to_char to_date to_decimal to_json to_number to_timestamp to_timestamp_ltz to_timestamp_ntz to_timestamp_tz to_varchar to_variant trim trunc try_cast try_parse_json try_to_date try_to_number typeof upper uuid_string variance year';
+
+// Snowflake SQL: $$ bodies are strings, // starts a comment and unquoted identifiers ignore case
+export const SnowflakeSQL = SQLDialect.define({
+  keywords: SNOWFLAKE_KEYWORDS,
+  types: SNOWFLAKE_TYPES,
+  builtin: SNOWFLAKE_FUNCTIONS,
+  slashComments: true,
+  doubleDollarQuotedStrings: true,
+  backslashEscapes: true,
+  caseInsensitiveIdentifiers: true
+});
+
+// Named :binds and ? placeholders as the backend reads them; src:field paths are left alone
+const FORMAT_OPTIONS = {
+  language: 'snowflake',
+  keywordCase: 'upper',
+  paramTypes: { positional: true, custom: [{ regex: '(?<![A-Za-z0-9_$\\]")]):[A-Za-z_][A-Za-z0-9_]*' }] }
+};
+
+export const formatSql = text => format(text, FORMAT_OPTIONS);
+
+const skipUntil = (text, i, terminator) => {
+  const end = text.indexOf(terminator, i);
+  return end === -1 ? text.length : end + terminator.length;
+};
+
+const skipQuoted = (text, i, quote) => {
+  let pos = i + 1;
+  while (pos < text.length) {
+    if (text[pos] === '\\' && quote === "'") {
+      pos += 2;
+    } else if (text[pos] === quote) {
+      if (text[pos + 1] !== quote) {
+        return pos + 1;
+      }
+      pos += 2;
+    } else {
+      pos++;
+    }
+  }
+  return text.length;
+};
+
+// { from, to } of every statement, split on semicolons outside literals and comments the way the backend does
+const statementRanges = (text) => {
+  const ranges = [];
+  let start = 0;
+  let i = 0;
+
+  const push = (end) => {
+    const raw = text.substring(start, end);
+    if (raw.trim()) {
+      const from = start + raw.length - raw.trimStart().length;
+      ranges.push({ from, to: from + raw.trim().length });
+    }
+    start = end + 1;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if ((ch === '-' && next === '-') || (ch === '/' && next === '/')) {
+      i = skipUntil(text, i, '\n');
+    } else if (ch === '/' && next === '*') {
+      i = skipUntil(text, i + 2, '*/');
+    } else if (ch === '$' && next === '$' && !(i > 0 && /[A-Za-z0-9_$]/.test(text[i - 1]))) {
+      i = skipUntil(text, i + 2, '$$');
+    } else if (ch === "'" || ch === '"') {
+      i = skipQuoted(text, i, ch);
+    } else if (ch === ';') {
+      push(i);
+      i++;
+    } else {
+      i++;
+    }
+  }
+  push(text.length);
+
+  return ranges;
+};
+
+// The statement the cursor is in, or the one it just finished when it sits past a semicolon
+const statementAt = (text, position) => {
+  const ranges = statementRanges(text);
+  return ranges.find(range => position <= range.to + 1 && position >= range.from)
+    || ranges.filter(range => range.to <= position).pop()
+    || ranges[0]
+    || null;
+};
+
+// What to run: the selection if there is one, else the statement under the cursor or the whole editor.
+// from is where the text starts in the editor, so error locations can be mapped back onto it
+const runTarget = (state, statementOnly) => {
+  const { from, to } = state.selection.main;
+  if (from !== to) {
+    return { from, text: state.sliceDoc(from, to) };
+  }
+  if (!statementOnly) {
+    return { from: 0, text: state.doc.toString() };
+  }
+  const range = statementAt(state.doc.toString(), from);
+  return range ? { from: range.from, text: state.sliceDoc(range.from, range.to) } : null;
+};
+
+// Autocomplete namespace from catalog completions: tables of the current schema by their bare
+// name, and qualified as SCHEMA.TABLE or DATABASE.SCHEMA.TABLE
+export const completionSchema = (tables) => {
+  if (!tables || tables.length === 0) {
+    return null;
+  }
+  const { database, schema } = tables[0];
+  const tableNamespace = Object.fromEntries(tables.map(table => [
+    table.name,
+    table.columns.map(column => ({ label: column.name, type: 'property', detail: column.type }))
+  ]));
+  return {
+    namespace: { [schema]: tableNamespace, [database]: { [schema]: tableNamespace } },
+    defaultSchema: schema
+  };
+};
+
+const languageSupport = completion => sql({
+  dialect: SnowflakeSQL,
+  upperCaseKeywords: true,
+  ...(completion ? { schema: completion.namespace, defaultSchema: completion.defaultSchema } : {})
+});
+
+// Document range for an error location reported against text that started at offset.
+// Positions are 0-based columns; the whole identifier at the position is underlined
+const markerRange = (doc, { offset, line, position }) => {
+  const lineNumber = doc.lineAt(Math.min(offset, doc.length)).number + line - 1;
+  if (lineNumber > doc.lines) {
+    return null;
+  }
+  const target = doc.line(lineNumber);
+  const from = Math.min((line === 1 ? offset : target.from) + position, target.to);
+  const word = /^[A-Za-z0-9_$"'.]+/.exec(doc.sliceString(from, target.to));
+  if (word) {
+    return { from, to: from + word[0].length };
+  }
+  return from < target.to ? { from, to: from + 1 } : { from: target.from, to: target.to };
+};
+
+// Format the selection, or the whole editor when nothing is selected
+const formatCode = (view, onError) => {
+  const { from, to } = view.state.selection.main;
+  const range = from === to ? { from: 0, to: view.state.doc.length } : { from, to };
+  try {
+    view.dispatch({ changes: { ...range, insert: formatSql(view.state.sliceDoc(range.from, range.to)) } });
+  } catch (err) {
+    if (onError) {
+      onError(err.message.split('\n')[0]);
+    }
+  }
+  return true;
+};
+
+// CodeMirror editor for Snowflake SQL. Ctrl+Enter runs the selection (or everything),
+// Ctrl+Shift+Enter the statement under the cursor and Shift+Alt+F formats.
+// errorMarker ({ offset, line, position, message }) underlines where a statement failed
+const SqlEditor = forwardRef(({ value, onChange, onRun, onFormatError, completion, errorMarker }, ref) => {
+  const hostRef = useRef(null);
+  const viewRef = useRef(null);
+  const initialValue = useRef(value);
+  const language = useRef(new Compartment());
+  const handlers = useRef({});
+  handlers.current = { onChange, onRun, onFormatError };
+
+  // The view is created once, so its keymap reaches the latest callbacks through handlers
+  const run = (view, statementOnly) => {
+    const target = runTarget(view.state, statementOnly);
+    if (target) {
+      handlers.current.onRun(target);
+    }
+    return true;
+  };
+
+  useEffect(() => {
+    const view = new EditorView({
+      parent: hostRef.current,
+      state: EditorState.create({
+        doc: initialValue.current,
+        extensions: [
+          lineNumbers(),
+          highlightActiveLineGutter(),
+          history(),
+          drawSelection(),
+          indentOnInput(),
+          bracketMatching(),
+          closeBrackets(),
+          autocompletion(),
+          highlightActiveLine(),
+          syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
+          lintGutter(),
+          placeholder('Enter your SQL query here...'),
+          language.current.of(languageSupport(null)),
+          keymap.of([
+            { key: 'Mod-Enter', run: target => run(target, false) },
+            { key: 'Shift-Mod-Enter', run: target => run(target, true) },
+            { key: 'Shift-Alt-f', run: target => formatCode(target, handlers.current.onFormatError) },
+            ...closeBracketsKeymap,
+            ...completionKeymap,
+            ...defaultKeymap,
+            ...historyKeymap,
+            indentWithTab
+          ]),
+          EditorView.updateListener.of((update) => {
+            if (update.docChanged) {
+              handlers.current.onChange(update.state.doc.toString());
+            }
+          })
+        ]
+      })
+    });
+    viewRef.current = view;
+    return () => view.destroy();
+  }, []);
+
+  // Text loaded from outside, e.g. a history entry, replaces the document
+  useEffect(() => {
+    const view = viewRef.current;
+    const current = view.state.doc.toString();
+    if (value !== current) {
+      view.dispatch({ changes: { from: 0, to: current.length, insert: value } });
+    }
+  }, [value]);
+
+  useEffect(() => {
+    viewRef.current.dispatch({ effects: language.current.reconfigure(languageSupport(completion)) });
+  }, [completion]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    const range = errorMarker ? markerRange(view.state.doc, errorMarker) : null;
+    view.dispatch(setDiagnostics(view.state, range ? [{ ...range, severity: 'error', message: errorMarker.message }] : []));
+  }, [errorMarker]);
+
+  useImperativeHandle(ref, () => ({
+    // Replace the selection with text from the schema explorer
+    insert: (text) => {
+      const view = viewRef.current;
+      view.dispatch(view.state.replaceSelection(text));
+      view.focus();
+    },
+    format: () => formatCode(viewRef.current, handlers.current.onFormatError),
+    runTarget: statementOnly => runTarget(viewRef.current.state, statementOnly)
+  }));
+
+  return <div ref={hostRef} className="sql-editor" />;
+});
+
+export default SqlEditor;
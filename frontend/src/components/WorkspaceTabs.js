@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+
+const STORAGE_KEY = 'snowflake-sql-workspace';
+
+export const EXAMPLE_QUERY = '-- Try these example queries:\n-- SELECT CURRENT_USER(), CURRENT_ROLE(), CURRENT_DATABASE(), CURRENT_SCHEMA();\n-- SELECT * FROM SAMPLE_DATA LIMIT 10;\n-- SELECT * FROM EMPLOYEE_SUMMARY;\n\nselect current_database(), current_schema(), current_warehouse();';
+
+const newTabId = () => `tab-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+
+// Everything a tab keeps across reloads; context is the session context picked for it and
+// jobId is the tab's last query job, reattached on load
+export const createTab = (name, fields = {}) => ({
+  id: newTabId(),
+  name,
+  query: '',
+  useCallersRights: false,
+  continueOnError: false,
+  bindValues: {},
+  context: {},
+  jobId: null,
+  ...fields
+});
+
+// "Query N" with N one past the highest number in use
+export const nextTabName = (tabs) => {
+  const numbers = tabs.map(tab => /^Query (\d+)$/.exec(tab.name)).filter(Boolean).map(match => Number(match[1]));
+  return `Query ${Math.max(0, ...numbers) + 1}`;
+};
+
+const defaultWorkspace = () => {
+  const tab = createTab('Query 1', { query: EXAMPLE_QUERY });
+  return { tabs: [tab], activeId: tab.id };
+};
+
+// The saved workspace, or a single example tab when there is none or it cannot be read
+export const loadWorkspace = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved || !Array.isArray(saved.tabs) || saved.tabs.length === 0) {
+      return defaultWorkspace();
+    }
+    const tabs = saved.tabs.map(tab => createTab(tab.name || 'Query', { ...tab, bindValues: tab.bindValues || {}, context: tab.context || {} }));
+    const active = saved.tabs.findIndex(tab => tab.id === saved.activeId);
+    return { tabs, activeId: tabs[Math.max(active, 0)].id };
+  } catch (err) {
+    console.error('Could not restore the workspace:', err);
+    return defaultWorkspace();
+  }
+};
+
+export const saveWorkspace = (workspace) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(workspace));
+  } catch (err) {
+    // Storage can be full or disabled; the workspace then only lasts until the page is closed
+    console.error('Could not save the workspace:', err);
+  }
+};
+
+// Tab bar: click to switch, double-click a name to rename it
+const WorkspaceTabs = ({ tabs, activeId, running, onSelect, onAdd, onRename, onDuplicate, onClose, onCloseOthers }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const startRename = (tab) => {
+    setEditingId(tab.id);
+    setDraft(tab.name);
+  };
+
+  const finishRename = () => {
+    if (draft.trim()) {
+      onRename(editingId, draft.trim());
+    }
+    setEditingId(null);
+  };
+
+  const handleRenameKey = (e) => {
+    if (e.key === 'Enter') {
+      finishRename();
+    } else if (e.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  const activeTab = tabs.find(tab => tab.id === activeId);
+
+  return (
+    <div className="query-tabs">
+      <div className="query-tab-list" role="tablist">
+        {tabs.map(tab => (
+          <div key={tab.id} className={`query-tab-item ${tab.id === activeId ? 'active' : ''}`}>
+            {editingId === tab.id ? (
+              <input
+                className="query-tab-rename"
+                value={draft}
+                autoFocus
+                onChange={e => setDraft(e.target.value)}
+                onBlur={finishRename}
+                onKeyDown={handleRenameKey}
+              />
+            ) : (
+              <button
+                type="button"
+                role="tab"
+                aria-selected={tab.id === activeId}
+                className="query-tab-name"
+                onClick={() => onSelect(tab.id)}
+                onDoubleClick={() => startRename(tab)}
+                title="Double-click to rename"
+              >
+                {running.includes(tab.id) && <span className="query-tab-running" title="Query running">●</span>}
+                {tab.name}
+              </button>
+            )}
+            {tabs.length > 1 && (
+              <button type="button" className="query-tab-close" onClick={() => onClose(tab.id)} title="Close tab">×</button>
+            )}
+          </div>
+        ))}
+        <button type="button" className="query-tab-add" onClick={onAdd} title="New tab">+</button>
+      </div>
+      <div className="query-tab-actions">
+        <button className="button button-small" onClick={() => startRename(activeTab)}>Rename</button>
+        <button className="button button-small" onClick={() => onDuplicate(activeId)}>Duplicate</button>
+        <button className="button button-small" onClick={() => onCloseOthers(activeId)} disabled={tabs.length < 2}>Close Others</button>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceTabs;
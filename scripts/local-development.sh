@@ -188,6 +188,10 @@ show_dev_commands() {
     echo "Backend:  http://localhost:3001"
     echo "API Health: http://localhost:3001/api/health"
     echo ""
+    echo "Offline, without a Snowflake account:"
+    echo "  $0 emulator                          # Backend on the embedded emulator + frontend"
+    echo "  SNOWFLAKE_EMULATOR=true docker-compose up --build"
+    echo ""
     echo "=== Next Steps ==="
     echo "1. Edit .env file with your Snowflake credentials"
     echo "2. Run the database setup: ./scripts/deploy.sh database-only"
@@ -196,6 +200,19 @@ show_dev_commands() {
     echo "5. Open http://localhost:3000 in your browser"
 }
 
+# Function to run the full stack against the embedded Snowflake emulator
+run_emulator() {
+    print_status "Starting backend with the Snowflake emulator (no Snowflake account needed)..."
+
+    (cd backend && SNOWFLAKE_EMULATOR=true PORT=3001 npm start) &
+    BACKEND_PID=$!
+    trap 'kill $BACKEND_PID 2>/dev/null' EXIT
+
+    print_status "Starting frontend on http://localhost:3000 (Ctrl+C stops both)..."
+    cd frontend
+    BROWSER=none npm start
+}
+
 # Main function
 main() {
     echo "========================================="
@@ -232,6 +249,13 @@ case "${1:-setup}" in
         test_frontend
         print_success "Frontend setup completed"
         ;;
+    "emulator")
+        check_node
+        check_npm
+        setup_backend
+        setup_frontend
+        run_emulator
+        ;;
     "clean")
         print_status "Cleaning up node_modules..."
         rm -rf backend/node_modules frontend/node_modules
@@ -244,6 +268,7 @@ case "${1:-setup}" in
         echo "  setup      Full local development setup (default)"
         echo "  backend    Setup backend only"
         echo "  frontend   Setup frontend only"
+        echo "  emulator   Run backend (Snowflake emulator) and frontend without a Snowflake account"
         echo "  clean      Remove node_modules directories"
         echo "  help       Show this help"
         ;;